@@ -1,19 +1,28 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useSearchParams, useNavigate } from 'react-router-dom'
-import { AlertTriangle, Download, ExternalLink, TrendingUp, Package, Shield, Loader2, RefreshCw, LogOut } from 'lucide-react'
+import { AlertTriangle, CalendarClock, ChevronDown, Download, ExternalLink, TrendingUp, Package, Shield, Loader2, RefreshCw, LogOut } from 'lucide-react'
 import { toast } from 'sonner'
 import { Card, CardHeader, CardContent, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
-import { apiClient, API_BASE_URL } from '@/lib/api'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from '@/components/ui/dropdown-menu'
+import { apiClient, API_BASE_URL, deadlinesApi, syncApi, taxRulesApi } from '@/lib/api'
 
 /**
  * Badge component for status indicators
+ * Eligibility comes from the server-side IOSS rules for the order date
  */
-const StatusBadge = ({ status, value, threshold = 150 }) => {
+const StatusBadge = ({ order, value, threshold = 150 }) => {
   const getRiskStatus = () => {
-    if (!value) return { label: 'Unknown', color: 'bg-gray-100 text-gray-600', icon: '⚪' }
+    if (order.cancelledAt || order.financialStatus === 'voided') {
+      return { 
+        label: 'Cancelled', 
+        color: 'bg-gray-100 text-gray-500 border-gray-200 line-through', 
+        icon: '⚫' 
+      }
+    }
+    if (value == null) return { label: 'Unknown', color: 'bg-gray-100 text-gray-600', icon: '⚪' }
     
     if (value > threshold) {
       return { 
@@ -21,15 +30,21 @@ const StatusBadge = ({ status, value, threshold = 150 }) => {
         color: 'bg-red-100 text-red-700 border-red-200', 
         icon: '🔴' 
       }
-    } else if (value >= 22) {
+    } else if (order.iossEligible) {
       return { 
         label: 'IOSS Eligible', 
         color: 'bg-green-100 text-green-700 border-green-200', 
         icon: '🟢' 
       }
+    } else if (order.lowValueExempt) {
+      return { 
+        label: 'Low Value (pre-2021)', 
+        color: 'bg-gray-100 text-gray-600 border-gray-200', 
+        icon: '⚪' 
+      }
     } else {
       return { 
-        label: 'Low Value', 
+        label: 'Not IOSS', 
         color: 'bg-gray-100 text-gray-600 border-gray-200', 
         icon: '⚪' 
       }
@@ -46,6 +61,79 @@ const StatusBadge = ({ status, value, threshold = 150 }) => {
   )
 }
 
+/**
+ * Get the EUR value used for IOSS classification
+ * Uses the consignment's intrinsic value (goods only, no shipping or tax)
+ * and falls back to the order total for orders synced before it was stored
+ */
+const getEurValue = (order) => {
+  if (order.intrinsicValueEur != null) return order.intrinsicValueEur
+  if (order.totalPriceEur != null) return order.totalPriceEur
+  return order.currency === 'EUR' ? order.totalPrice : null
+}
+
+/**
+ * Get the last closed IOSS reporting period (previous calendar month) as YYYY-MM
+ */
+const getLastClosedPeriod = () => {
+  const now = new Date()
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1))
+  return previous.toISOString().slice(0, 7)
+}
+
+// Return status shown on the next deadline card
+const DEADLINE_STATUS = {
+  none: { label: 'Not started', color: 'bg-red-100 text-red-700 border-red-200' },
+  draft: { label: 'Draft - lock before filing', color: 'bg-amber-100 text-amber-700 border-amber-200' },
+  locked: { label: 'Ready to file', color: 'bg-blue-100 text-blue-700 border-blue-200' },
+  filed: { label: 'Filed', color: 'bg-green-100 text-green-700 border-green-200' },
+  amended: { label: 'Filed (amended)', color: 'bg-green-100 text-green-700 border-green-200' }
+}
+
+// Report download formats offered by the report endpoint
+const REPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel workbook (XLSX)' },
+  { format: 'pdf', label: 'PDF filing summary' },
+  { format: 'xml', label: 'XML (VATpilot format, not for portal upload)' }
+]
+
+// Demo reports are not offered as XML, which is for importing real returns into other tools
+const DEMO_REPORT_FORMATS = REPORT_FORMATS.filter(({ format }) => format !== 'xml')
+
+// What a downloaded report contains, from the X-Report-Type response header
+const REPORT_TYPES = {
+  REAL: {
+    label: 'Your shop data',
+    message: '📊 Your IOSS compliance report downloaded successfully',
+    color: 'bg-green-100 text-green-700 border-green-200'
+  },
+  NIL: {
+    label: 'Nil return',
+    message: '📊 Nil return downloaded - no IOSS supplies in this period',
+    color: 'bg-blue-100 text-blue-700 border-blue-200'
+  },
+  DEMO: {
+    label: 'Demo - sample data, not for filing',
+    message: '📋 Demo report downloaded - built from sample data, not your orders',
+    color: 'bg-amber-100 text-amber-700 border-amber-200'
+  }
+}
+
+// How often the sync button checks on a background sync
+const SYNC_POLL_INTERVAL_MS = 2000
+
+// How long the sync button waits before leaving the sync to run in the background
+const SYNC_WAIT_TIMEOUT_MS = 3 * 60 * 1000
+
+/**
+ * Describe a background sync job on the sync button
+ */
+const getSyncLabel = (job) => {
+  if (job?.status === 'queued') return job.attempts > 0 ? `Retrying (attempt ${job.attempts + 1})...` : 'Queued...'
+  return 'Syncing...'
+}
+
 /**
  * Skeleton loader for table rows
  */
@@ -76,7 +164,14 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [syncing, setSyncing] = useState(false)
+  const [syncJob, setSyncJob] = useState(null)
   const [currentLeadId, setCurrentLeadId] = useState(null)
+  const [taxRules, setTaxRules] = useState(null)
+  const [refundAdjustments, setRefundAdjustments] = useState([])
+  const [nextDeadline, setNextDeadline] = useState(null)
+  const [reportPeriod, setReportPeriod] = useState(getLastClosedPeriod)
+  const [lastDownload, setLastDownload] = useState(null)
+  const mountedRef = useRef(true)
   
   // Shop connection dialog state
   const [showShopDialog, setShowShopDialog] = useState(false)
@@ -148,9 +243,9 @@ const Dashboard = () => {
       
       // Calculate stats
       const total = ordersData.length
-      const highRisk = ordersData.filter(order => order.totalPrice > 150).length
-      const iossEligible = ordersData.filter(order => order.totalPrice >= 22 && order.totalPrice <= 150 && order.euDestination).length
-      const lowValue = ordersData.filter(order => order.totalPrice < 22).length
+      const highRisk = ordersData.filter(order => getEurValue(order) > iossThreshold).length
+      const iossEligible = ordersData.filter(order => order.iossEligible).length
+      const lowValue = ordersData.filter(order => order.lowValueExempt).length
       
       setStats({ total, highRisk, iossEligible, lowValue })
       
@@ -180,8 +275,33 @@ const Dashboard = () => {
     }
   }
 
+  /**
+   * Poll the sync status until a background sync job has finished
+   * Stops after SYNC_WAIT_TIMEOUT_MS or when the Dashboard unmounts; the job
+   * keeps running on the server either way
+   * @returns {Object} { done, job } with job null when it is no longer listed
+   */
+  const waitForSyncJob = async (jobId) => {
+    const giveUpAt = Date.now() + SYNC_WAIT_TIMEOUT_MS
+
+    while (Date.now() < giveUpAt) {
+      await new Promise(resolve => setTimeout(resolve, SYNC_POLL_INTERVAL_MS))
+      if (!mountedRef.current) break
+
+      const status = await syncApi.status(currentLeadId)
+      const job = status.history.find(entry => entry.id === jobId)
+      if (!job || ['completed', 'failed'].includes(job.status)) return { done: true, job: job || null }
+
+      if (mountedRef.current) setSyncJob(job)
+    }
+
+    return { done: false, job: null }
+  }
+
   /**
    * Trigger manual order sync or Shopify connection
+   * The sync runs in the background on the server; the button shows its
+   * progress until the job has finished.
    */
   const syncOrders = async () => {
     if (!currentLeadId) return
@@ -194,9 +314,23 @@ const Dashboard = () => {
     
     try {
       setSyncing(true)
-      const response = await apiClient.post('/orders/sync', { leadId: currentLeadId })
-      
-      toast.success(`Sync completed: ${response.data.data?.processed || 0} orders processed`)
+      const queuedJob = await syncApi.start(currentLeadId)
+      setSyncJob(queuedJob)
+
+      const { done, job } = await waitForSyncJob(queuedJob.id)
+      if (!mountedRef.current) return
+
+      if (!done) {
+        toast.info('Sync is still running in the background - refresh the page later to see the new orders')
+        return
+      }
+
+      if (job?.status === 'failed') {
+        toast.error(`Sync failed: ${job.error || 'unknown error'}`)
+        return
+      }
+
+      toast.success(`Sync completed: ${job?.result?.processed || 0} orders processed`)
       
       // Refresh orders after sync
       await fetchOrders()
@@ -215,29 +349,38 @@ const Dashboard = () => {
         toast.error(err.response?.data?.error || err.response?.data?.message || 'Failed to sync orders')
       }
     } finally {
-      setSyncing(false)
+      if (mountedRef.current) {
+        setSyncing(false)
+        setSyncJob(null)
+      }
     }
   }
 
   /**
-   * Download IOSS report
+   * Download IOSS report for the selected monthly period
+   * @param {string} format - csv, xlsx, pdf or xml
+   * @param {boolean} demo - Download the demo report built from sample data
    */
-  const downloadReport = async () => {
-    if (!currentLeadId) {
+  const downloadReport = async (format = 'csv', demo = false) => {
+    if (!demo && !currentLeadId) {
       toast.error('No active session found. Please reconnect.')
       return
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/reports/generate?leadId=${currentLeadId}`)
+      const response = await fetch(demo
+        ? `${API_BASE_URL}/reports/demo?period=${reportPeriod}&format=${format}`
+        : `${API_BASE_URL}/reports/generate?leadId=${currentLeadId}&period=${reportPeriod}&format=${format}`)
       
       if (!response.ok) {
-        throw new Error('Failed to download report')
+        const body = await response.json().catch(() => ({}))
+        toast.error(body.message || body.error || 'Failed to download report. Please try again.')
+        return
       }
       
       // Get filename from response headers or use default
       const contentDisposition = response.headers.get('Content-Disposition')
-      let filename = 'ioss-report.csv'
+      let filename = `ioss-report.${format}`
       
       if (contentDisposition) {
         const filenameMatch = contentDisposition.match(/filename="?([^"]+)"?/)
@@ -256,12 +399,10 @@ const Dashboard = () => {
       document.body.removeChild(a)
       window.URL.revokeObjectURL(url)
       
-      // Show different messages based on whether this is real or sample data
-      if (filename.includes('SAMPLE')) {
-        toast.success('📋 Sample IOSS report downloaded - Connect orders to get your real data')
-      } else {
-        toast.success('📊 Your IOSS compliance report downloaded successfully')
-      }
+      // Label the download with what the server says it contains
+      const reportType = response.headers.get('X-Report-Type') || (demo ? 'DEMO' : 'REAL')
+      setLastDownload({ filename, reportType })
+      toast.success(REPORT_TYPES[reportType]?.message || REPORT_TYPES.REAL.message)
       
     } catch (err) {
       console.error('Error downloading report:', err)
@@ -329,6 +470,44 @@ const Dashboard = () => {
     })
   }
 
+  // Stop polling a background sync once the Dashboard is gone
+  useEffect(() => {
+    mountedRef.current = true
+    return () => {
+      mountedRef.current = false
+    }
+  }, [])
+
+  // Load shared EU tax rules (member states, rates, IOSS thresholds)
+  useEffect(() => {
+    taxRulesApi.get()
+      .then(setTaxRules)
+      .catch(err => console.error('Error fetching tax rules:', err))
+  }, [])
+
+  /**
+   * Look up a member state (name and current rates) from the tax rules
+   */
+  const getMemberState = (countryCode) => {
+    return taxRules?.memberStates.find(state => state.code === countryCode)
+  }
+
+  /**
+   * Describe an order's destination with the member state's standard VAT rate
+   */
+  const describeDestination = (order) => {
+    if (!order.euDestination) return 'Non-EU'
+
+    const memberState = getMemberState(order.customerCountry)
+    if (!memberState) return 'EU Destination'
+
+    return memberState.rates
+      ? `${memberState.name} • ${memberState.rates.standard}% VAT`
+      : memberState.name
+  }
+
+  const iossThreshold = taxRules?.iossRules.consignmentThresholdEur ?? 150
+
   // Load orders when leadId is available
   useEffect(() => {
     if (currentLeadId) {
@@ -337,6 +516,24 @@ const Dashboard = () => {
     }
   }, [currentLeadId])
 
+  // Refund and cancellation adjustments per country (reduce the VAT due)
+  useEffect(() => {
+    if (!currentLeadId || loading) return
+
+    apiClient.get(`/orders/summary?leadId=${currentLeadId}`)
+      .then(response => setRefundAdjustments(response.data.data?.refundAdjustments || []))
+      .catch(err => console.error('Error fetching refund adjustments:', err))
+  }, [currentLeadId, loading])
+
+  // Next filing deadline and the state of that period's return
+  useEffect(() => {
+    if (!currentLeadId || loading) return
+
+    deadlinesApi.next(currentLeadId)
+      .then(setNextDeadline)
+      .catch(err => console.error('Error fetching next deadline:', err))
+  }, [currentLeadId, loading])
+
   return (
     <div className="min-h-screen bg-slate-50">
       <div className="max-w-7xl mx-auto p-6 space-y-6">
@@ -371,15 +568,44 @@ const Dashboard = () => {
               ) : (
                 <>
                   <TrendingUp className={`w-4 h-4 mr-2 ${syncing ? 'animate-spin' : ''}`} />
-                  {syncing ? 'Syncing...' : 'Sync Orders'}
+                  {syncing ? getSyncLabel(syncJob) : 'Sync Orders'}
                 </>
               )}
             </Button>
             
-            <Button onClick={downloadReport}>
-              <Download className="w-4 h-4 mr-2" />
-              Download IOSS Report
-            </Button>
+            <Input
+              type="month"
+              value={reportPeriod}
+              max={getLastClosedPeriod()}
+              onChange={(e) => setReportPeriod(e.target.value)}
+              className="w-40"
+              aria-label="Reporting period"
+            />
+            
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button disabled={!reportPeriod}>
+                  <Download className="w-4 h-4 mr-2" />
+                  Download IOSS Report
+                  <ChevronDown className="w-4 h-4 ml-2" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuLabel>Your report</DropdownMenuLabel>
+                {REPORT_FORMATS.map(({ format, label }) => (
+                  <DropdownMenuItem key={format} onClick={() => downloadReport(format)}>
+                    {label}
+                  </DropdownMenuItem>
+                ))}
+                <DropdownMenuSeparator />
+                <DropdownMenuLabel>Demo report (sample data)</DropdownMenuLabel>
+                {DEMO_REPORT_FORMATS.map(({ format, label }) => (
+                  <DropdownMenuItem key={`demo-${format}`} onClick={() => downloadReport(format, true)}>
+                    {label}
+                  </DropdownMenuItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
             
             <Button
               variant="outline"
@@ -392,6 +618,46 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Last Report Download */}
+        {lastDownload && (
+          <div className="flex items-center justify-end gap-2 text-sm text-gray-600">
+            <span>Last download: {lastDownload.filename}</span>
+            <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${(REPORT_TYPES[lastDownload.reportType] || REPORT_TYPES.REAL).color}`}>
+              {(REPORT_TYPES[lastDownload.reportType] || REPORT_TYPES.REAL).label}
+            </span>
+          </div>
+        )}
+
+        {/* Next Filing Deadline */}
+        {nextDeadline && (
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-4">
+                  <CalendarClock className={`w-8 h-8 ${nextDeadline.filed ? 'text-green-600' : nextDeadline.daysLeft <= 7 ? 'text-red-600' : 'text-blue-600'}`} />
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">{nextDeadline.overdue ? 'Overdue Return' : 'Next Filing Deadline'}</p>
+                    <p className="text-xl font-bold text-gray-900">
+                      {nextDeadline.label} return due {new Date(nextDeadline.dueDate).toLocaleDateString()}
+                    </p>
+                    {!nextDeadline.filed && (
+                      <p className={`text-xs ${nextDeadline.overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        {nextDeadline.overdue
+                          ? `Overdue by ${-nextDeadline.daysLeft} day${nextDeadline.daysLeft === -1 ? '' : 's'}`
+                          : nextDeadline.daysLeft === 0 ? 'Due today' : `${nextDeadline.daysLeft} day${nextDeadline.daysLeft === 1 ? '' : 's'} left`}
+                        {nextDeadline.unfiledPeriods?.length > 1 && ` · ${nextDeadline.unfiledPeriods.length} returns not filed`}
+                      </p>
+                    )}
+                  </div>
+                </div>
+                <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium border ${DEADLINE_STATUS[nextDeadline.returnStatus]?.color}`}>
+                  {DEADLINE_STATUS[nextDeadline.returnStatus]?.label}
+                </span>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
           <Card>
@@ -412,7 +678,7 @@ const Dashboard = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-600">High Risk</p>
                   <p className="text-2xl font-bold text-red-600">{stats.highRisk}</p>
-                  <p className="text-xs text-gray-500">&gt;€150 value</p>
+                  <p className="text-xs text-gray-500">&gt;€{iossThreshold} value</p>
                 </div>
                 <AlertTriangle className="w-8 h-8 text-red-600" />
               </div>
@@ -425,7 +691,7 @@ const Dashboard = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-600">IOSS Eligible</p>
                   <p className="text-2xl font-bold text-green-600">{stats.iossEligible}</p>
-                  <p className="text-xs text-gray-500">€22-€150 to EU</p>
+                  <p className="text-xs text-gray-500">Up to €{iossThreshold} to EU</p>
                 </div>
                 <Shield className="w-8 h-8 text-green-600" />
               </div>
@@ -436,9 +702,9 @@ const Dashboard = () => {
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm font-medium text-gray-600">Low Value</p>
+                  <p className="text-sm font-medium text-gray-600">Low Value Exempt</p>
                   <p className="text-2xl font-bold text-gray-600">{stats.lowValue}</p>
-                  <p className="text-xs text-gray-500">&lt;€22 value</p>
+                  <p className="text-xs text-gray-500">&lt;€22 before Jul 2021</p>
                 </div>
                 <TrendingUp className="w-8 h-8 text-gray-600" />
               </div>
@@ -446,6 +712,48 @@ const Dashboard = () => {
           </Card>
         </div>
 
+        {/* Refund Adjustments */}
+        {refundAdjustments.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Refund Adjustments by Country</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse">
+                  <thead>
+                    <tr className="border-b border-gray-200 bg-gray-50">
+                      <th className="text-left p-3 font-semibold text-gray-900">Destination</th>
+                      <th className="text-right p-3 font-semibold text-gray-900">Refunded Orders</th>
+                      <th className="text-right p-3 font-semibold text-gray-900">Refunded</th>
+                      <th className="text-right p-3 font-semibold text-gray-900">Cancelled Orders</th>
+                      <th className="text-right p-3 font-semibold text-gray-900">Cancelled</th>
+                      <th className="text-right p-3 font-semibold text-gray-900">Taxable Adjustment</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {refundAdjustments.map((row) => (
+                      <tr key={row._id || 'unknown'} className="border-b border-gray-100">
+                        <td className="p-3 font-medium text-gray-900">
+                          {row._id || 'Unknown'}
+                          {getMemberState(row._id) && (
+                            <span className="ml-2 text-sm text-gray-600">{getMemberState(row._id).name}</span>
+                          )}
+                        </td>
+                        <td className="p-3 text-right text-gray-900">{row.refundedOrders}</td>
+                        <td className="p-3 text-right text-gray-900">{formatCurrency(row.refundedValue)}</td>
+                        <td className="p-3 text-right text-gray-900">{row.cancelledOrders}</td>
+                        <td className="p-3 text-right text-gray-900">{formatCurrency(row.cancelledValue)}</td>
+                        <td className="p-3 text-right font-medium text-amber-700">− {formatCurrency(row.totalAdjustment)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Main Content */}
         <Card>
           <CardHeader>
@@ -541,14 +849,26 @@ const Dashboard = () => {
                             {order.customerCountry || order.shippingAddress?.countryCode || 'Unknown'}
                           </div>
                           <div className="text-sm text-gray-600">
-                            {order.euDestination ? 'EU Destination' : 'Non-EU'}
+                            {describeDestination(order)}
                           </div>
                         </td>
-                        <td className="p-4 font-medium text-gray-900">
-                          {formatCurrency(order.totalPrice, order.currency)}
+                        <td className="p-4">
+                          <div className="font-medium text-gray-900">
+                            {formatCurrency(order.totalPrice, order.currency)}
+                          </div>
+                          {order.currency !== 'EUR' && order.totalPriceEur != null && (
+                            <div className="text-sm text-gray-600">
+                              ≈ {formatCurrency(order.totalPriceEur)}
+                            </div>
+                          )}
+                          {order.totalRefunded > 0 && (
+                            <div className="text-sm text-amber-700">
+                              − {formatCurrency(order.totalRefunded, order.currency)} refunded
+                            </div>
+                          )}
                         </td>
                         <td className="p-4">
-                          <StatusBadge value={order.totalPrice} />
+                          <StatusBadge order={order} value={getEurValue(order)} threshold={iossThreshold} />
                         </td>
                       </tr>
                     ))}
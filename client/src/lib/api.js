@@ -142,6 +142,49 @@ export const leadApi = {
   }
 }
 
+export const taxRulesApi = {
+  /**
+   * Get EU member states, VAT rates, special territories and IOSS rules
+   * @param {string} [date] - Reference date (YYYY-MM-DD), defaults to today
+   */
+  get: async (date) => {
+    const response = await apiClient.get('/tax-rules', { params: date ? { date } : {} })
+    return response.data.data
+  }
+}
+
+export const deadlinesApi = {
+  /**
+   * Get the next IOSS filing deadline and whether that period's return is ready
+   * @param {string} leadId - Shop lead ID
+   */
+  next: async (leadId) => {
+    const response = await apiClient.get('/deadlines/next', { params: { leadId } })
+    return response.data.data
+  }
+}
+
+export const syncApi = {
+  /**
+   * Queue a background incremental order sync
+   * @param {string} leadId - Shop lead ID
+   * @returns {Object} The queued (or already active) sync job
+   */
+  start: async (leadId) => {
+    const response = await apiClient.post('/orders/sync', { leadId })
+    return response.data.data
+  },
+
+  /**
+   * Get the current and recent sync jobs and the last sync time
+   * @param {string} leadId - Shop lead ID
+   */
+  status: async (leadId) => {
+    const response = await apiClient.get('/orders/sync/status', { params: { leadId } })
+    return response.data.data
+  }
+}
+
 // Health check function
 export const healthCheck = async () => {
   const response = await apiClient.get('/health')
@@ -15,6 +15,7 @@ import { faker } from '@faker-js/faker'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getMemberStateCodes } from '../server/tax/index.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -24,12 +25,7 @@ const TOTAL_ORDERS = 1000
 const OUTPUT_PATH = path.join(__dirname, '../server/data/dummy_orders.json')
 
 // Country mappings for realistic distribution
-const EU_COUNTRIES = [
-  'DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'AT', 'SE', 'DK', 'FI', 
-  'IE', 'PT', 'GR', 'CZ', 'HU', 'PL', 'SK', 'SI', 'HR', 'BG',
-  'RO', 'LT', 'LV', 'EE', 'CY', 'MT', 'LU'
-]
-
+const EU_COUNTRIES = getMemberStateCodes()
 const NON_EU_COUNTRIES = ['GB', 'US', 'CA', 'AU', 'NO', 'CH', 'JP', 'SG', 'NZ', 'BR']
 const ORIGIN_COUNTRIES = ['CN', 'US', 'UK', 'TW', 'IN', 'MY']
 
@@ -0,0 +1,244 @@
+import Lead from '../models/Lead.js';
+import { normalizeIossNumber } from '../tax/index.js';
+
+/**
+ * Find the shop for a registry request, sending 400/404 when it can't be loaded
+ * @returns {Object|null} Lead document or null when a response was sent
+ */
+async function findShop(req, res) {
+  const leadId = req.body?.leadId || req.query.leadId;
+
+  if (!leadId) {
+    res.status(400).json({
+      error: 'leadId is required'
+    });
+    return null;
+  }
+
+  const lead = await Lead.findById(leadId);
+  if (!lead) {
+    res.status(404).json({
+      error: 'Lead not found'
+    });
+    return null;
+  }
+
+  return lead;
+}
+
+// Registry fields, as named in requests and error messages
+const DATE_FIELDS = ['validFrom', 'validTo'];
+
+/**
+ * Check a number's validity dates as they will be stored
+ * @param {Object} dates - { validFrom, validTo } (validTo empty while in use)
+ * @returns {string|null} What is wrong, or null when the pair is valid
+ */
+const checkValidityDates = ({ validFrom, validTo }) => {
+  if (validFrom === undefined || validFrom === null || validFrom === '') {
+    return 'validFrom is required';
+  }
+
+  const from = new Date(validFrom);
+  const to = validTo ? new Date(validTo) : null;
+
+  if (isNaN(from)) return `validFrom is not a valid date: ${validFrom}`;
+  if (to && isNaN(to)) return `validTo is not a valid date: ${validTo}`;
+  if (to && to < from) return 'validTo cannot be before validFrom';
+
+  return null;
+};
+
+/**
+ * Describe one failed field of a registry entry
+ * @param {Error} error - CastError or ValidatorError of the field
+ * @returns {string} Message
+ */
+const describeFieldError = (error) => {
+  const field = error.path.split('.').pop();
+  if (error.name === 'CastError') {
+    return DATE_FIELDS.includes(field) ? `${field} is not a valid date: ${error.value}` : `${field} is invalid: ${error.value}`;
+  }
+  return error.message;
+};
+
+/**
+ * Save the shop, answering 400 with the messages of a failed validation
+ * Errors in the number and in its validity dates are reported apart.
+ * @returns {boolean} True when saved, false when a response was sent
+ */
+async function saveShop(lead, res) {
+  try {
+    await lead.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        error: 'Invalid value',
+        message: describeFieldError(error)
+      });
+      return false;
+    }
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+
+    const errors = Object.values(error.errors);
+    const datesOnly = errors.every(err => DATE_FIELDS.includes(err.path.split('.').pop()));
+
+    res.status(400).json({
+      error: datesOnly ? 'Invalid validity dates' : 'Invalid IOSS number',
+      message: errors.map(describeFieldError).join('; ')
+    });
+    return false;
+  }
+}
+
+/**
+ * List a shop's registered IOSS and intermediary numbers
+ * Query: leadId
+ */
+export const listIossNumbers = async (req, res) => {
+  try {
+    const lead = await findShop(req, res);
+    if (!lead) return;
+
+    res.json({
+      success: true,
+      data: lead.iossNumbers
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing IOSS numbers:', error);
+    res.status(500).json({
+      error: 'Failed to list IOSS numbers',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Register an IOSS (IM...) or intermediary (IN...) number
+ * Body: { leadId, number, validFrom, validTo }
+ */
+export const addIossNumber = async (req, res) => {
+  try {
+    const lead = await findShop(req, res);
+    if (!lead) return;
+
+    const { number, validFrom, validTo } = req.body;
+    const dateError = checkValidityDates({ validFrom, validTo });
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid validity dates',
+        message: dateError
+      });
+    }
+
+    if (lead.iossNumbers.some(entry => entry.number === normalizeIossNumber(number))) {
+      return res.status(409).json({
+        error: 'IOSS number already registered',
+        message: `${normalizeIossNumber(number)} is already registered for this shop`
+      });
+    }
+
+    lead.iossNumbers.push({ number, validFrom, validTo });
+    if (!await saveShop(lead, res)) return;
+
+    const entry = lead.iossNumbers[lead.iossNumbers.length - 1];
+    console.log(`🪪 ${entry.type} number ${entry.number} registered for ${lead.shopifyShopDomain || lead._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error registering IOSS number:', error);
+    res.status(500).json({
+      error: 'Failed to register IOSS number',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update the validity dates of a registered number
+ * Body: { leadId, validFrom, validTo } (validTo: null reopens the number)
+ */
+export const updateIossNumber = async (req, res) => {
+  try {
+    const lead = await findShop(req, res);
+    if (!lead) return;
+
+    const entry = lead.iossNumbers.id(req.params.numberId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'IOSS number not found'
+      });
+    }
+
+    // Either date may be sent alone; the other keeps its stored value
+    const { validFrom, validTo } = req.body;
+    const dateError = checkValidityDates({
+      validFrom: validFrom !== undefined ? validFrom : entry.validFrom,
+      validTo: validTo !== undefined ? validTo : entry.validTo
+    });
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Invalid validity dates',
+        message: dateError
+      });
+    }
+
+    if (validFrom !== undefined) entry.validFrom = validFrom;
+    if (validTo !== undefined) entry.validTo = validTo;
+    if (!await saveShop(lead, res)) return;
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating IOSS number:', error);
+    res.status(500).json({
+      error: 'Failed to update IOSS number',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a number registered by mistake
+ * (end a number that was in use by setting validTo instead)
+ * Query: leadId
+ */
+export const removeIossNumber = async (req, res) => {
+  try {
+    const lead = await findShop(req, res);
+    if (!lead) return;
+
+    const entry = lead.iossNumbers.id(req.params.numberId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'IOSS number not found'
+      });
+    }
+
+    entry.deleteOne();
+    await lead.save();
+
+    res.json({
+      success: true,
+      data: lead.iossNumbers
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing IOSS number:', error);
+    res.status(500).json({
+      error: 'Failed to remove IOSS number',
+      message: error.message
+    });
+  }
+};
@@ -1,50 +1,53 @@
 import Order from '../models/Order.js';
 import Lead from '../models/Lead.js';
+import IossReturn, { DECLARED_STATUSES } from '../models/IossReturn.js';
+import ReturnLedgerLine from '../models/ReturnLedgerLine.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { finished } from 'stream/promises';
 import { Parser } from 'json2csv';
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+import { calculateIntrinsicValueEur } from '../services/intrinsicValue.js';
+import { generateReturnXml } from '../services/xmlReturn.js';
+import { classifyOrder, getCategoryRate, getMemberStateCodes, getStandardRate, parsePeriod, resolvePeriod } from '../tax/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// EU Member State VAT Rates (Standard Rates as of 2025)
-const EU_VAT_RATES = {
-  'AT': 20, // Austria
-  'BE': 21, // Belgium  
-  'BG': 20, // Bulgaria
-  'CY': 19, // Cyprus
-  'CZ': 21, // Czech Republic
-  'DE': 19, // Germany
-  'DK': 25, // Denmark
-  'EE': 22, // Estonia
-  'ES': 21, // Spain
-  'FI': 25.5, // Finland
-  'FR': 20, // France
-  'GR': 24, // Greece
-  'HR': 25, // Croatia
-  'HU': 27, // Hungary
-  'IE': 23, // Ireland
-  'IT': 22, // Italy
-  'LT': 21, // Lithuania
-  'LU': 17, // Luxembourg
-  'LV': 21, // Latvia
-  'MT': 18, // Malta
-  'NL': 21, // Netherlands
-  'PL': 23, // Poland
-  'PT': 23, // Portugal
-  'RO': 19, // Romania
-  'SE': 25, // Sweden
-  'SI': 22, // Slovenia
-  'SK': 20  // Slovakia
+// Export formats of the IOSS return
+export const REPORT_FORMATS = ['csv', 'xml', 'pdf', 'xlsx'];
+
+// Formats that list the orders included in the return
+export const ORDER_DETAIL_FORMATS = ['pdf', 'xlsx'];
+
+// Formats offered for demo reports (each labels the sample data)
+const DEMO_REPORT_FORMATS = ['csv', 'pdf', 'xlsx'];
+
+export const REPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xml: 'application/xml',
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 };
 
-// EU member state codes for filtering
-const EU_COUNTRIES = Object.keys(EU_VAT_RATES);
+// Response header telling clients what a report contains: REAL, NIL or DEMO
+export const REPORT_TYPE_HEADER = 'X-Report-Type';
+
+// Ledger snapshot rows written, and declared orders loaded, per batch
+const LEDGER_BATCH_SIZE = 500;
 
 /**
- * Generate IOSS compliance report for a specific user
- * Uses real MongoDB data if available, falls back to sample data
+ * Generate the real IOSS return report for a specific user and monthly period
+ * Built from the shop's own orders only; a period without eligible orders
+ * is a nil return, refused (422) when none of the shop's IOSS numbers was
+ * valid in the period. Demo reports with sample data are served by
+ * generateDemoReport and never mixed in here.
+ * Query: leadId|shopId, period=YYYY-MM (defaults to the last closed month),
+ * format=csv|xml|pdf|xlsx (defaults to csv; xml is VATpilot's interchange
+ * format, not a member state filing schema)
+ * Response header X-Report-Type: REAL or NIL
  */
 export const generateUserReport = async (req, res) => {
   try {
@@ -57,7 +60,23 @@ export const generateUserReport = async (req, res) => {
       });
     }
 
-    console.log(`📊 Generating report for user: ${userShopId}`);
+    const period = resolvePeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({
+        error: 'Invalid period parameter',
+        message: 'Expected YYYY-MM, e.g. 2025-12'
+      });
+    }
+
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format parameter',
+        message: `Expected one of: ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    console.log(`📊 Generating ${period.key} ${format.toUpperCase()} report for user: ${userShopId}`);
 
     // Verify lead exists
     const lead = await Lead.findById(userShopId);
@@ -67,124 +86,626 @@ export const generateUserReport = async (req, res) => {
       });
     }
 
-    // Query user's REAL orders from MongoDB
-    const userOrders = await Order.find({ 
+    // A locked or filed return is served as stored, never recomputed
+    const storedReturn = await IossReturn.findOne({
       shopId: userShopId,
-      // Only IOSS-eligible orders (EU destination, €22-€150 range)
-      customerCountry: { $in: EU_COUNTRIES },
-      totalPrice: { $gte: 22, $lte: 150 }
-    }).sort({ shopifyCreatedAt: -1 });
-
-    console.log(`🔍 Found ${userOrders.length} IOSS-eligible orders for user`);
+      period: period.key,
+      status: { $ne: 'draft' }
+    });
 
     let reportData;
-    let filename;
-    let reportType;
+    let corrections;
+    let supplies;
+    let exchangeRates;
+    let streamOrders;
 
-    if (userOrders.length > 0) {
-      // User has REAL orders - generate from their data
-      console.log('✅ Using REAL user order data');
-      reportData = processIOSSOrders(userOrders);
-      
-      const currentDate = new Date().toISOString().split('T')[0].replace(/-/g, '_');
-      filename = `IOSS_Report_${currentDate}.csv`;
-      reportType = 'REAL';
+    if (storedReturn) {
+      console.log(`🔒 Using ${storedReturn.status} return for ${period.key}`);
+      reportData = storedReturn.toReportRows();
+      corrections = storedReturn.corrections;
+      supplies = storedReturn.totals.supplies;
+      streamOrders = () => streamReturnOrders(storedReturn);
     } else {
-      // User has no orders - use sample data but label clearly
-      console.log('📝 Using SAMPLE data (no real orders found)');
-      reportData = await getSampleIOSSData();
-      filename = 'SAMPLE_Report.csv';
-      reportType = 'SAMPLE';
-    }
+      // First pass over the orders aggregates the return lines; formats
+      // listing the orders read them again with a second cursor
+      ({ reportData, supplies, exchangeRates } = await computeReturnLines(userShopId, period));
+      corrections = await computeCorrections(userShopId, period);
+      streamOrders = () => streamEligibleOrders(userShopId, period);
 
-    // Generate CSV
-    const csvContent = generateCSVContent(reportData);
-    
-    // Create reports directory if it doesn't exist
-    const reportsDir = path.join(__dirname, '..', 'reports');
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
-    }
+      if (supplies === 0) {
+        // A nil return is only owed for months the shop was registered
+        const { iossNumber, intermediaryNumber } = lead.getIossNumbers(period);
+        if (!iossNumber && !intermediaryNumber) {
+          return res.status(422).json({
+            error: 'No IOSS registration for the period',
+            message: `No IOSS supplies in ${period.label} and no IOSS or intermediary number valid in it, so there is no return to file; register the number under IOSS numbers if the shop held one`
+          });
+        }
 
-    const reportPath = path.join(reportsDir, filename);
-    fs.writeFileSync(reportPath, csvContent);
-
-    console.log(`📤 Report generated: ${filename} (Type: ${reportType})`);
-
-    // Send file to user
-    res.download(reportPath, filename, (err) => {
-      if (err) {
-        console.error('❌ Download error:', err);
-        res.status(500).json({ error: 'Download failed: ' + err.message });
-      } else {
-        console.log(`📥 Report downloaded successfully: ${filename}`);
-        
-        // Clean up temporary file after download
-        setTimeout(() => {
-          try {
-            if (fs.existsSync(reportPath)) {
-              fs.unlinkSync(reportPath);
-              console.log(`🗑️ Cleaned up temporary report file: ${filename}`);
-            }
-          } catch (cleanupErr) {
-            console.warn('⚠️ Could not cleanup temporary file:', cleanupErr.message);
-          }
-        }, 5000); // 5 second delay to ensure download completes
+        // No IOSS supplies in the period - a nil return still has to be filed
+        // (and can still carry corrections to previous returns)
+        console.log(`🈳 No eligible orders for ${period.key} - generating NIL return`);
       }
+    }
+
+    const reportType = reportData.length > 0 ? 'REAL' : 'NIL';
+    const filename = `IOSS_Report_${period.key.replace('-', '_')}.${format}`;
+
+    res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader(REPORT_TYPE_HEADER, reportType);
+
+    // Written straight to the response, nothing is kept on disk
+    await streamReport(res, format, {
+      reportData,
+      period,
+      corrections,
+      identification: getDeclaredIossNumbers(lead, period, storedReturn),
+      shop: lead.shopifyShopDomain || lead.email,
+      orders: ORDER_DETAIL_FORMATS.includes(format) ? streamOrders() : [],
+      supplies,
+      exchangeRates,
+      reportType
     });
 
+    console.log(`📤 Report streamed: ${filename} (Type: ${reportType})`);
+
   } catch (error) {
     console.error('❌ Report generation error:', error);
-    res.status(500).json({
-      error: 'Report generation failed',
-      message: error.message
+    failReportResponse(res, error, 'Report generation failed');
+  }
+};
+
+/**
+ * Generate a demo report from the bundled sample orders (dummy_orders.json)
+ * Every document is labelled as sample data; XML is not offered because it
+ * is meant for importing real returns into other tools.
+ * Query: period=YYYY-MM (defaults to the last closed month), format=csv|pdf|xlsx
+ * Response header X-Report-Type: DEMO
+ */
+export const generateDemoReport = async (req, res) => {
+  try {
+    const period = resolvePeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({
+        error: 'Invalid period parameter',
+        message: 'Expected YYYY-MM, e.g. 2025-12'
+      });
+    }
+
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!DEMO_REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format parameter',
+        message: `Demo reports are available as: ${DEMO_REPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    console.log(`📝 Generating ${period.key} ${format.toUpperCase()} DEMO report from sample data`);
+
+    const reportData = await getSampleIOSSData();
+    // Each sample order falls in exactly one row
+    const supplies = reportData.reduce((sum, row) => sum + row['Number of Supplies'], 0);
+    const filename = `SAMPLE_Report_${period.key.replace('-', '_')}.${format}`;
+
+    res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader(REPORT_TYPE_HEADER, 'DEMO');
+
+    await streamReport(res, format, {
+      reportData,
+      period,
+      shop: 'Demo shop (sample data)',
+      supplies,
+      reportType: 'DEMO'
     });
+
+  } catch (error) {
+    console.error('❌ Demo report error:', error);
+    failReportResponse(res, error, 'Demo report generation failed');
   }
 };
 
 /**
- * Process real user orders into IOSS compliance data
+ * Write a return in the requested format to a stream (e.g. the response)
+ * Order-level formats consume the orders as they are read, so memory use
+ * does not grow with the number of orders
+ * @param {Object} stream - Writable stream, ended when the document is complete
+ * @param {string} format - csv, xml, pdf or xlsx
+ * @param {Object} report - { reportData, period, corrections, identification, shop, orders, supplies, exchangeRates, reportType }
+ * (orders: array or async iterable of Order documents, e.g. a cursor;
+ * supplies: number of distinct orders in the return - rows can't be summed
+ * for it, as an order with lines at several rates appears on each rate's row;
+ * exchangeRates: { provisional, missing } order counts, see computeReturnLines)
  */
-function processIOSSOrders(orders) {
-  console.log('🔄 Processing real orders for IOSS compliance...');
-  
-  // Group orders by destination country
-  const countryData = {};
-  
-  orders.forEach(order => {
-    const country = order.customerCountry;
-    const totalValue = order.totalPrice;
-    
-    if (!countryData[country]) {
-      countryData[country] = {
+export const streamReport = async (stream, format, {
+  reportData,
+  period,
+  corrections = [],
+  identification = {},
+  shop,
+  orders = [],
+  supplies,
+  exchangeRates,
+  reportType
+}) => {
+  const sample = reportType === 'DEMO';
+  const warnings = describeExchangeRateIssues(exchangeRates);
+
+  if (!Number.isInteger(supplies)) {
+    throw new Error('Number of supplies is required to write a return');
+  }
+
+  switch (format) {
+  case 'xml':
+    // Validated against the bundled schema before anything is written
+    stream.end(await generateReturnXml({
+      period,
+      lines: IossReturn.linesFromReportRows(reportData),
+      corrections,
+      ...identification,
+      supplies
+    }));
+    break;
+  case 'pdf':
+    await writePDFReport(stream, reportData, period, corrections, { shop, ...identification, orders, supplies, warnings, sample });
+    break;
+  case 'xlsx':
+    await writeXLSXReport(stream, reportData, period, corrections, { shop, ...identification, orders, supplies, warnings, sample });
+    break;
+  default:
+    stream.end(generateCSVContent(reportData, period, toCorrectionRows(corrections), identification, reportType, warnings));
+  }
+
+  await finished(stream);
+};
+
+/**
+ * Answer a failed report request: a JSON error while nothing has been sent,
+ * otherwise abort the download so a truncated file is not taken as complete
+ * @param {Object} res - Express response
+ * @param {Error} error - Failure
+ * @param {string} message - Error summary for the JSON response
+ */
+export const failReportResponse = (res, error, message) => {
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  res.status(500).json({
+    error: message,
+    message: error.message
+  });
+};
+
+/**
+ * Wait until a stream's buffered output has been flushed
+ * Resolves straight away when nothing is waiting, or when the stream closed
+ * (e.g. the client went away)
+ * @param {Object} stream - Writable stream
+ */
+const waitForDrain = async (stream) => {
+  if (!stream.writableNeedDrain || stream.destroyed) {
+    return;
+  }
+
+  await new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+};
+
+/**
+ * Export the order-level IOSS audit ledger for a shop and monthly period
+ * One row per order and VAT rate applied. A locked or filed period is served
+ * from the ledger snapshotted when its return was locked (returns locked
+ * before snapshots were kept list their declared orders as stored now);
+ * other periods are built from the current order data
+ * Query: leadId|shopId, period=YYYY-MM (defaults to the last closed month)
+ */
+export const generateLedgerReport = async (req, res) => {
+  try {
+    const { leadId, shopId } = req.query;
+    const userShopId = leadId || shopId;
+
+    if (!userShopId) {
+      return res.status(400).json({
+        error: 'leadId or shopId parameter is required'
+      });
+    }
+
+    const period = resolvePeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({
+        error: 'Invalid period parameter',
+        message: 'Expected YYYY-MM, e.g. 2025-12'
+      });
+    }
+
+    const lead = await Lead.findById(userShopId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const storedReturn = await IossReturn.findOne({
+      shopId: userShopId,
+      period: period.key,
+      status: { $in: DECLARED_STATUSES }
+    });
+
+    let ledgerRows;
+    if (storedReturn && hasLedgerSnapshot(storedReturn)) {
+      ledgerRows = ledgerRowsFromSnapshot(storedReturn);
+    } else {
+      ledgerRows = ledgerRowsFromOrders(storedReturn
+        ? streamReturnOrders(storedReturn)
+        : streamEligibleOrders(userShopId, period));
+    }
+
+    const identification = getDeclaredIossNumbers(lead, period, storedReturn);
+    const filename = `IOSS_Ledger_${period.key.replace('-', '_')}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const { orderCount, rowCount } = await writeLedgerCSV(res, ledgerRows, period, storedReturn, identification);
+
+    console.log(`📒 Ledger ${period.key} exported: ${orderCount} orders, ${rowCount} rows${storedReturn ? ` (${storedReturn.status} return)` : ''}`);
+
+  } catch (error) {
+    console.error('❌ Ledger export error:', error);
+    failReportResponse(res, error, 'Ledger export failed');
+  }
+};
+
+/**
+ * Get the IOSS and intermediary numbers to print on a return: the ones
+ * stored with it, else the shop's registry for the period (drafts, and
+ * returns saved before numbers were recorded)
+ * @param {Object} lead - Lead document
+ * @param {Object} period - Reporting period
+ * @param {Object} [storedReturn] - IossReturn document
+ * @returns {Object} { iossNumber, intermediaryNumber }
+ */
+export const getDeclaredIossNumbers = (lead, period, storedReturn) => {
+  const stored = storedReturn?.getIossNumbers();
+  if (stored?.iossNumber || stored?.intermediaryNumber || !lead) {
+    return stored || {};
+  }
+
+  return lead.getIossNumbers(period);
+};
+
+/**
+ * Check whether a stored order is an IOSS supply: classified by intrinsic
+ * value under the rules in force on its date, with a taxable amount left
+ * after refunds
+ * @param {Object} order - Order document
+ * @returns {boolean} True when the order belongs in the return
+ */
+const isReturnOrder = (order) => getTaxableValueEur(order) > 0 && Order.classify({
+  ...order.toObject(),
+  intrinsicValueEur: calculateIntrinsicValueEur(order)
+}).iossEligible;
+
+/**
+ * Read a shop's IOSS-eligible orders supplied in a reporting period, oldest
+ * first, from a database cursor (one batch in memory at a time)
+ * Cancelled, voided and fully refunded orders are left out
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} period - Reporting period (see tax/periods.js)
+ * @yields {Object} Order documents
+ */
+export async function* streamEligibleOrders(shopId, period) {
+  const cursor = Order.find({ 
+    shopId,
+    customerCountry: { $in: getMemberStateCodes(period.start) },
+    shopifyCreatedAt: { $gte: period.start, $lt: period.end },
+    cancelledAt: null,
+    financialStatus: { $ne: 'voided' }
+  }).sort({ shopifyCreatedAt: 1 }).cursor();
+
+  for await (const order of cursor) {
+    if (isReturnOrder(order)) {
+      yield order;
+    }
+  }
+}
+
+/**
+ * Read the orders included in a stored return, oldest first, one batch in
+ * memory at a time
+ * Locked returns list them in their ledger snapshot, returns locked before
+ * snapshots were kept in orderIds; a draft includes the period's eligible
+ * orders as they are now.
+ * @param {Object} iossReturn - IossReturn document
+ * @yields {Object} Order documents
+ */
+export async function* streamReturnOrders(iossReturn) {
+  if (iossReturn.status === 'draft') {
+    yield* streamEligibleOrders(iossReturn.shopId, parsePeriod(iossReturn.period));
+    return;
+  }
+
+  if (!hasLedgerSnapshot(iossReturn)) {
+    yield* Order.find({
+      shopId: iossReturn.shopId,
+      shopifyCreatedAt: { $gte: iossReturn.periodStart, $lt: iossReturn.periodEnd },
+      _id: { $in: iossReturn.orderIds }
+    }).sort({ shopifyCreatedAt: 1 }).cursor();
+    return;
+  }
+
+  // Rows of an order are consecutive, in the order the orders were read
+  let batch = [];
+  for await (const { orderId } of ReturnLedgerLine.streamRows(iossReturn._id, { orderId: 1 })) {
+    if (!batch.at(-1)?.equals(orderId)) {
+      batch.push(orderId);
+    }
+    if (batch.length > LEDGER_BATCH_SIZE) {
+      yield* await findOrdersInOrder(batch.slice(0, -1));
+      batch = batch.slice(-1);
+    }
+  }
+  yield* await findOrdersInOrder(batch);
+}
+
+/**
+ * Load orders by ID, in the order of the IDs
+ * Orders deleted since are left out.
+ * @param {Array} orderIds - Order document IDs
+ * @returns {Array} Order documents
+ */
+const findOrdersInOrder = async (orderIds) => {
+  if (orderIds.length === 0) {
+    return [];
+  }
+
+  const orders = await Order.find({ _id: { $in: orderIds } });
+  const byId = new Map(orders.map(order => [order._id.toString(), order]));
+  return orderIds.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Count a shop's orders in a period left without a EUR value because no ECB
+ * rate was available: they can't be classified, so no return includes them
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} period - Reporting period
+ * @returns {number} Number of orders
+ */
+const countOrdersWithoutRate = (shopId, period) => Order.countDocuments({
+  shopId,
+  customerCountry: { $in: getMemberStateCodes(period.start) },
+  shopifyCreatedAt: { $gte: period.start, $lt: period.end },
+  cancelledAt: null,
+  financialStatus: { $ne: 'voided' },
+  currency: { $ne: 'EUR' },
+  totalPriceEur: null
+});
+
+/**
+ * Compute the return lines for a shop and period in one pass over its orders
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} period - Reporting period
+ * @returns {Object} { reportData, supplies, exchangeRates }
+ * (exchangeRates: { provisional, missing } counts of included orders converted
+ * at a provisional rate and of orders left out for want of a rate)
+ */
+const computeReturnLines = async (shopId, period) => {
+  const rateGroups = {};
+  let supplies = 0;
+  let provisional = 0;
+
+  for await (const order of streamEligibleOrders(shopId, period)) {
+    addToRateGroups(rateGroups, order);
+    if (order.exchangeRate?.provisional) provisional++;
+    supplies++;
+  }
+
+  const missing = await countOrdersWithoutRate(shopId, period);
+
+  console.log(`🔍 Found ${supplies} IOSS-eligible orders for ${period.key}`);
+  if (provisional > 0 || missing > 0) {
+    console.warn(`⚠️ ${period.key}: ${provisional} order(s) at provisional ECB rates, ${missing} without a rate`);
+  }
+
+  return {
+    reportData: toReturnLines(rateGroups),
+    supplies,
+    exchangeRates: { provisional, missing }
+  };
+};
+
+/**
+ * Sum net and VAT values per member state
+ * @param {Array} entries - [{ memberState, netValue, vatAmount }]
+ * @param {Object} [totals] - Totals to add to
+ * @returns {Object} { [memberState]: { netValue, vatAmount } }
+ */
+const sumByMemberState = (entries, totals = {}) => {
+  entries.forEach(({ memberState, netValue, vatAmount }) => {
+    if (!totals[memberState]) {
+      totals[memberState] = { netValue: 0, vatAmount: 0 };
+    }
+    totals[memberState].netValue += netValue;
+    totals[memberState].vatAmount += vatAmount;
+  });
+  return totals;
+};
+
+/**
+ * Compute corrections to previous returns for a period
+ * Earlier declared returns flagged when their orders changed (correctionsPending) are
+ * recomputed from the current order data and compared, per member state, with
+ * what was declared for it (its own lines plus corrections already carried in
+ * other declared returns). Unflagged returns still match their orders.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} period - Reporting period of the correcting return
+ * @param {string} [excludeReturnId] - Return being computed (its corrections don't count as declared)
+ * @returns {Array} [{ memberState, period, netValue, vatAmount }]
+ */
+export const computeCorrections = async (shopId, period, excludeReturnId) => {
+  const declaredReturns = await IossReturn.find({
+    shopId,
+    status: { $in: DECLARED_STATUSES },
+    ...(excludeReturnId && { _id: { $ne: excludeReturnId } })
+  }).sort({ period: 1 });
+
+  const corrections = [];
+
+  const pending = declaredReturns.filter(entry => entry.period < period.key && entry.correctionsPending);
+
+  for (const original of pending) {
+    const { reportData } = await computeReturnLines(shopId, parsePeriod(original.period));
+
+    const current = sumByMemberState(IossReturn.linesFromReportRows(reportData));
+    const declared = sumByMemberState(original.lines);
+    declaredReturns.forEach(entry => sumByMemberState(
+      entry.corrections.filter(correction => correction.period === original.period),
+      declared
+    ));
+
+    new Set([...Object.keys(current), ...Object.keys(declared)]).forEach(memberState => {
+      const netValue = (current[memberState]?.netValue || 0) - (declared[memberState]?.netValue || 0);
+      const vatAmount = (current[memberState]?.vatAmount || 0) - (declared[memberState]?.vatAmount || 0);
+
+      if (Math.abs(netValue) >= 0.01 || Math.abs(vatAmount) >= 0.01) {
+        corrections.push({
+          memberState,
+          period: original.period,
+          netValue: parseFloat(netValue.toFixed(2)),
+          vatAmount: parseFloat(vatAmount.toFixed(2))
+        });
+      }
+    });
+  }
+
+  if (corrections.length > 0) {
+    console.log(`🔁 ${corrections.length} correction(s) to previous returns for ${period.key}`);
+  }
+
+  return corrections;
+};
+
+/**
+ * Compute the return lines, number of supplies and corrections to previous
+ * returns for a shop and period
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} period - Reporting period
+ * @param {string} [returnId] - Return being computed, if already stored
+ * @returns {Object} { reportData, supplies, corrections, exchangeRates }
+ */
+export const computeReturnData = async (shopId, period, returnId) => {
+  const { reportData, supplies, exchangeRates } = await computeReturnLines(shopId, period);
+  const corrections = await computeCorrections(shopId, period, returnId);
+
+  return { reportData, supplies, corrections, exchangeRates };
+};
+
+/**
+ * Get the EUR amount of an order that is taxable (after refunds)
+ * Orders synced before refunds were tracked fall back to the EUR total
+ * @param {Object} order - Order document
+ * @returns {number} Taxable amount in EUR
+ */
+function getTaxableValueEur(order) {
+  return order.netTaxableAmountEur ?? order.totalPriceEur ?? 0;
+}
+
+/**
+ * Split an order's taxable EUR amount across its line items by net line
+ * value (after refunded items) and tag each share with the VAT rate the line takes
+ * @param {Object} order - Order document
+ * @returns {Array} [{ value, rate, rateType }]
+ */
+function getOrderRateShares(order) {
+  const country = order.customerCountry;
+  const totalValue = getTaxableValueEur(order);
+  const lines = (order.lineItems || []).map(item => ({
+    item,
+    netValue: Math.max(
+      (item.price || 0) * (item.quantity || 0) - (item.totalDiscount || 0) - (item.refundedSubtotal || 0),
+      0
+    )
+  }));
+  const linesTotal = lines.reduce((sum, line) => sum + line.netValue, 0);
+
+  // Orders without priced lines go entirely to the standard rate
+  if (linesTotal <= 0) {
+    return [{ value: totalValue, ...getCategoryRate(country, undefined, order.shopifyCreatedAt) }];
+  }
+
+  return lines.map(({ item, netValue }) => {
+    const { rate, rateType } = item.vatRate != null
+      ? { rate: item.vatRate, rateType: item.vatRateType }
+      : getCategoryRate(country, item.taxCategory, order.shopifyCreatedAt);
+
+    return { value: totalValue * netValue / linesTotal, rate, rateType };
+  });
+}
+
+/**
+ * Add an order to the return lines being aggregated
+ * One group per (member state, rate type, rate), using the rates in force on
+ * the order's date of supply; an order counts once per group it falls in
+ * @param {Object} rateGroups - Groups by key, updated in place
+ * @param {Object} order - Order document
+ */
+function addToRateGroups(rateGroups, order) {
+  const country = order.customerCountry;
+  const counted = new Set();
+
+  getOrderRateShares(order).forEach(({ value, rate, rateType }) => {
+    const key = `${country}|${rateType}|${rate}`;
+
+    if (!rateGroups[key]) {
+      rateGroups[key] = {
         country,
+        rateType,
+        rate,
         totalValue: 0,
         orderCount: 0
       };
     }
-    
-    countryData[country].totalValue += totalValue;
-    countryData[country].orderCount += 1;
-  });
-
-  // Convert to IOSS report format
-  const reportData = Object.values(countryData).map(data => {
-    const vatRate = EU_VAT_RATES[data.country] || 20;
-    const netValue = data.totalValue / (1 + vatRate / 100);
-    const vatAmount = data.totalValue - netValue;
 
-    return {
-      'Member State of Destination': data.country,
-      'Total Net Value (EUR)': parseFloat(netValue.toFixed(2)),
-      'Total VAT Amount (EUR)': parseFloat(vatAmount.toFixed(2)),
-      'Number of Supplies': data.orderCount,
-      'VAT Rate (%)': vatRate,
-      'Order Count': data.orderCount // Internal field for debugging
-    };
+    rateGroups[key].totalValue += value;
+    if (!counted.has(key)) {
+      rateGroups[key].orderCount += 1;
+      counted.add(key);
+    }
   });
+}
+
+/**
+ * Convert aggregated rate groups into IOSS return lines
+ * @param {Object} rateGroups - Groups built by addToRateGroups()
+ * @returns {Array} Return lines (CSV column names)
+ */
+function toReturnLines(rateGroups) {
+  return Object.values(rateGroups)
+    .sort((a, b) => a.country.localeCompare(b.country) || b.rate - a.rate)
+    .map(data => {
+      const netValue = data.totalValue / (1 + data.rate / 100);
+      const vatAmount = data.totalValue - netValue;
 
-  console.log(`✅ Processed ${reportData.length} countries from real order data`);
-  return reportData;
+      return {
+        'Member State of Destination': data.country,
+        'VAT Rate Type': data.rateType,
+        'Total Net Value (EUR)': parseFloat(netValue.toFixed(2)),
+        'Total VAT Amount (EUR)': parseFloat(vatAmount.toFixed(2)),
+        'Number of Supplies': data.orderCount,
+        'VAT Rate (%)': data.rate,
+        'Order Count': data.orderCount // Internal field for debugging
+      };
+    });
 }
 
 /**
@@ -198,13 +719,16 @@ async function getSampleIOSSData() {
     const sampleDataPath = path.join(__dirname, '..', 'data', 'dummy_orders.json');
     
     if (fs.existsSync(sampleDataPath)) {
-      const sampleOrders = JSON.parse(fs.readFileSync(sampleDataPath, 'utf8'));
+      // Synthetic orders written by scripts/generate-dummy-data.js
+      const { orders: sampleOrders = [] } = JSON.parse(fs.readFileSync(sampleDataPath, 'utf8'));
       
       // Filter for IOSS-eligible orders only
       const iossOrders = sampleOrders.filter(order => {
-        const country = order.shipping_address?.country_code?.toUpperCase();
-        return country && EU_COUNTRIES.includes(country) && 
-               order.total_price >= 22 && order.total_price <= 150;
+        return classifyOrder({
+          destinationCountry: order.customer_country,
+          intrinsicValueEur: order.order_value_eur,
+          supplyDate: order.order_date
+        }).iossEligible;
       });
       
       console.log(`📊 Found ${iossOrders.length} IOSS-eligible orders in sample data`);
@@ -221,6 +745,7 @@ async function getSampleIOSSData() {
   return [
     {
       'Member State of Destination': 'DE',
+      'VAT Rate Type': 'STANDARD',
       'Total Net Value (EUR)': 840.34,
       'Total VAT Amount (EUR)': 159.66,
       'Number of Supplies': 15,
@@ -228,6 +753,7 @@ async function getSampleIOSSData() {
     },
     {
       'Member State of Destination': 'FR',
+      'VAT Rate Type': 'STANDARD',
       'Total Net Value (EUR)': 625.00,
       'Total VAT Amount (EUR)': 125.00,
       'Number of Supplies': 8,
@@ -235,6 +761,7 @@ async function getSampleIOSSData() {
     },
     {
       'Member State of Destination': 'ES',
+      'VAT Rate Type': 'STANDARD',
       'Total Net Value (EUR)': 520.66,
       'Total VAT Amount (EUR)': 109.34,
       'Number of Supplies': 6,
@@ -247,49 +774,298 @@ async function getSampleIOSSData() {
  * Process sample orders into IOSS format
  */
 function processIOSSOrdersSample(sampleOrders) {
-  const countryData = {};
+  const rateGroups = {};
   
   sampleOrders.forEach(order => {
-    const country = order.shipping_address?.country_code?.toUpperCase();
-    const totalValue = parseFloat(order.total_price);
+    const country = order.customer_country?.toUpperCase();
+    const totalValue = order.order_value_eur;
+    const supplyDate = order.order_date;
     
-    if (country && EU_COUNTRIES.includes(country)) {
-      if (!countryData[country]) {
-        countryData[country] = {
+    if (country && getMemberStateCodes(supplyDate).includes(country)) {
+      // Rate in force on the date of supply
+      const vatRate = getStandardRate(country, supplyDate);
+      const key = `${country}|${vatRate}`;
+
+      if (!rateGroups[key]) {
+        rateGroups[key] = {
           country,
+          vatRate,
           totalValue: 0,
           orderCount: 0
         };
       }
       
-      countryData[country].totalValue += totalValue;
-      countryData[country].orderCount += 1;
+      rateGroups[key].totalValue += totalValue;
+      rateGroups[key].orderCount += 1;
     }
   });
 
-  return Object.values(countryData).map(data => {
-    const vatRate = EU_VAT_RATES[data.country] || 20;
-    const netValue = data.totalValue / (1 + vatRate / 100);
+  return Object.values(rateGroups).map(data => {
+    const netValue = data.totalValue / (1 + data.vatRate / 100);
     const vatAmount = data.totalValue - netValue;
 
     return {
       'Member State of Destination': data.country,
+      'VAT Rate Type': 'STANDARD',
       'Total Net Value (EUR)': parseFloat(netValue.toFixed(2)),
       'Total VAT Amount (EUR)': parseFloat(vatAmount.toFixed(2)),
       'Number of Supplies': data.orderCount,
-      'VAT Rate (%)': vatRate
+      'VAT Rate (%)': data.vatRate
     };
   });
 }
 
+// Columns of the order-level audit ledger
+const LEDGER_FIELDS = [
+  'Order ID',
+  'Order Number',
+  'Date of Supply',
+  'Member State of Destination',
+  'Currency',
+  'Order Total',
+  'Exchange Rate',
+  'Consignment Value (EUR)',
+  'Refund Adjustment (EUR)',
+  'VAT Rate Type',
+  'VAT Rate (%)',
+  'Taxable Amount (EUR)',
+  'Net Value (EUR)',
+  'VAT Charged (EUR)',
+  'Rule Version'
+];
+
+/**
+ * Build the audit ledger rows for a set of orders
+ * Orders whose lines take different rates get one row per rate; the refund
+ * adjustment is shown on the order's first row so the column sums per order
+ * @param {Array} orders - Order documents
+ * @returns {Array} Ledger rows (LEDGER_FIELDS column names)
+ */
+export function buildLedgerRows(orders) {
+  return orders.flatMap(order => {
+    // Shares at the same rate are merged into one row
+    const byRate = {};
+    getOrderRateShares(order).forEach(({ value, rate, rateType }) => {
+      const key = `${rateType}|${rate}`;
+      byRate[key] ||= { rate, rateType, value: 0 };
+      byRate[key].value += value;
+    });
+
+    const ruleVersion = order.ruleVersion || Order.classify({
+      ...order.toObject(),
+      intrinsicValueEur: calculateIntrinsicValueEur(order)
+    }).ruleVersion;
+
+    return Object.values(byRate).map(({ rate, rateType, value }, index) => {
+      const netValue = value / (1 + rate / 100);
+
+      return {
+        'Order ID': order.shopifyOrderId,
+        'Order Number': order.orderNumber,
+        'Date of Supply': order.shopifyCreatedAt ? order.shopifyCreatedAt.toISOString().split('T')[0] : '',
+        'Member State of Destination': order.customerCountry,
+        'Currency': order.currency,
+        'Order Total': order.totalPrice,
+        'Exchange Rate': order.exchangeRate?.rate ?? (order.currency?.toUpperCase() === 'EUR' ? 1 : ''),
+        'Consignment Value (EUR)': parseFloat(calculateIntrinsicValueEur(order).toFixed(2)),
+        'Refund Adjustment (EUR)': index === 0 && order.totalRefundedEur ? -order.totalRefundedEur : 0,
+        'VAT Rate Type': rateType || 'STANDARD',
+        'VAT Rate (%)': rate,
+        'Taxable Amount (EUR)': parseFloat(value.toFixed(2)),
+        'Net Value (EUR)': parseFloat(netValue.toFixed(2)),
+        'VAT Charged (EUR)': parseFloat((value - netValue).toFixed(2)),
+        'Rule Version': ruleVersion
+      };
+    });
+  });
+}
+
+/**
+ * Build the ledger rows of each order as it is read
+ * @param {Object} orders - Array or async iterable of Order documents
+ * @yields {Array} Ledger rows of one order
+ */
+export async function* ledgerRowsFromOrders(orders) {
+  for await (const order of orders) {
+    yield buildLedgerRows([order]);
+  }
+}
+
+/**
+ * Read the ledger snapshot of a declared return, grouped by order
+ * @param {Object} iossReturn - IossReturn document
+ * @yields {Array} Ledger rows of one order
+ */
+export async function* ledgerRowsFromSnapshot(iossReturn) {
+  let group = [];
+  for await (const line of ReturnLedgerLine.streamRows(iossReturn._id)) {
+    const row = line.toLedgerRow();
+    if (group.length > 0 && group[0]['Order ID'] !== row['Order ID']) {
+      yield group;
+      group = [];
+    }
+    group.push(row);
+  }
+  if (group.length > 0) {
+    yield group;
+  }
+}
+
+/**
+ * Check whether a declared return's ledger was snapshotted when it was locked
+ * @param {Object} iossReturn - IossReturn document
+ * @returns {boolean} True when the ledger can be served from the snapshot
+ */
+const hasLedgerSnapshot = (iossReturn) => Boolean(iossReturn.ledgerSnapshotAt);
+
+/**
+ * Snapshot the audit ledger of a draft's orders, for locking
+ * Rows are written in batches while the period's eligible orders are read;
+ * rows left by an earlier attempt to lock the draft are replaced. The draft
+ * is not changed: set ledgerSnapshotAt once the snapshot matches its figures.
+ * @param {Object} iossReturn - IossReturn document (draft, saved)
+ * @returns {Object} { orderCount, rowCount }
+ * @throws {Error} When the return is not a draft
+ */
+export const writeLedgerSnapshot = async (iossReturn) => {
+  if (iossReturn.status !== 'draft') {
+    throw new Error(`IOSS return ${iossReturn.period} is ${iossReturn.status}; its ledger can no longer be snapshotted`);
+  }
+
+  await ReturnLedgerLine.deleteMany({ returnId: iossReturn._id });
+
+  let batch = [];
+  let orderCount = 0;
+  let rowCount = 0;
+
+  for await (const order of streamReturnOrders(iossReturn)) {
+    buildLedgerRows([order]).forEach(row => batch.push(
+      ReturnLedgerLine.fromLedgerRow(row, { returnId: iossReturn._id, orderId: order._id })
+    ));
+    orderCount++;
+
+    if (batch.length >= LEDGER_BATCH_SIZE) {
+      await ReturnLedgerLine.insertMany(batch);
+      rowCount += batch.length;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await ReturnLedgerLine.insertMany(batch);
+    rowCount += batch.length;
+  }
+
+  return { orderCount, rowCount };
+};
+
+/**
+ * Remove the ledger snapshot rows of a draft (after a failed lock)
+ * @param {Object} iossReturn - IossReturn document
+ */
+export const discardLedgerSnapshot = (iossReturn) => ReturnLedgerLine.deleteMany({ returnId: iossReturn._id });
+
+/**
+ * Write the audit ledger as CSV to a stream, one order at a time
+ * @param {Object} stream - Writable stream, ended when the ledger is complete
+ * @param {Object} ledgerRows - Iterable or async iterable of each order's ledger rows
+ * @param {Object} period - Reporting period
+ * @param {Object} [storedReturn] - Declared return the ledger belongs to
+ * @param {Object} [identification] - { iossNumber, intermediaryNumber }
+ * @returns {Object} { orderCount, rowCount }
+ */
+export async function writeLedgerCSV(stream, ledgerRows, period, storedReturn, identification = {}) {
+  const csvOptions = {
+    fields: LEDGER_FIELDS,
+    delimiter: ',',
+    quote: '"'
+  };
+  const rowParser = new Parser({ ...csvOptions, header: false });
+
+  let source = 'current order data (no declared return)';
+  if (storedReturn) {
+    source = `${storedReturn.status} return${storedReturn.filingReference ? ` (${storedReturn.filingReference})` : ''}`;
+    source += hasLedgerSnapshot(storedReturn)
+      ? `, as locked${storedReturn.lockedAt ? ` on ${storedReturn.lockedAt.toISOString().split('T')[0]}` : ''}`
+      : ', declared orders as stored now (locked before ledger snapshots were kept)';
+  }
+
+  // Ledger header (as comment)
+  stream.write(`# EU IOSS Supply Ledger - ${period.label}
+# Generated on: ${new Date().toISOString()}
+# Reporting Period: ${period.key} (${period.start.toISOString().split('T')[0]} to ${period.lastDay})
+${formatIossNumberHeader(identification)}# Source: ${source}
+${new Parser({ ...csvOptions, header: true }).parse([])}`);
+
+  let orderCount = 0;
+  let rowCount = 0;
+
+  for await (const rows of ledgerRows) {
+    if (stream.destroyed) break;
+
+    stream.write(`\n${rowParser.parse(rows)}`);
+    orderCount++;
+    rowCount += rows.length;
+    await waitForDrain(stream);
+  }
+
+  stream.end();
+  await finished(stream);
+
+  return { orderCount, rowCount };
+}
+
+/**
+ * Describe orders of a return converted at provisional ECB rates, or left out
+ * because no rate was available
+ * @param {Object} [exchangeRates] - { provisional, missing } order counts
+ * @returns {Array<string>} Warnings (empty when every rate is final)
+ */
+export const describeExchangeRateIssues = ({ provisional = 0, missing = 0 } = {}) => [
+  ...(provisional > 0
+    ? [`${provisional} order(s) converted at provisional ECB rates - the rate for the last day of the period is not available yet`]
+    : []),
+  ...(missing > 0
+    ? [`${missing} order(s) left out - no ECB rate for their currency and date; import the rates and reclassify`]
+    : [])
+];
+
+/**
+ * Format the IOSS number lines of a CSV header (as comments)
+ * @param {Object} identification - { iossNumber, intermediaryNumber }
+ * @returns {string} Header lines
+ */
+const formatIossNumberHeader = ({ iossNumber, intermediaryNumber } = {}) =>
+  `# IOSS Number: ${iossNumber || 'Not registered'}\n` +
+  (intermediaryNumber ? `# Intermediary Number: ${intermediaryNumber}\n` : '');
+
+/**
+ * Convert computed corrections to report rows (CSV column names)
+ * @param {Array} corrections - [{ memberState, period, netValue, vatAmount }]
+ * @returns {Array} Correction rows
+ */
+const toCorrectionRows = (corrections) => corrections.map(correction => ({
+  'Member State of Destination': correction.memberState,
+  'Period': correction.period,
+  'Net Value Correction (EUR)': correction.netValue,
+  'VAT Amount Correction (EUR)': correction.vatAmount
+}));
+
 /**
  * Generate CSV content from IOSS data
+ * @param {Array} data - Return lines
+ * @param {Object} [period] - Reporting period (adds the return header when given)
+ * @param {Array} [corrections] - Correction rows for previous returns
+ * @param {Object} [identification] - { iossNumber, intermediaryNumber } for the header
+ * @param {string} [reportType] - REAL, NIL or DEMO for the header
+ * @param {Array<string>} [warnings] - Exchange rate warnings for the header
  */
-function generateCSVContent(data) {
+export function generateCSVContent(data, period, corrections = [], identification = {}, reportType, warnings = []) {
   console.log('📝 Generating CSV content...');
   
   const csvFields = [
     'Member State of Destination',
+    'VAT Rate Type',
     'Total Net Value (EUR)',
     'Total VAT Amount (EUR)', 
     'Number of Supplies',
@@ -312,10 +1088,386 @@ function generateCSVContent(data) {
     return csvRow;
   });
 
-  const csvContent = json2csvParser.parse(csvData);
+  let csvContent = json2csvParser.parse(csvData);
   console.log(`✅ Generated CSV with ${data.length} rows`);
+
+  // Corrections to previous returns, per member state and original period
+  if (corrections.length > 0) {
+    const correctionsParser = new Parser({
+      fields: ['Member State of Destination', 'Period', 'Net Value Correction (EUR)', 'VAT Amount Correction (EUR)'],
+      header: true,
+      delimiter: ',',
+      quote: '"'
+    });
+    csvContent += `\n\n# Corrections to previous returns\n${correctionsParser.parse(corrections)}`;
+    console.log(`✅ Added ${corrections.length} correction rows`);
+  }
   
-  return csvContent;
+  if (!period) {
+    return csvContent;
+  }
+
+  // IOSS return header (as comment)
+  const reportHeader = `# EU IOSS Monthly Return - ${period.label}
+# Generated on: ${new Date().toISOString()}
+# Reporting Period: ${period.key} (${period.start.toISOString().split('T')[0]} to ${period.lastDay})
+${reportType === 'DEMO' ? '# Report Type: DEMO - sample data, not for filing\n' : formatIossNumberHeader(identification)}${data.length === 0 ? '# Nil return: no IOSS supplies in this period\n' : ''}${warnings.map(warning => `# Warning: ${warning}\n`).join('')}`;
+
+  return reportHeader + csvContent;
+}
+
+/**
+ * Format a EUR amount for the PDF report
+ * @param {number} amount - Amount in EUR
+ * @returns {string} Amount, e.g. "€1,234.50"
+ */
+const formatEur = (amount) => `€${(amount || 0).toLocaleString('en-IE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Start a simple table on the PDF, repeating the header row on page breaks
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - [{ header, width, align }]
+ * @returns {Function} drawRow(cells, font) adding one row
+ */
+function startPDFTable(doc, columns) {
+  const left = doc.page.margins.left;
+  const rowHeight = 18;
+
+  const drawRow = (cells, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(String(cell), x + 4, y + 5, { width: width - 8, align, lineBreak: false });
+      x += width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => {
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+    doc.rect(left, doc.y, width, rowHeight).fill('#f1f5f9');
+    doc.fillColor('#000000');
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+  };
+
+  drawHeader();
+  return drawRow;
+}
+
+/**
+ * Draw a simple table on the PDF, repeating the header row on page breaks
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - [{ header, width, align }]
+ * @param {Array} rows - Arrays of cell text, one per column
+ * @param {Object} [options] - { bold: row indexes to print in bold }
+ */
+function drawPDFTable(doc, columns, rows, { bold = [] } = {}) {
+  const drawRow = startPDFTable(doc, columns);
+  rows.forEach((cells, index) => drawRow(cells, bold.includes(index) ? 'Helvetica-Bold' : 'Helvetica'));
+  doc.moveDown();
+}
+
+/**
+ * Write a PDF filing summary from IOSS data to a stream
+ * Cover page, per member state table by rate, totals, corrections and an
+ * appendix listing every included order. Rendered in-process with PDFKit,
+ * pages are flushed to the stream as they are completed.
+ * @param {Object} stream - Writable stream, ended when the document is complete
+ * @param {Array} data - Return lines
+ * @param {Object} period - Reporting period
+ * @param {Array} [corrections] - [{ memberState, period, netValue, vatAmount }]
+ * @param {Object} [options] - { shop, iossNumber, intermediaryNumber, orders, supplies, warnings, sample }
+ * (orders: array or async iterable of Order documents)
+ */
+export async function writePDFReport(stream, data, period, corrections = [], { shop, iossNumber, intermediaryNumber, orders = [], supplies, warnings = [], sample = false } = {}) {
+  console.log('📝 Generating PDF content...');
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `IOSS Return ${period.label}`, Author: 'VATpilot' } });
+  doc.pipe(stream);
+
+  const netValue = data.reduce((sum, row) => sum + row['Total Net Value (EUR)'], 0);
+  const vatAmount = data.reduce((sum, row) => sum + row['Total VAT Amount (EUR)'], 0);
+  const correctionsVat = corrections.reduce((sum, correction) => sum + correction.vatAmount, 0);
+  const rowSupplies = data.reduce((sum, row) => sum + (row['Number of Supplies'] || 0), 0);
+
+  // Cover page
+  doc.font('Helvetica-Bold').fontSize(24).text('EU IOSS Monthly Return', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(14).text(data.length === 0 ? 'Filing summary - nil return' : 'Filing summary', { align: 'center' });
+  doc.moveDown(3);
+
+  [
+    ['Shop', shop || '-'],
+    ['IOSS number', iossNumber || 'Not registered'],
+    ...(intermediaryNumber ? [['Intermediary number', intermediaryNumber]] : []),
+    ['Reporting period', `${period.label} (${period.start.toISOString().split('T')[0]} to ${period.lastDay})`],
+    ['Generated on', new Date().toISOString()],
+    ['Number of supplies', supplies],
+    ['Total VAT due', formatEur(vatAmount + correctionsVat)]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(String(value));
+    doc.moveDown(0.4);
+  });
+
+  if (sample) {
+    doc.moveDown(2);
+    doc.fillColor('#b91c1c').font('Helvetica-Bold').fontSize(12)
+      .text('DEMO REPORT - built from sample data. Not for filing.', { align: 'center' });
+    doc.fillColor('#000000');
+  }
+
+  if (warnings.length > 0) {
+    doc.moveDown(2);
+    doc.fillColor('#b45309').font('Helvetica-Bold').fontSize(11).text('Exchange rates');
+    doc.font('Helvetica').fontSize(10);
+    warnings.forEach(warning => doc.text(warning));
+    doc.fillColor('#000000');
+  }
+
+  // Per member state breakdown by rate
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(16).text('Supplies by Member State of Consumption');
+  doc.moveDown(0.5);
+  if (data.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('Nil return: no IOSS supplies were made in this period.');
+    doc.moveDown();
+  }
+  drawPDFTable(doc, [
+    { header: 'Member State', width: 85 },
+    { header: 'Rate Type', width: 75 },
+    { header: 'VAT Rate', width: 60, align: 'right' },
+    { header: 'Net Value', width: 95, align: 'right' },
+    { header: 'VAT Amount', width: 90, align: 'right' },
+    { header: 'Supplies', width: 90, align: 'right' }
+  ], [
+    ...data.map(row => [
+      row['Member State of Destination'],
+      row['VAT Rate Type'] || 'STANDARD',
+      `${row['VAT Rate (%)']}%`,
+      formatEur(row['Total Net Value (EUR)']),
+      formatEur(row['Total VAT Amount (EUR)']),
+      row['Number of Supplies']
+    ]),
+    ['Total', '', '', formatEur(netValue), formatEur(vatAmount), supplies]
+  ], { bold: [data.length] });
+  if (rowSupplies > supplies) {
+    doc.font('Helvetica').fontSize(9)
+      .text('Orders with lines at different VAT rates are counted on each rate\'s row; the total counts each order once.');
+    doc.moveDown();
+  }
+
+  // Totals
+  doc.font('Helvetica-Bold').fontSize(16).text('Totals');
+  doc.moveDown(0.5);
+  drawPDFTable(doc, [
+    { header: '', width: 300 },
+    { header: 'EUR', width: 195, align: 'right' }
+  ], [
+    ['VAT on supplies in this period', formatEur(vatAmount)],
+    ['Corrections to previous returns', formatEur(correctionsVat)],
+    ['Total VAT due', formatEur(vatAmount + correctionsVat)]
+  ], { bold: [2] });
+
+  // Corrections to previous returns
+  doc.font('Helvetica-Bold').fontSize(16).text('Corrections to Previous Returns');
+  doc.moveDown(0.5);
+  if (corrections.length > 0) {
+    drawPDFTable(doc, [
+      { header: 'Member State', width: 110 },
+      { header: 'Period', width: 110 },
+      { header: 'Net Value Correction', width: 140, align: 'right' },
+      { header: 'VAT Correction', width: 135, align: 'right' }
+    ], corrections.map(correction => [
+      correction.memberState,
+      correction.period,
+      formatEur(correction.netValue),
+      formatEur(correction.vatAmount)
+    ]));
+  } else {
+    doc.font('Helvetica').fontSize(10).text('No corrections to previous returns.');
+  }
+
+  // Audit appendix: every order included in the return
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(16).text('Appendix: Included Orders');
+  doc.moveDown(0.5);
+  let drawOrderRow = null;
+  let orderCount = 0;
+  for await (const order of orders) {
+    if (stream.destroyed) break;
+
+    drawOrderRow ||= startPDFTable(doc, [
+      { header: 'Order', width: 110 },
+      { header: 'Date', width: 100 },
+      { header: 'Destination', width: 90 },
+      { header: 'Taxable Amount (EUR)', width: 195, align: 'right' }
+    ]);
+    drawOrderRow([
+      order.orderNumber || order.shopifyOrderId,
+      order.shopifyCreatedAt ? order.shopifyCreatedAt.toISOString().split('T')[0] : '-',
+      order.customerCountry,
+      formatEur(getTaxableValueEur(order))
+    ], 'Helvetica');
+    orderCount++;
+    await waitForDrain(stream);
+  }
+  if (orderCount === 0) {
+    doc.font('Helvetica').fontSize(10).text(sample
+      ? 'Sample report - no shop orders included.'
+      : 'No orders included.');
+  }
+
+  doc.end();
+  await finished(stream);
+  console.log(`✅ Generated PDF with ${data.length} rows and ${orderCount} orders`);
+}
+
+/**
+ * Add a sheet with a bold, frozen header row and column number formats
+ * @param {Object} workbook - ExcelJS workbook (or streaming workbook writer)
+ * @param {string} name - Sheet name
+ * @param {Array} columns - [{ header, key, width, numFmt }]
+ * @returns {Object} Worksheet
+ */
+function addXLSXSheet(workbook, name, columns) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(({ header, key, width, numFmt }) => ({
+    header,
+    key,
+    width,
+    style: numFmt ? { numFmt } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  return sheet;
+}
+
+/**
+ * Write an Excel workbook from IOSS data to a stream
+ * Sheets: return summary, per member state lines and order-level detail
+ * (one row per order and VAT rate when an order's lines take different rates).
+ * Uses the ExcelJS streaming writer: rows are committed as they are added.
+ * @param {Object} stream - Writable stream, ended when the workbook is complete
+ * @param {Array} data - Return lines
+ * @param {Object} period - Reporting period
+ * @param {Array} [corrections] - [{ memberState, period, netValue, vatAmount }]
+ * @param {Object} [options] - { shop, iossNumber, intermediaryNumber, orders, supplies, warnings, sample }
+ * (orders: array or async iterable of Order documents)
+ */
+export async function writeXLSXReport(stream, data, period, corrections = [], { shop, iossNumber, intermediaryNumber, orders = [], supplies, warnings = [], sample = false } = {}) {
+  console.log('📝 Generating XLSX content...');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  workbook.creator = 'VATpilot';
+  workbook.created = new Date();
+
+  const netValue = data.reduce((sum, row) => sum + row['Total Net Value (EUR)'], 0);
+  const vatAmount = data.reduce((sum, row) => sum + row['Total VAT Amount (EUR)'], 0);
+  const correctionsVat = corrections.reduce((sum, correction) => sum + correction.vatAmount, 0);
+
+  // Return summary
+  const summary = addXLSXSheet(workbook, 'Summary', [
+    { header: 'Item', key: 'item', width: 36 },
+    { header: 'Value', key: 'value', width: 28, numFmt: '#,##0.00' }
+  ]);
+  [
+    { item: 'Shop', value: shop || '' },
+    { item: 'IOSS Number', value: iossNumber || 'Not registered' },
+    { item: 'Intermediary Number', value: intermediaryNumber || '' },
+    { item: 'Reporting Period', value: period.key },
+    { item: 'Period Start', value: period.start.toISOString().split('T')[0] },
+    { item: 'Period End', value: period.lastDay },
+    { item: 'Generated On', value: new Date().toISOString() },
+    { item: 'Data', value: sample ? 'SAMPLE - not for filing' : 'Shop orders' },
+    { item: 'Nil Return', value: data.length === 0 ? 'Yes' : 'No' },
+    { item: 'Number of Supplies', value: supplies },
+    { item: 'Total Net Value (EUR)', value: parseFloat(netValue.toFixed(2)) },
+    { item: 'Total VAT Amount (EUR)', value: parseFloat(vatAmount.toFixed(2)) },
+    { item: 'Corrections VAT Amount (EUR)', value: parseFloat(correctionsVat.toFixed(2)) },
+    { item: 'Total VAT Due (EUR)', value: parseFloat((vatAmount + correctionsVat).toFixed(2)), bold: true },
+    ...warnings.map(warning => ({ item: 'Exchange Rate Warning', value: warning }))
+  ].forEach(({ item, value, bold }) => {
+    const row = summary.addRow({ item, value });
+    // Number of Supplies is a count
+    if (item === 'Number of Supplies') row.getCell(2).numFmt = '0';
+    if (bold) row.font = { bold: true };
+  });
+
+  if (corrections.length > 0) {
+    summary.addRow([]);
+    const headerRow = summary.addRow(['Corrections to previous returns']);
+    headerRow.font = { bold: true };
+    corrections.forEach(correction => {
+      summary.addRow([`${correction.memberState} ${correction.period} (VAT)`, correction.vatAmount]);
+    });
+  }
+  summary.commit();
+
+  // Per member state lines
+  const lines = addXLSXSheet(workbook, 'Member States', [
+    { header: 'Member State of Destination', key: 'memberState', width: 28 },
+    { header: 'VAT Rate Type', key: 'rateType', width: 16 },
+    { header: 'VAT Rate (%)', key: 'vatRate', width: 14, numFmt: '0.00' },
+    { header: 'Total Net Value (EUR)', key: 'netValue', width: 22, numFmt: '#,##0.00' },
+    { header: 'Total VAT Amount (EUR)', key: 'vatAmount', width: 22, numFmt: '#,##0.00' },
+    { header: 'Number of Supplies', key: 'supplies', width: 20, numFmt: '0' }
+  ]);
+  data.forEach(row => lines.addRow({
+    memberState: row['Member State of Destination'],
+    rateType: row['VAT Rate Type'] || 'STANDARD',
+    vatRate: row['VAT Rate (%)'],
+    netValue: row['Total Net Value (EUR)'],
+    vatAmount: row['Total VAT Amount (EUR)'],
+    supplies: row['Number of Supplies']
+  }));
+  lines.commit();
+
+  // Order-level detail
+  const detail = addXLSXSheet(workbook, 'Orders', [
+    { header: 'Order Number', key: 'orderNumber', width: 16 },
+    { header: 'Order Date', key: 'date', width: 14, numFmt: 'yyyy-mm-dd' },
+    { header: 'Destination', key: 'destination', width: 12 },
+    { header: 'Currency', key: 'currency', width: 10 },
+    { header: 'Amount (EUR)', key: 'amountEur', width: 16, numFmt: '#,##0.00' },
+    { header: 'VAT Rate (%)', key: 'vatRate', width: 14, numFmt: '0.00' },
+    { header: 'VAT Amount (EUR)', key: 'vatAmount', width: 18, numFmt: '#,##0.00' }
+  ]);
+  let orderCount = 0;
+  for await (const order of orders) {
+    if (stream.destroyed) break;
+
+    // Shares at the same rate are merged into one row
+    const byRate = {};
+    getOrderRateShares(order).forEach(({ value, rate }) => {
+      byRate[rate] = (byRate[rate] || 0) + value;
+    });
+
+    Object.entries(byRate).forEach(([rate, value]) => detail.addRow({
+      orderNumber: order.orderNumber || order.shopifyOrderId,
+      date: order.shopifyCreatedAt,
+      destination: order.customerCountry,
+      currency: order.currency,
+      amountEur: parseFloat(value.toFixed(2)),
+      vatRate: parseFloat(rate),
+      vatAmount: parseFloat((value - value / (1 + rate / 100)).toFixed(2))
+    }).commit());
+    orderCount++;
+    await waitForDrain(stream);
+  }
+  detail.commit();
+
+  await workbook.commit();
+  await finished(stream);
+  console.log(`✅ Generated XLSX with ${data.length} rows and ${orderCount} orders`);
 }
 
 /**
@@ -342,6 +1494,7 @@ export const getStaticSampleReport = async (req, res) => {
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.setHeader('Pragma', 'no-cache');
       res.setHeader('Expires', '0');
+      res.setHeader(REPORT_TYPE_HEADER, 'DEMO');
       
       // Send file content directly
       res.send(fileContent);
@@ -355,6 +1508,7 @@ export const getStaticSampleReport = async (req, res) => {
       const fallbackData = [
         {
           'Member State of Destination': 'DE',
+          'VAT Rate Type': 'STANDARD',
           'Total Net Value (EUR)': 840.34,
           'Total VAT Amount (EUR)': 159.66,
           'Number of Supplies': 15,
@@ -362,6 +1516,7 @@ export const getStaticSampleReport = async (req, res) => {
         },
         {
           'Member State of Destination': 'FR',
+          'VAT Rate Type': 'STANDARD',
           'Total Net Value (EUR)': 625.00,
           'Total VAT Amount (EUR)': 125.00,
           'Number of Supplies': 8,
@@ -369,6 +1524,7 @@ export const getStaticSampleReport = async (req, res) => {
         },
         {
           'Member State of Destination': 'ES',
+          'VAT Rate Type': 'STANDARD',
           'Total Net Value (EUR)': 520.66,
           'Total VAT Amount (EUR)': 109.34,
           'Number of Supplies': 6,
@@ -385,6 +1541,7 @@ export const getStaticSampleReport = async (req, res) => {
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.setHeader('Pragma', 'no-cache');
       res.setHeader('Expires', '0');
+      res.setHeader(REPORT_TYPE_HEADER, 'DEMO');
       
       // Send generated CSV content
       res.send(csvContent);
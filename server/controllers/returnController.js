@@ -0,0 +1,346 @@
+import IossReturn from '../models/IossReturn.js';
+import Lead from '../models/Lead.js';
+import { computeReturnData, describeExchangeRateIssues, discardLedgerSnapshot, failReportResponse, getDeclaredIossNumbers, streamReport, streamReturnOrders, ORDER_DETAIL_FORMATS, REPORT_CONTENT_TYPES, REPORT_FORMATS, REPORT_TYPE_HEADER, writeLedgerSnapshot } from './reportController.js';
+import { parsePeriod } from '../tax/index.js';
+
+/**
+ * Find a shop's return by ID, sending 400/404 when it can't be loaded
+ * @returns {Object|null} IossReturn document or null when a response was sent
+ */
+async function findShopReturn(req, res) {
+  const leadId = req.body?.leadId || req.query.leadId;
+
+  if (!leadId) {
+    res.status(400).json({
+      error: 'leadId is required'
+    });
+    return null;
+  }
+
+  const iossReturn = await IossReturn.findOne({ _id: req.params.returnId, shopId: leadId });
+  if (!iossReturn) {
+    res.status(404).json({
+      error: 'IOSS return not found'
+    });
+    return null;
+  }
+
+  return iossReturn;
+}
+
+/**
+ * Recompute a draft's figures from the shop's current orders, and its IOSS
+ * numbers from the registry
+ * @param {Object} iossReturn - IossReturn document (draft, unsaved afterwards)
+ * @param {Object} lead - Lead document of the shop
+ * @param {Object} period - Reporting period
+ * @returns {Object} { exchangeRates } counts of orders at provisional rates or without a rate
+ */
+async function computeDraftFigures(iossReturn, lead, period) {
+  const { reportData, supplies, corrections, exchangeRates } = await computeReturnData(lead._id, period, iossReturn._id);
+  const { iossNumber, intermediaryNumber } = lead.getIossNumbers(period);
+
+  iossReturn.iossNumber = iossNumber;
+  iossReturn.intermediaryNumber = intermediaryNumber;
+  iossReturn.setFigures({
+    lines: IossReturn.linesFromReportRows(reportData),
+    supplies,
+    corrections
+  });
+
+  return { exchangeRates };
+}
+
+/**
+ * Create the draft return for a period, or recompute an existing draft
+ * Body: { leadId, period: 'YYYY-MM' }
+ */
+export const saveDraftReturn = async (req, res) => {
+  try {
+    const { leadId } = req.body;
+    const period = parsePeriod(req.body.period);
+
+    if (!leadId || !period) {
+      return res.status(400).json({
+        error: 'leadId and period (YYYY-MM) are required'
+      });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    let iossReturn = await IossReturn.findOne({ shopId: leadId, period: period.key });
+    if (iossReturn && iossReturn.status !== 'draft') {
+      return res.status(409).json({
+        error: 'Return is not a draft',
+        message: `The ${period.key} return is ${iossReturn.status} and can no longer be recomputed`
+      });
+    }
+
+    if (!iossReturn) {
+      iossReturn = new IossReturn({
+        shopId: leadId,
+        period: period.key,
+        periodStart: period.start,
+        periodEnd: period.end,
+        history: [{ status: 'draft', at: new Date() }]
+      });
+    }
+
+    await computeDraftFigures(iossReturn, lead, period);
+    await iossReturn.save();
+
+    console.log(`📝 Draft IOSS return ${period.key} saved for ${lead.shopifyShopDomain || leadId}`);
+
+    res.json({
+      success: true,
+      data: iossReturn
+    });
+
+  } catch (error) {
+    console.error('❌ Draft return error:', error);
+    res.status(500).json({
+      error: 'Failed to save draft return',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List a shop's returns, newest period first
+ * Query: leadId
+ */
+export const listReturns = async (req, res) => {
+  try {
+    const { leadId } = req.query;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId parameter is required'
+      });
+    }
+
+    const returns = await IossReturn.find({ shopId: leadId })
+      .select('-orderIds')
+      .sort({ period: -1 });
+
+    res.json({
+      success: true,
+      data: returns
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing returns:', error);
+    res.status(500).json({
+      error: 'Failed to list returns',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single return with its lines, totals and corrections
+ * Query: leadId
+ */
+export const getReturn = async (req, res) => {
+  try {
+    const iossReturn = await findShopReturn(req, res);
+    if (!iossReturn) return;
+
+    res.json({
+      success: true,
+      data: iossReturn
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching return:', error);
+    res.status(500).json({
+      error: 'Failed to fetch return',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Lock a draft return so its figures can no longer change
+ * Only once the period has ended; the figures are recomputed from the orders
+ * as they are now, so a draft saved before the latest sync can't be frozen.
+ * Refused while any order lacks a final ECB rate. The order-level audit
+ * ledger is snapshotted with the figures.
+ * Body: { leadId }
+ */
+export const lockReturn = async (req, res) => {
+  try {
+    const iossReturn = await findShopReturn(req, res);
+    if (!iossReturn) return;
+
+    if (iossReturn.status !== 'draft') {
+      return res.status(409).json({
+        error: 'Return is not a draft',
+        message: `The ${iossReturn.period} return is already ${iossReturn.status}`
+      });
+    }
+
+    const period = parsePeriod(iossReturn.period);
+    if (period.end > new Date()) {
+      return res.status(409).json({
+        error: 'Period not closed',
+        message: `The ${period.key} period runs until ${period.lastDay}; its return can be locked once it has ended`
+      });
+    }
+
+    const lead = await Lead.findById(iossReturn.shopId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    const draftTotals = { ...iossReturn.totals.toObject() };
+    const { exchangeRates } = await computeDraftFigures(iossReturn, lead, period);
+
+    const rateIssues = describeExchangeRateIssues(exchangeRates);
+    if (rateIssues.length > 0) {
+      return res.status(409).json({
+        error: 'Exchange rates not final',
+        message: rateIssues.join('; ')
+      });
+    }
+
+    if (['netValue', 'vatAmount', 'supplies'].some(field => draftTotals[field] !== iossReturn.totals[field])) {
+      console.log(`🔁 IOSS return ${period.key} figures changed since the draft was saved, locking the current figures`);
+    }
+
+    // Figures are frozen once the return has left draft, so store them first
+    await iossReturn.save();
+
+    // The ledger is kept as locked, so later order changes don't rewrite it
+    const { orderCount } = await writeLedgerSnapshot(iossReturn);
+    if (orderCount !== iossReturn.totals.supplies) {
+      await discardLedgerSnapshot(iossReturn);
+      return res.status(409).json({
+        error: 'Orders changed while locking',
+        message: `The ${period.key} orders changed while the return was being locked; lock it again`
+      });
+    }
+
+    iossReturn.ledgerSnapshotAt = new Date();
+    await iossReturn.save();
+    iossReturn.transitionTo('locked', req.body.note);
+    await iossReturn.save();
+
+    console.log(`🔒 IOSS return ${iossReturn.period} locked`);
+
+    res.json({
+      success: true,
+      data: iossReturn
+    });
+
+  } catch (error) {
+    console.error('❌ Error locking return:', error);
+    res.status(500).json({
+      error: 'Failed to lock return',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark a locked return as filed with the merchant's filing reference
+ * Body: { leadId, filingReference }
+ */
+export const fileReturn = async (req, res) => {
+  try {
+    const filingReference = req.body.filingReference?.toString().trim();
+    if (!filingReference) {
+      return res.status(400).json({
+        error: 'filingReference is required'
+      });
+    }
+
+    const iossReturn = await findShopReturn(req, res);
+    if (!iossReturn) return;
+
+    if (iossReturn.status !== 'locked') {
+      return res.status(409).json({
+        error: 'Return is not locked',
+        message: `Lock the ${iossReturn.period} return before filing it (currently ${iossReturn.status})`
+      });
+    }
+
+    iossReturn.filingReference = filingReference;
+    iossReturn.transitionTo('filed', req.body.note);
+    await iossReturn.save();
+
+    // Returns corrected by this one are now amended
+    const { amended } = await IossReturn.markCorrected(iossReturn);
+    if (amended > 0) {
+      console.log(`🔁 ${amended} previous return(s) marked as amended`);
+    }
+
+    console.log(`📨 IOSS return ${iossReturn.period} filed (${filingReference})`);
+
+    res.json({
+      success: true,
+      data: iossReturn
+    });
+
+  } catch (error) {
+    console.error('❌ Error filing return:', error);
+    res.status(500).json({
+      error: 'Failed to file return',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download a return as CSV, XML, PDF or XLSX from its stored lines
+ * (XML in VATpilot's interchange format, not a member state filing schema)
+ * Query: leadId, format=csv|xml|pdf|xlsx (defaults to csv)
+ */
+export const exportReturn = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format parameter',
+        message: `Expected one of: ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const iossReturn = await findShopReturn(req, res);
+    if (!iossReturn) return;
+
+    const period = parsePeriod(iossReturn.period);
+    const filename = `IOSS_Return_${iossReturn.period.replace('-', '_')}_${iossReturn.status}.${format}`;
+    const lead = await Lead.findById(iossReturn.shopId);
+    const identification = getDeclaredIossNumbers(lead, period, iossReturn);
+
+    const reportData = iossReturn.toReportRows();
+    const reportType = reportData.length > 0 ? 'REAL' : 'NIL';
+
+    res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader(REPORT_TYPE_HEADER, reportType);
+
+    await streamReport(res, format, {
+      reportData,
+      period,
+      corrections: iossReturn.corrections,
+      identification,
+      shop: lead?.shopifyShopDomain || lead?.email,
+      orders: ORDER_DETAIL_FORMATS.includes(format) ? streamReturnOrders(iossReturn) : [],
+      supplies: iossReturn.totals.supplies,
+      reportType
+    });
+
+  } catch (error) {
+    console.error('❌ Error exporting return:', error);
+    failReportResponse(res, error, 'Failed to export return');
+  }
+};
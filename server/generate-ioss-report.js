@@ -3,59 +3,125 @@
 /**
  * VATpilot - IOSS Report Generation Logic
  * 
- * Processes synthetic order data to generate official EU IOSS Monthly Return CSV files.
+ * Processes synthetic order data to generate EU IOSS Monthly Return CSV or XML files.
  * Filters IOSS-eligible orders, applies EU VAT rates, and aggregates by member state.
  * 
- * Usage: node server/generate-ioss-report.js
+ * Usage: node server/generate-ioss-report.js [--period=YYYY-MM] [--format=csv|xml] [--ioss-number=IM...] [--intermediary-number=IN...]
  * Input: server/data/dummy_orders.json
- * Output: server/reports/ioss_return_2025_12.csv
+ * Output: server/reports/ioss_return_YYYY_MM.csv (or .xml)
+ * The period defaults to the last closed month; only orders supplied in it are reported.
+ * XML output is VATpilot's interchange format (server/schemas/ioss-return.xsd, validated
+ * before it is written), for importing into other tools; no member state portal accepts it.
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { Parser } from 'json2csv'
+import { classifyOrder, getStandardRate, parseIossNumber, resolvePeriod, toDateKey } from './tax/index.js'
+import { generateReturnXml } from './services/xmlReturn.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // Configuration
 const INPUT_FILE = path.join(__dirname, 'data/dummy_orders.json')
-const OUTPUT_FILE = path.join(__dirname, 'reports/ioss_return_2025_12.csv')
-
-// EU Member State VAT Rates (Standard Rates as of 2025)
-const EU_VAT_RATES = {
-  'AT': 20, // Austria
-  'BE': 21, // Belgium  
-  'BG': 20, // Bulgaria
-  'CY': 19, // Cyprus
-  'CZ': 21, // Czech Republic
-  'DE': 19, // Germany
-  'DK': 25, // Denmark
-  'EE': 22, // Estonia
-  'ES': 21, // Spain
-  'FI': 25.5, // Finland (24% + 1.5% for 2025)
-  'FR': 20, // France
-  'GR': 24, // Greece
-  'HR': 25, // Croatia
-  'HU': 27, // Hungary
-  'IE': 23, // Ireland
-  'IT': 22, // Italy
-  'LT': 21, // Lithuania
-  'LU': 17, // Luxembourg
-  'LV': 21, // Latvia
-  'MT': 18, // Malta
-  'NL': 21, // Netherlands
-  'PL': 23, // Poland
-  'PT': 23, // Portugal
-  'RO': 19, // Romania
-  'SE': 25, // Sweden
-  'SI': 22, // Slovenia
-  'SK': 20  // Slovakia
+
+const OUTPUT_FORMATS = ['csv', 'xml']
+
+/**
+ * Get the output path for a reporting period
+ * @param {Object} period - Reporting period
+ * @param {string} [format] - Output format (csv or xml)
+ * @returns {string} Report file path
+ */
+function getOutputFile(period, format = 'csv') {
+  return path.join(__dirname, `reports/ioss_return_${period.key.replace('-', '_')}.${format}`)
+}
+
+/**
+ * Read an option from the command line (--name=value or --name value)
+ * @param {Array} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ * @returns {string|null|undefined} Value, null when given without one, undefined when not given
+ */
+function getArgValue(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`))
+  if (index === -1) {
+    return undefined
+  }
+
+  const value = args[index].includes('=') ? args[index].split('=')[1] : args[index + 1]
+  return value || null
+}
+
+/**
+ * Read the reporting period from the command line (--period=YYYY-MM or --period YYYY-MM)
+ * @param {Array} args - Command line arguments
+ * @returns {Object|null} Period (last closed month when not given), null when invalid
+ */
+function getPeriodArg(args) {
+  const value = getArgValue(args, 'period')
+  if (value === undefined) {
+    return resolvePeriod()
+  }
+
+  return resolvePeriod(value || 'invalid')
 }
 
-// Default VAT rate for unknown countries
-const DEFAULT_VAT_RATE = 20
+/**
+ * Read the output format from the command line (--format=csv|xml)
+ * @param {Array} args - Command line arguments
+ * @returns {string|null} Format (csv when not given), null when invalid
+ */
+function getFormatArg(args) {
+  const value = getArgValue(args, 'format')
+  if (value === undefined) {
+    return 'csv'
+  }
+
+  const format = value?.toLowerCase()
+  return OUTPUT_FORMATS.includes(format) ? format : null
+}
+
+/**
+ * Read the IOSS and intermediary numbers from the command line
+ * (--ioss-number=IM... and --intermediary-number=IN...)
+ * @param {Array} args - Command line arguments
+ * @returns {Object} { iossNumber, intermediaryNumber } (undefined when not given)
+ * @throws {Error} When a number is malformed or of the wrong type
+ */
+function getIossNumberArgs(args) {
+  const options = [
+    { name: 'ioss-number', key: 'iossNumber', type: 'IOSS', prefix: 'IM' },
+    { name: 'intermediary-number', key: 'intermediaryNumber', type: 'INTERMEDIARY', prefix: 'IN' }
+  ]
+  const numbers = {}
+
+  for (const { name, key, type, prefix } of options) {
+    const value = getArgValue(args, name)
+    if (value === undefined) continue
+
+    const parsed = parseIossNumber(value)
+    if (!parsed || parsed.type !== type) {
+      throw new Error(`Invalid --${name}, expected ${prefix} + 3-digit member state code + 7 digits`)
+    }
+    numbers[key] = parsed.number
+  }
+
+  return numbers
+}
+
+/**
+ * Check whether an order was supplied in the reporting period
+ * @param {Object} order - Order object
+ * @param {Object} period - Reporting period
+ * @returns {boolean} True if the order date falls in the period
+ */
+function isInPeriod(order, period) {
+  const orderDate = toDateKey(order.order_date)
+  return orderDate >= toDateKey(period.start) && orderDate <= period.lastDay
+}
 
 /**
  * Determine if an order is IOSS eligible
@@ -63,26 +129,28 @@ const DEFAULT_VAT_RATE = 20
  * @returns {boolean} True if IOSS eligible
  */
 function isIOSSEligible(order) {
-  // IOSS eligibility criteria:
+  // IOSS eligibility criteria (shared rules, versioned by order date):
   // 1. Non-EU origin (dropshipping scenario)
   // 2. EU destination 
   // 3. Order value <= €150
-  // 4. Value >= €22 (below €22 is VAT exempt)
-  
-  const isNonEuOrigin = !Object.keys(EU_VAT_RATES).includes(order.origin_country)
-  const isEuDestination = Object.keys(EU_VAT_RATES).includes(order.customer_country)
-  const isValueInRange = order.order_value_eur >= 22 && order.order_value_eur <= 150
+  // 4. Order dated after the €22 exemption was abolished (July 2021)
   
-  return isNonEuOrigin && isEuDestination && isValueInRange
+  return classifyOrder({
+    destinationCountry: order.customer_country,
+    originCountry: order.origin_country,
+    intrinsicValueEur: order.order_value_eur,
+    supplyDate: order.order_date
+  }).iossEligible
 }
 
 /**
- * Get VAT rate for a given EU member state
+ * Get VAT rate for a given EU member state on the date of supply
  * @param {string} countryCode - Two-letter country code
+ * @param {Date|string} supplyDate - Order date
  * @returns {number} VAT rate as percentage
  */
-function getVATRate(countryCode) {
-  return EU_VAT_RATES[countryCode] || DEFAULT_VAT_RATE
+function getVATRate(countryCode, supplyDate) {
+  return getStandardRate(countryCode, supplyDate)
 }
 
 /**
@@ -98,13 +166,18 @@ function calculateVATAmount(taxableAmount, vatRate) {
 /**
  * Process orders and generate IOSS return data
  * @param {Array} orders - Array of order objects
+ * @param {Object} [period] - Reporting period (all orders when omitted)
  * @returns {Object} Processed IOSS data with statistics
  */
-function processOrdersForIOSS(orders) {
+function processOrdersForIOSS(orders, period) {
   console.log('🔄 Processing orders for IOSS compliance...')
   
-  // Step 1: Filter IOSS-eligible orders
+  // Step 1: Filter IOSS-eligible orders supplied in the period
   const iossEligibleOrders = orders.filter(order => {
+    if (period && !isInPeriod(order, period)) {
+      return false
+    }
+
     const eligible = isIOSSEligible(order)
     
     // Enhanced logging for validation
@@ -122,18 +195,20 @@ function processOrdersForIOSS(orders) {
     return { aggregatedData: [], statistics: { totalOrders: 0, totalCountries: 0 } }
   }
   
-  // Step 2: Map orders to IOSS return format and aggregate by country
+  // Step 2: Map orders to IOSS return format and aggregate by country and rate
+  // (a rate change inside the period splits the country into one row per rate)
   const countryAggregation = {}
   
   iossEligibleOrders.forEach(order => {
     const memberState = order.customer_country
-    const vatRate = getVATRate(memberState)
+    const vatRate = getVATRate(memberState, order.order_date)
     const taxableAmount = order.order_value_eur
     const vatAmount = calculateVATAmount(taxableAmount, vatRate)
+    const key = `${memberState}|${vatRate}`
     
     // Initialize country data if not exists
-    if (!countryAggregation[memberState]) {
-      countryAggregation[memberState] = {
+    if (!countryAggregation[key]) {
+      countryAggregation[key] = {
         memberState: memberState,
         vatRate: vatRate,
         taxableAmount: 0,
@@ -143,9 +218,9 @@ function processOrdersForIOSS(orders) {
     }
     
     // Aggregate values
-    countryAggregation[memberState].taxableAmount += taxableAmount
-    countryAggregation[memberState].vatAmount += vatAmount
-    countryAggregation[memberState].orderCount += 1
+    countryAggregation[key].taxableAmount += taxableAmount
+    countryAggregation[key].vatAmount += vatAmount
+    countryAggregation[key].orderCount += 1
   })
   
   // Step 3: Convert to array and round values
@@ -176,8 +251,10 @@ function processOrdersForIOSS(orders) {
  * Generate CSV file from IOSS data
  * @param {Array} data - Aggregated IOSS data
  * @param {string} outputPath - Output file path
+ * @param {Object} period - Reporting period
+ * @param {Object} [identification] - { iossNumber, intermediaryNumber }
  */
-function generateCSVReport(data, outputPath) {
+function generateCSVReport(data, outputPath, period, { iossNumber, intermediaryNumber } = {}) {
   console.log('📝 Generating CSV report...')
   
   // Define CSV fields (exclude Order Count from final output)
@@ -209,11 +286,11 @@ function generateCSVReport(data, outputPath) {
   const csvContent = json2csvParser.parse(csvData)
   
   // Add IOSS report header (as comment)
-  const reportHeader = `# EU IOSS Monthly Return - December 2025
+  const reportHeader = `# EU IOSS Monthly Return - ${period.label}
 # Generated on: ${new Date().toISOString()}
-# Reporting Period: December 2025
-# IOSS ID: [To be filled by operator]
-# 
+# Reporting Period: ${period.label}
+# IOSS ID: ${iossNumber || '[To be filled by operator]'}
+${intermediaryNumber ? `# Intermediary ID: ${intermediaryNumber}\n` : ''}# 
 `
   
   const finalCsvContent = reportHeader + csvContent
@@ -230,6 +307,39 @@ function generateCSVReport(data, outputPath) {
   console.log(`✅ CSV report generated: ${outputPath}`)
 }
 
+/**
+ * Generate XML file from IOSS data, validated against the bundled schema
+ * @param {Array} data - Aggregated IOSS data
+ * @param {string} outputPath - Output file path
+ * @param {Object} period - Reporting period
+ * @param {Object} options - { iossNumber, intermediaryNumber, supplies }
+ */
+async function generateXMLReport(data, outputPath, period, { iossNumber, intermediaryNumber, supplies } = {}) {
+  console.log('📝 Generating XML report...')
+  console.log('ℹ️  XML is VATpilot\'s interchange format, not a member state filing schema - IOSS portals do not accept it')
+
+  const lines = data.map(row => ({
+    memberState: row['Member State'],
+    rateType: 'STANDARD',
+    vatRate: parseFloat(row['VAT Rate']),
+    netValue: row['Taxable Amount (EUR)'],
+    vatAmount: row['VAT Amount (EUR)'],
+    supplies: row['Order Count']
+  }))
+
+  const xmlContent = await generateReturnXml({ period, lines, iossNumber, intermediaryNumber, supplies })
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(outputPath)
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true })
+  }
+
+  fs.writeFileSync(outputPath, xmlContent, 'utf8')
+
+  console.log(`✅ XML report generated: ${outputPath}`)
+}
+
 /**
  * Main function to generate IOSS report
  */
@@ -238,6 +348,18 @@ async function generateIOSSReport() {
   console.log('==================================')
   
   try {
+    const period = getPeriodArg(process.argv.slice(2))
+    if (!period) {
+      throw new Error('Invalid --period, expected YYYY-MM (e.g. 2025-12)')
+    }
+    const format = getFormatArg(process.argv.slice(2))
+    if (!format) {
+      throw new Error(`Invalid --format, expected one of: ${OUTPUT_FORMATS.join(', ')}`)
+    }
+    const identification = getIossNumberArgs(process.argv.slice(2))
+    const outputFile = getOutputFile(period, format)
+    console.log(`🗓️  Reporting period: ${period.label}`)
+
     // Step 1: Read input data
     console.log('📖 Reading synthetic order data...')
     
@@ -255,15 +377,22 @@ async function generateIOSSReport() {
     console.log(`📊 Loaded ${data.orders.length} orders from synthetic dataset`)
     
     // Step 2: Process orders for IOSS compliance
-    const { aggregatedData, statistics } = processOrdersForIOSS(data.orders)
+    const { aggregatedData, statistics } = processOrdersForIOSS(data.orders, period)
     
     if (aggregatedData.length === 0) {
-      console.log('⚠️  No IOSS data to report. Exiting...')
+      console.log(`⚠️  No IOSS data to report for ${period.label}. Exiting...`)
       return
     }
     
-    // Step 3: Generate CSV report
-    generateCSVReport(aggregatedData, OUTPUT_FILE)
+    // Step 3: Generate CSV or XML report
+    if (format === 'xml') {
+      await generateXMLReport(aggregatedData, outputFile, period, {
+        ...identification,
+        supplies: statistics.totalOrders
+      })
+    } else {
+      generateCSVReport(aggregatedData, outputFile, period, identification)
+    }
     
     // Step 4: Display results
     console.log('\n📊 IOSS Report Summary')
@@ -278,18 +407,20 @@ async function generateIOSSReport() {
       console.log(`   ${row['Member State']}: ${row['Order Count']} orders, €${row['Taxable Amount (EUR)']} (VAT: €${row['VAT Amount (EUR)']})`)
     })
     
-    console.log(`\n✅ IOSS Return CSV ready for submission: ${OUTPUT_FILE}`)
+    console.log(`\n✅ IOSS Return ${format.toUpperCase()} ready for submission: ${outputFile}`)
     
     // Step 5: Validation summary
     const validationSummary = {
-      file_size: fs.statSync(OUTPUT_FILE).size,
+      file_size: fs.statSync(outputFile).size,
       total_rows: aggregatedData.length + 1, // +1 for header
       compliance_check: statistics.totalOrders > 0 ? 'PASS' : 'FAIL'
     }
     
     console.log('\n🔍 Validation Summary:')
     console.log(`   File Size: ${validationSummary.file_size} bytes`)
-    console.log(`   CSV Rows: ${validationSummary.total_rows} (including header)`)
+    if (format === 'csv') {
+      console.log(`   CSV Rows: ${validationSummary.total_rows} (including header)`)
+    }
     console.log(`   Compliance: ${validationSummary.compliance_check}`)
     
   } catch (error) {
@@ -302,10 +433,10 @@ async function generateIOSSReport() {
 export { 
   processOrdersForIOSS, 
   generateCSVReport, 
+  generateXMLReport,
   isIOSSEligible, 
   getVATRate, 
-  calculateVATAmount,
-  EU_VAT_RATES
+  calculateVATAmount
 }
 
 // Run the generator if called directly
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * VATpilot - ECB Exchange Rate Importer
+ *
+ * Loads the ECB euro foreign exchange reference rates and merges them into
+ * server/data/ecb_rates.csv (or ECB_RATES_FILE), which the exchange rate
+ * service reads on startup. Without a file argument the rates are downloaded
+ * from the ECB Data Portal, from the day after the newest stored rate (or
+ * --from, default 2021-01-01). Restart the server afterwards.
+ *
+ * Usage: node server/import-ecb-rates.js [eurofxref-hist.csv] [--from=YYYY-MM-DD] [--dry-run]
+ *
+ * The file can be the unzipped eurofxref-hist.csv published by the ECB, or an
+ * ECB Data Portal CSV export (one observation per line).
+ */
+
+import fs from 'fs'
+import { DEFAULT_RATES_FILE, formatEcbCsv, parseEcbCsv, parseEcbDataCsv } from './services/exchangeRates.js'
+
+const OUTPUT_FILE = process.env.ECB_RATES_FILE || DEFAULT_RATES_FILE
+
+// ECB daily reference rates of all currencies against the euro
+const ECB_RATES_URL = 'https://data-api.ecb.europa.eu/service/data/EXR/D..EUR.SP00.A'
+
+// First day downloaded when nothing is stored yet
+const DEFAULT_START_DATE = '2021-01-01'
+
+/**
+ * Download rates from the ECB Data Portal
+ * @param {string} startDate - First day to download (YYYY-MM-DD)
+ * @returns {Object} Rates keyed by date
+ */
+async function downloadRates(startDate) {
+  const url = `${ECB_RATES_URL}?format=csvdata&detail=dataonly&startPeriod=${startDate}`
+  console.log(`🌐 Downloading ECB rates since ${startDate}`)
+
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`ECB download failed (${response.status} ${response.statusText})`)
+  }
+
+  return parseEcbDataCsv(await response.text())
+}
+
+/**
+ * Read rates from a local file in either ECB layout
+ * @param {string} inputFile - CSV file path
+ * @returns {Object} Rates keyed by date
+ */
+function readRatesFile(inputFile) {
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file not found: ${inputFile}`)
+  }
+
+  const content = fs.readFileSync(inputFile, 'utf8')
+  return /TIME_PERIOD/.test(content.split('\n')[0]) ? parseEcbDataCsv(content) : parseEcbCsv(content)
+}
+
+/**
+ * Main function to import ECB rates
+ */
+async function importEcbRates() {
+  console.log('🚀 VATpilot ECB Rate Importer')
+  console.log('=============================')
+
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const inputFile = args.find(arg => !arg.startsWith('--'))
+  const from = args.find(arg => arg.startsWith('--from='))?.split('=')[1]
+
+  try {
+    if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+      throw new Error('--from must be a date (YYYY-MM-DD)')
+    }
+
+    const stored = fs.existsSync(OUTPUT_FILE) ? parseEcbCsv(fs.readFileSync(OUTPUT_FILE, 'utf8')) : {}
+    const latestStored = Object.keys(stored).sort().pop()
+
+    let startDate = from || DEFAULT_START_DATE
+    if (!from && latestStored) {
+      const nextDay = new Date(latestStored)
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1)
+      startDate = nextDay.toISOString().split('T')[0]
+    }
+
+    const incoming = inputFile ? readRatesFile(inputFile) : await downloadRates(startDate)
+    const dates = Object.keys(incoming).sort()
+    if (dates.length === 0) {
+      console.log(`\n✅ No new rates${latestStored ? ` (stored up to ${latestStored})` : ''}`)
+      return
+    }
+
+    const currencies = new Set(dates.flatMap(date => Object.keys(incoming[date])))
+    console.log(`📖 Read ${dates.length} day(s) of rates for ${currencies.size} currencies (${dates[0]} to ${dates[dates.length - 1]})`)
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run - no changes written')
+      return
+    }
+
+    const merged = { ...stored }
+    dates.forEach(date => {
+      merged[date] = { ...merged[date], ...incoming[date] }
+    })
+    fs.writeFileSync(OUTPUT_FILE, formatEcbCsv(merged), 'utf8')
+
+    console.log(`\n✅ ${Object.keys(merged).length} day(s) of rates stored in ${OUTPUT_FILE}`)
+    console.log('🔄 Restart the server to apply them, then reclassify shops (POST /api/orders/reclassify) to convert orders still without a final rate')
+
+  } catch (error) {
+    console.error('❌ Error importing ECB rates:', error.message)
+    process.exit(1)
+  }
+}
+
+await importEcbRates()
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * VATpilot - VAT Rate Change Importer
+ *
+ * Loads published VAT rate changes from a JSON or CSV file, validates them
+ * against the rate history and stores them in server/data/vat_rate_changes.json,
+ * which the tax package applies on startup. Restart the server afterwards.
+ *
+ * Usage: node server/import-vat-rates.js <file.json|file.csv> [--dry-run]
+ *
+ * JSON: [{ "country": "EE", "effectiveFrom": "2025-07-01", "standard": 24,
+ *          "reduced": [13, 9], "superReduced": null, "categories": { "books": 9 } }]
+ * CSV:  country,effectiveFrom,standard,reduced,superReduced,books
+ *       EE,2025-07-01,24,13;9,,9
+ * Fields left out keep the rate in force before the change.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { VAT_RATES } from './tax/index.js'
+import {
+  DEFAULT_RATE_CHANGES_FILE,
+  parseRateChanges,
+  readRateChangesFile,
+  applyRateChange
+} from './tax/rateChanges.js'
+
+const OUTPUT_FILE = process.env.VAT_RATE_CHANGES_FILE || DEFAULT_RATE_CHANGES_FILE
+
+/**
+ * Merge new changes into the stored ones (same country and date replaces)
+ * @param {Array} stored - Previously imported changes
+ * @param {Array} incoming - Newly imported changes
+ * @returns {Array} Merged changes sorted by date and country
+ */
+function mergeRateChanges(stored, incoming) {
+  const byKey = new Map(stored.map(change => [`${change.country}|${change.effectiveFrom}`, change]))
+  incoming.forEach(change => byKey.set(`${change.country}|${change.effectiveFrom}`, change))
+
+  return [...byKey.values()].sort((a, b) =>
+    a.effectiveFrom.localeCompare(b.effectiveFrom) || a.country.localeCompare(b.country)
+  )
+}
+
+/**
+ * Main function to import VAT rate changes
+ */
+async function importVatRates() {
+  console.log('🚀 VATpilot VAT Rate Importer')
+  console.log('=============================')
+
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const inputFile = args.find(arg => !arg.startsWith('--'))
+
+  try {
+    if (!inputFile) {
+      throw new Error('Usage: node server/import-vat-rates.js <file.json|file.csv> [--dry-run]')
+    }
+    if (!fs.existsSync(inputFile)) {
+      throw new Error(`Input file not found: ${inputFile}`)
+    }
+
+    const format = path.extname(inputFile).slice(1).toLowerCase()
+    const incoming = parseRateChanges(fs.readFileSync(inputFile, 'utf8'), format)
+    console.log(`📖 Read ${incoming.length} rate change(s) from ${inputFile}`)
+
+    // The tax package has already applied the stored changes on import,
+    // so check the new ones against a copy of the current history
+    const rateTable = structuredClone(VAT_RATES)
+    incoming.forEach(change => {
+      const period = applyRateChange(rateTable, change)
+      console.log(`   ✅ ${change.country} from ${change.effectiveFrom}: standard ${period.standard}%, reduced ${period.reduced.join('/') || 'none'}`)
+    })
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run - no changes written')
+      return
+    }
+
+    const merged = mergeRateChanges(readRateChangesFile(OUTPUT_FILE), incoming)
+    fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true })
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(merged, null, 2) + '\n', 'utf8')
+
+    console.log(`\n✅ ${merged.length} rate change(s) stored in ${OUTPUT_FILE}`)
+    console.log('🔄 Restart the server to apply them')
+
+  } catch (error) {
+    console.error('❌ Error importing VAT rates:', error.message)
+    process.exit(1)
+  }
+}
+
+await importVatRates()
@@ -0,0 +1,322 @@
+import mongoose from 'mongoose';
+
+/**
+ * IOSS Return Schema
+ * One monthly IOSS return per shop and period. Holds the computed return
+ * lines and totals, and moves through draft → locked → filed (→ amended when
+ * a later return corrects it). Drafts can be recomputed; from locked onwards
+ * the figures are frozen, and later changes to the orders are declared as
+ * corrections in a later return. The orders included are listed in the
+ * audit ledger snapshotted on lock (ReturnLedgerLine).
+ */
+
+// Allowed status transitions
+export const RETURN_STATUS_TRANSITIONS = {
+  draft: ['locked'],
+  locked: ['filed'],
+  filed: ['amended'],
+  amended: []
+};
+
+// Fields that cannot change once a return has left draft
+const FROZEN_FIELDS = ['shopId', 'period', 'periodStart', 'periodEnd', 'iossNumber', 'intermediaryNumber', 'lines', 'totals', 'orderIds', 'corrections', 'ledgerSnapshotAt'];
+
+// Statuses whose figures have been declared (or are about to be)
+export const DECLARED_STATUSES = ['locked', 'filed', 'amended'];
+
+const returnLineSchema = new mongoose.Schema({
+  memberState: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  rateType: {
+    type: String,
+    enum: ['STANDARD', 'REDUCED'],
+    default: 'STANDARD'
+  },
+  vatRate: {
+    type: Number,
+    required: true
+  },
+  netValue: {
+    type: Number,
+    required: true
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  },
+  supplies: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Correction to a previous return, declared per member state and original period
+const correctionSchema = new mongoose.Schema({
+  memberState: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  period: {
+    type: String,
+    required: true
+  },
+  netValue: {
+    type: Number,
+    required: true
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const iossReturnSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  // Reporting period as YYYY-MM
+  period: {
+    type: String,
+    required: [true, 'Period is required'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be YYYY-MM']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  // Exclusive end of the period (first instant of the next month)
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Numbers the return is declared under, taken from the shop registry
+  iossNumber: {
+    type: String
+  },
+  intermediaryNumber: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+    default: 'draft',
+    index: true
+  },
+  lines: [returnLineSchema],
+  totals: {
+    netValue: { type: Number, default: 0 },
+    vatAmount: { type: Number, default: 0 },
+    supplies: { type: Number, default: 0 }
+  },
+  // Orders included in returns locked before ledger snapshots were kept;
+  // newer returns list them in their ledger rows
+  orderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  // Corrections to previous returns carried in this return
+  corrections: [correctionSchema],
+  // When the audit ledger of the included orders was snapshotted (on lock)
+  ledgerSnapshotAt: {
+    type: Date
+  },
+  // Set by order sync when orders of this (declared) period change afterwards
+  correctionsPending: {
+    type: Boolean,
+    default: false
+  },
+  correctionsDetectedAt: {
+    type: Date
+  },
+  computedAt: {
+    type: Date
+  },
+  lockedAt: {
+    type: Date
+  },
+  filedAt: {
+    type: Date
+  },
+  // Reference issued by the member state of identification on submission
+  filingReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Filing reference cannot exceed 100 characters']
+  },
+  history: [{
+    status: String,
+    at: { type: Date, default: Date.now },
+    note: String,
+    _id: false
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+iossReturnSchema.index({ shopId: 1, period: -1 }, { unique: true });
+
+// Pre-save middleware to keep locked returns immutable
+iossReturnSchema.pre('save', function() {
+  if (this.isNew || this.status === 'draft') {
+    return;
+  }
+
+  const changed = FROZEN_FIELDS.filter(field => this.isModified(field));
+  if (changed.length > 0) {
+    throw new Error(`IOSS return ${this.period} is ${this.status}; ${changed.join(', ')} cannot be changed`);
+  }
+});
+
+// Query updates that touch the figures only ever apply to drafts
+iossReturnSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys({ ...update, ...update.$set, ...update.$push, ...update.$unset });
+
+  if (fields.some(field => FROZEN_FIELDS.includes(field.split('.')[0]))) {
+    this.where({ status: 'draft' });
+  }
+});
+
+/**
+ * Replace the figures of a draft return
+ * @param {Object} data - { lines, supplies, corrections }
+ * @returns {Object} The return (unsaved)
+ * @throws {Error} When the return is no longer a draft
+ */
+iossReturnSchema.methods.setFigures = function({ lines, supplies, corrections = [] }) {
+  if (this.status !== 'draft') {
+    throw new Error(`IOSS return ${this.period} is ${this.status} and cannot be recomputed`);
+  }
+
+  this.lines = lines;
+  this.orderIds = [];
+  this.corrections = corrections;
+  this.totals = {
+    netValue: parseFloat(lines.reduce((sum, line) => sum + line.netValue, 0).toFixed(2)),
+    vatAmount: parseFloat(lines.reduce((sum, line) => sum + line.vatAmount, 0).toFixed(2)),
+    supplies
+  };
+  this.computedAt = new Date();
+
+  return this;
+};
+
+/**
+ * Move the return to a new status
+ * @param {string} status - Target status
+ * @param {string} [note] - History note
+ * @returns {Object} The return (unsaved)
+ * @throws {Error} When the transition is not allowed
+ */
+iossReturnSchema.methods.transitionTo = function(status, note) {
+  if (!RETURN_STATUS_TRANSITIONS[this.status]?.includes(status)) {
+    throw new Error(`Cannot move IOSS return ${this.period} from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  if (status === 'locked') this.lockedAt = new Date();
+  if (status === 'filed') this.filedAt = new Date();
+  this.history.push({ status, at: new Date(), note });
+
+  return this;
+};
+
+/**
+ * Get the numbers the return is declared under
+ * @returns {Object} { iossNumber, intermediaryNumber }
+ */
+iossReturnSchema.methods.getIossNumbers = function() {
+  return {
+    iossNumber: this.iossNumber || undefined,
+    intermediaryNumber: this.intermediaryNumber || undefined
+  };
+};
+
+/**
+ * Convert the stored lines to report rows (CSV column names)
+ * @returns {Array} Report rows
+ */
+iossReturnSchema.methods.toReportRows = function() {
+  return this.lines.map(line => ({
+    'Member State of Destination': line.memberState,
+    'VAT Rate Type': line.rateType,
+    'Total Net Value (EUR)': line.netValue,
+    'Total VAT Amount (EUR)': line.vatAmount,
+    'Number of Supplies': line.supplies,
+    'VAT Rate (%)': line.vatRate
+  }));
+};
+
+/**
+ * Flag declared returns whose orders changed after they were locked or filed
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Array<string>} periods - YYYY-MM periods with changed orders
+ * @returns {Object} { flagged } number of returns flagged
+ */
+iossReturnSchema.statics.flagCorrections = async function(shopId, periods) {
+  if (periods.length === 0) {
+    return { flagged: 0 };
+  }
+
+  const result = await this.updateMany(
+    { shopId, period: { $in: periods }, status: { $in: DECLARED_STATUSES } },
+    { $set: { correctionsPending: true, correctionsDetectedAt: new Date() } }
+  );
+
+  return { flagged: result.modifiedCount || 0 };
+};
+
+/**
+ * Mark the returns corrected by a filed return as amended
+ * @param {Object} correctingReturn - The filed return carrying the corrections
+ * @returns {Object} { amended } number of returns updated
+ */
+iossReturnSchema.statics.markCorrected = async function(correctingReturn) {
+  const periods = [...new Set(correctingReturn.corrections.map(correction => correction.period))];
+  if (periods.length === 0) {
+    return { amended: 0 };
+  }
+
+  const originals = await this.find({
+    shopId: correctingReturn.shopId,
+    period: { $in: periods },
+    status: { $in: ['filed', 'amended'] }
+  });
+
+  for (const original of originals) {
+    if (original.status === 'filed') {
+      original.transitionTo('amended', `Corrected in the ${correctingReturn.period} return`);
+    }
+    original.correctionsPending = false;
+    await original.save();
+  }
+
+  return { amended: originals.length };
+};
+
+/**
+ * Convert report rows (CSV column names) to return lines
+ * @param {Array} rows - Report rows from the report controller
+ * @returns {Array} Return lines
+ */
+iossReturnSchema.statics.linesFromReportRows = function(rows) {
+  return rows.map(row => ({
+    memberState: row['Member State of Destination'],
+    rateType: row['VAT Rate Type'],
+    vatRate: row['VAT Rate (%)'],
+    netValue: row['Total Net Value (EUR)'],
+    vatAmount: row['Total VAT Amount (EUR)'],
+    supplies: row['Number of Supplies']
+  }));
+};
+
+export default mongoose.model('IossReturn', iossReturnSchema);
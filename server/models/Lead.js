@@ -1,4 +1,50 @@
 import mongoose from 'mongoose'
+import { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY, IOSS_NUMBER_TYPES, parseIossNumber, getIossNumbersForPeriod } from '../tax/index.js'
+
+/**
+ * IOSS identification number registered for a shop
+ * The type (IOSS or INTERMEDIARY) and member state of identification are
+ * derived from the number itself
+ */
+const iossNumberSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'IOSS number is required'],
+    set: value => value?.toString().replace(/\s+/g, '').toUpperCase(),
+    validate: {
+      validator: value => parseIossNumber(value) !== null,
+      message: 'IOSS number must be IM or IN + 3-digit member state code + 7 digits (e.g. IM2760000001)'
+    }
+  },
+  type: {
+    type: String,
+    enum: Object.values(IOSS_NUMBER_TYPES)
+  },
+  memberStateOfIdentification: {
+    type: String
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  // Inclusive; empty while the number is in use
+  validTo: {
+    type: Date
+  }
+})
+
+iossNumberSchema.pre('validate', function() {
+  const parsed = parseIossNumber(this.number)
+  if (parsed) {
+    this.type = parsed.type
+    this.memberStateOfIdentification = parsed.memberState
+  }
+
+  // Checked here rather than on validTo, so changing either date checks the pair
+  if (this.validTo && this.validFrom && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date cannot be before the valid from date', this.validTo)
+  }
+})
 
 /**
  * Lead Schema for IOSS Risk Quiz email capture
@@ -72,6 +118,19 @@ const leadSchema = new mongoose.Schema({
   shopifyConnectedAt: {
     type: Date
   },
+  // First time the shop connected, kept across reconnects and uninstalls;
+  // filing reminders cover the periods from then on
+  shopifyInstalledAt: {
+    type: Date
+  },
+  // Set when Shopify rejects the access token (revoked or app uninstalled
+  // without a webhook); cleared when the shop connects again
+  shopifyReconnectRequiredAt: {
+    type: Date
+  },
+  shopifyReconnectReason: {
+    type: String
+  },
   // Store last sync information
   lastOrderSync: {
     type: Date
@@ -79,6 +138,56 @@ const leadSchema = new mongoose.Schema({
   totalOrdersSynced: {
     type: Number,
     default: 0
+  },
+  // Newest Shopify updated_at fetched by incremental sync; the next sync
+  // asks for orders updated since then
+  orderSyncWatermark: {
+    type: Date
+  },
+  // Tax category applied to products with no type, tag or manual override
+  defaultTaxCategory: {
+    type: String,
+    enum: Object.keys(TAX_CATEGORIES),
+    default: DEFAULT_TAX_CATEGORY
+  },
+  // IOSS (IM...) and intermediary (IN...) numbers with their validity dates
+  iossNumbers: [iossNumberSchema],
+  // Filing deadline reminders sent, one per period and offset (days before due)
+  deadlineReminders: [{
+    period: String,
+    offset: Number,
+    sentAt: { type: Date, default: Date.now },
+    emailId: String,
+    _id: false
+  }],
+  // Historical order backfill: date range, resume cursor and progress
+  orderBackfill: {
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed']
+    },
+    // Orders API the backfill was started with (SHOPIFY_ORDER_API)
+    api: {
+      type: String,
+      enum: ['rest', 'graphql']
+    },
+    createdAtMin: Date,
+    createdAtMax: Date,
+    // GraphQL bulk operation exporting the orders (api: graphql)
+    bulkOperationId: String,
+    // Shopify page_info of the next page, and the created_at of the oldest
+    // stored order to restart from if that cursor has expired
+    pageInfo: String,
+    checkpoint: Date,
+    totalOrders: Number,
+    pagesFetched: { type: Number, default: 0 },
+    ordersProcessed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    startedAt: Date,
+    updatedAt: Date,
+    completedAt: Date,
+    error: String
   }
 }, {
   timestamps: true,
@@ -97,6 +206,15 @@ leadSchema.pre('save', function() {
   this.updatedAt = Date.now()
 })
 
+/**
+ * Get the IOSS and intermediary numbers to declare for a reporting period
+ * @param {Object} period - Reporting period (see tax/periods.js)
+ * @returns {Object} { iossNumber, intermediaryNumber } (undefined when none registered)
+ */
+leadSchema.methods.getIossNumbers = function(period) {
+  return getIossNumbersForPeriod(this.iossNumbers, period)
+}
+
 // Virtual for formatted creation date
 leadSchema.virtual('formattedCreatedAt').get(function() {
   return this.createdAt.toLocaleDateString()
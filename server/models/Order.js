@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import IossReturn from './IossReturn.js';
+import { convertToEur } from '../services/exchangeRates.js';
+import { calculateIntrinsicValue, calculateIntrinsicValueEur } from '../services/intrinsicValue.js';
+import { calculateNetTaxableAmount } from '../services/refunds.js';
+import { classifyOrder, getIOSSRules, getPeriodForDate, resolveTaxCategory, getCategoryRate } from '../tax/index.js';
 
 /**
  * Order Schema for storing Shopify orders locally
@@ -33,6 +38,47 @@ const orderSchema = new mongoose.Schema({
     uppercase: true,
     maxlength: [3, 'Currency code must be 3 characters']
   },
+  // Order total converted to EUR at the ECB rate required by the IOSS rules
+  totalPriceEur: {
+    type: Number,
+    min: [0, 'EUR total cannot be negative']
+  },
+  exchangeRate: {
+    rate: Number,
+    rateDate: Date,
+    source: String,
+    provisional: Boolean
+  },
+  // Order value breakdown (original currency) for intrinsic value calculation
+  subtotalPrice: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  shippingPrice: {
+    type: Number,
+    min: [0, 'Shipping price cannot be negative']
+  },
+  totalTax: {
+    type: Number,
+    min: [0, 'Total tax cannot be negative']
+  },
+  totalDiscounts: {
+    type: Number,
+    min: [0, 'Total discounts cannot be negative']
+  },
+  taxesIncluded: {
+    type: Boolean,
+    default: false
+  },
+  // Intrinsic value of the goods (excludes shipping, insurance and taxes)
+  intrinsicValue: {
+    type: Number,
+    min: [0, 'Intrinsic value cannot be negative']
+  },
+  intrinsicValueEur: {
+    type: Number,
+    min: [0, 'EUR intrinsic value cannot be negative']
+  },
   customerCountry: {
     type: String,
     uppercase: true,
@@ -55,6 +101,48 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'authorized', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'voided'],
     default: 'pending'
   },
+  // Cancelled orders are not supplies and are left out of IOSS returns
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String
+  },
+  // Refunds synced from Shopify (amounts in the order currency)
+  refunds: [{
+    refundId: String,
+    createdAt: Date,
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    lineItems: [{
+      lineItemId: String,
+      quantity: Number,
+      subtotal: Number,
+      _id: false
+    }],
+    _id: false
+  }],
+  totalRefunded: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  totalRefundedEur: {
+    type: Number,
+    min: 0
+  },
+  // Taxable amount after refunds (0 for cancelled or voided orders)
+  netTaxableAmount: {
+    type: Number,
+    min: [0, 'Net taxable amount cannot be negative']
+  },
+  netTaxableAmountEur: {
+    type: Number,
+    min: [0, 'EUR net taxable amount cannot be negative']
+  },
   // IOSS compliance fields
   iossEligible: {
     type: Boolean,
@@ -70,11 +158,23 @@ const orderSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Below the low value exemption in force on the order date (pre-July 2021 only)
+  lowValueExempt: {
+    type: Boolean,
+    default: false
+  },
+  // IOSS rule set version the classification was made under
+  ruleVersion: {
+    type: String
+  },
   // Order line items for detailed analysis
   lineItems: [{
+    lineItemId: String,
     productId: String,
     variantId: String,
     title: String,
+    productType: String,
+    productTags: [String],
     quantity: {
       type: Number,
       min: 0
@@ -83,9 +183,37 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    totalDiscount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Quantity and subtotal refunded on this line
+    refundedQuantity: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    refundedSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
     vendor: String,
-    countryOfOrigin: String
+    countryOfOrigin: String,
+    // Tax category and VAT rate applied in the destination member state
+    taxCategory: String,
+    vatRate: Number,
+    vatRateType: {
+      type: String,
+      enum: ['STANDARD', 'REDUCED']
+    }
   }],
+  // Manual tax category overrides keyed by lineItemId (kept across re-syncs)
+  taxCategoryOverrides: {
+    type: Map,
+    of: String
+  },
   // Shipping address for compliance analysis
   shippingAddress: {
     country: String,
@@ -122,11 +250,13 @@ const orderSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 orderSchema.index({ shopId: 1, shopifyCreatedAt: -1 });
 orderSchema.index({ shopId: 1, iossEligible: 1 });
-orderSchema.index({ shopId: 1, euDestination: 1, totalPrice: 1 });
+orderSchema.index({ shopId: 1, euDestination: 1, intrinsicValueEur: 1 });
 
-// Virtual for IOSS value range check
+// Virtual for IOSS value range check (intrinsic value of the consignment)
 orderSchema.virtual('isInIOSSRange').get(function() {
-  return this.totalPrice >= 22 && this.totalPrice <= 150;
+  const rules = getIOSSRules(this.shopifyCreatedAt);
+  return this.intrinsicValueEur >= rules.lowValueExemptionEur &&
+         this.intrinsicValueEur <= rules.consignmentThresholdEur;
 });
 
 // Virtual for formatted total price
@@ -134,25 +264,167 @@ orderSchema.virtual('formattedTotal').get(function() {
   return `${this.currency} ${this.totalPrice.toFixed(2)}`;
 });
 
-// Pre-save middleware to calculate IOSS eligibility
-orderSchema.pre('save', function() {
-  // EU country codes
-  const euCountries = [
-    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
-    'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
-    'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
-  ];
-
-  // Determine if shipping to EU
-  this.euDestination = euCountries.includes(this.customerCountry || this.shippingAddress?.countryCode);
-  
-  // Calculate IOSS eligibility (€22-€150 to EU destinations)
-  this.iossEligible = this.euDestination && this.totalPrice >= 22 && this.totalPrice <= 150;
-  
-  // VAT required for EU destinations above €0
-  this.vatRequired = this.euDestination && this.totalPrice > 0;
+// Pre-save middleware to convert the total to EUR, net off refunds and calculate IOSS eligibility
+orderSchema.pre('save', async function() {
+  // Re-convert when the amount changes or the stored rate was provisional
+  if (this.totalPriceEur == null || this.exchangeRate?.provisional ||
+      this.isModified('totalPrice') || this.isModified('currency')) {
+    try {
+      const conversion = await convertToEur(this.totalPrice, this.currency, this.shopifyCreatedAt);
+      this.totalPriceEur = conversion.amountEur;
+      this.exchangeRate = {
+        rate: conversion.rate,
+        rateDate: conversion.rateDate,
+        source: conversion.source,
+        provisional: conversion.provisional
+      };
+    } catch (error) {
+      console.warn(`⚠️ EUR conversion failed for order ${this.orderNumber}:`, error.message);
+      this.totalPriceEur = undefined;
+      this.exchangeRate = undefined;
+    }
+  }
+
+  // Intrinsic value excludes shipping, insurance and taxes
+  this.intrinsicValue = calculateIntrinsicValue(this) ?? undefined;
+  this.intrinsicValueEur = calculateIntrinsicValueEur(this) ?? undefined;
+
+  // Net taxable amount after refunds and cancellations
+  Object.assign(this, calculateNetTaxableAmount(this));
+
+  // Classify under the IOSS rules in force on the order date
+  Object.assign(this, this.constructor.classify(this));
+
+  // Apply per-line VAT rates using the shop's default tax category
+  const shop = await mongoose.model('Lead').findById(this.shopId).select('defaultTaxCategory');
+  this.constructor.applyLineItemRates(this, shop?.defaultTaxCategory);
 });
 
+/**
+ * Classify an order (document or plain object) under the IOSS rules
+ * in force on its date of supply
+ * @param {Object} order - Order in the local schema shape
+ * @returns {Object} { ruleVersion, euDestination, iossEligible, vatRequired, lowValueExempt }
+ */
+orderSchema.statics.classify = function(order) {
+  return classifyOrder({
+    destinationCountry: order.customerCountry || order.shippingAddress?.countryCode,
+    destinationPostalCode: order.shippingAddress?.zip,
+    originCountry: order.lineItems?.find(item => item.countryOfOrigin)?.countryOfOrigin,
+    intrinsicValueEur: order.intrinsicValueEur ?? null,
+    supplyDate: order.shopifyCreatedAt
+  });
+};
+
+/**
+ * Resolve each line item's tax category and the VAT rate it takes in the
+ * destination member state on the order date (mutates the order)
+ * @param {Object} order - Order document or plain object (already classified)
+ * @param {string} [defaultCategory] - Shop default tax category
+ * @returns {Object} The order
+ */
+orderSchema.statics.applyLineItemRates = function(order, defaultCategory) {
+  const country = order.customerCountry || order.shippingAddress?.countryCode;
+  const overrides = order.taxCategoryOverrides;
+
+  (order.lineItems || []).forEach(item => {
+    const override = overrides instanceof Map ? overrides.get(item.lineItemId) : overrides?.[item.lineItemId];
+    item.taxCategory = resolveTaxCategory({
+      override,
+      productTags: item.productTags || [],
+      productType: item.productType
+    }, defaultCategory);
+
+    item.vatRate = undefined;
+    item.vatRateType = undefined;
+
+    if (order.euDestination) {
+      try {
+        const { rate, rateType } = getCategoryRate(country, item.taxCategory, order.shopifyCreatedAt);
+        item.vatRate = rate;
+        item.vatRateType = rateType;
+      } catch (error) {
+        console.warn(`⚠️ No VAT rate for ${country} on order ${order.orderNumber}:`, error.message);
+      }
+    }
+  });
+
+  return order;
+};
+
+// What an order contributes to a return besides its amounts
+const getReturnSignature = (order) => JSON.stringify([
+  order.iossEligible,
+  order.vatRequired,
+  (order.lineItems || []).map(item => [item.taxCategory, item.vatRate])
+]);
+
+/**
+ * Flag the declared IOSS returns covering changed orders, so the next return
+ * carries corrections
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Array<Date>} supplyDates - Dates of the changed orders
+ * @returns {Object} { flagged } number of returns flagged
+ */
+orderSchema.statics.flagDeclaredReturns = async function(shopId, supplyDates) {
+  const periods = [...new Set(supplyDates.map(date => getPeriodForDate(date).key))];
+  return IossReturn.flagCorrections(shopId, periods);
+};
+
+// Static method to reclassify stored orders under the rules in force on each order date
+orderSchema.statics.reclassify = async function(shopId) {
+  const shop = await mongoose.model('Lead').findById(shopId).select('defaultTaxCategory');
+  const cursor = this.find({ shopId }).cursor();
+  const changedDates = [];
+  let operations = [];
+  let modified = 0;
+
+  for await (const order of cursor) {
+    // Orders without a final exchange rate are converted again on save
+    // (e.g. after new ECB rates were imported), which also reclassifies them
+    if (order.currency !== 'EUR' && (order.totalPriceEur == null || order.exchangeRate?.provisional)) {
+      await order.save();
+      changedDates.push(order.shopifyCreatedAt);
+      modified++;
+      continue;
+    }
+
+    const signature = getReturnSignature(order);
+    const classification = this.classify(order);
+    Object.assign(order, classification);
+    this.applyLineItemRates(order, shop?.defaultTaxCategory);
+
+    if (getReturnSignature(order) !== signature) {
+      changedDates.push(order.shopifyCreatedAt);
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: order._id },
+        update: {
+          $set: {
+            ...classification,
+            lineItems: order.lineItems.map(item => item.toObject())
+          }
+        }
+      }
+    });
+
+    if (operations.length === 500) {
+      modified += (await this.bulkWrite(operations, { ordered: false })).modifiedCount || 0;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    modified += (await this.bulkWrite(operations, { ordered: false })).modifiedCount || 0;
+  }
+
+  const { flagged } = await this.flagDeclaredReturns(shopId, changedDates);
+
+  return { modified, flagged };
+};
+
 // Static method to get IOSS summary for a shop
 orderSchema.statics.getIOSSSummary = async function(shopId, dateRange = {}) {
   const match = { shopId };
@@ -175,14 +447,61 @@ orderSchema.statics.getIOSSSummary = async function(shopId, dateRange = {}) {
         euOrders: {
           $sum: { $cond: ['$euDestination', 1, 0] }
         },
-        totalValue: { $sum: '$totalPrice' },
+        // Only orders dated before the €22 exemption was abolished can be exempt
+        lowValueExemptOrders: {
+          $sum: { $cond: ['$lowValueExempt', 1, 0] }
+        },
+        totalValue: { $sum: '$totalPriceEur' },
         iossValue: {
-          $sum: { $cond: ['$iossEligible', '$totalPrice', 0] }
+          $sum: { $cond: ['$iossEligible', '$totalPriceEur', 0] }
         },
-        averageOrderValue: { $avg: '$totalPrice' }
+        averageOrderValue: { $avg: '$totalPriceEur' }
       }
     }
   ]);
 };
 
+// Static method to get refund and cancellation adjustments per destination country
+orderSchema.statics.getRefundAdjustments = async function(shopId, dateRange = {}) {
+  const match = {
+    shopId: new mongoose.Types.ObjectId(shopId),
+    $or: [
+      { totalRefunded: { $gt: 0 } },
+      { cancelledAt: { $ne: null } },
+      { financialStatus: 'voided' }
+    ]
+  };
+
+  if (dateRange.startDate || dateRange.endDate) {
+    match.shopifyCreatedAt = {};
+    if (dateRange.startDate) match.shopifyCreatedAt.$gte = new Date(dateRange.startDate);
+    if (dateRange.endDate) match.shopifyCreatedAt.$lte = new Date(dateRange.endDate);
+  }
+
+  const isCancelled = { $or: [{ $ne: [{ $ifNull: ['$cancelledAt', null] }, null] }, { $eq: ['$financialStatus', 'voided'] }] };
+
+  return await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$customerCountry',
+        refundedOrders: {
+          $sum: { $cond: [{ $and: [{ $gt: ['$totalRefunded', 0] }, { $not: [isCancelled] }] }, 1, 0] }
+        },
+        refundedValue: {
+          $sum: { $cond: [isCancelled, 0, { $ifNull: ['$totalRefundedEur', 0] }] }
+        },
+        cancelledOrders: {
+          $sum: { $cond: [isCancelled, 1, 0] }
+        },
+        cancelledValue: {
+          $sum: { $cond: [isCancelled, { $ifNull: ['$totalPriceEur', 0] }, 0] }
+        }
+      }
+    },
+    { $addFields: { totalAdjustment: { $add: ['$refundedValue', '$cancelledValue'] } } },
+    { $sort: { totalAdjustment: -1 } }
+  ]);
+};
+
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+/**
+ * Return Ledger Line Schema
+ * One row of a declared IOSS return's order-level audit ledger, as it was
+ * when the return was locked (see reportController.writeLedgerSnapshot).
+ * Rows are kept outside the return document, so a shop with many orders
+ * stays within MongoDB's document size limit; they are written in batches
+ * and read back with a cursor, in the order they were written.
+ */
+
+const returnLedgerLineSchema = new mongoose.Schema({
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IossReturn',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  shopifyOrderId: String,
+  orderNumber: String,
+  // Date of supply as YYYY-MM-DD
+  supplyDate: String,
+  memberState: String,
+  currency: String,
+  orderTotal: Number,
+  exchangeRate: Number,
+  consignmentValue: Number,
+  refundAdjustment: Number,
+  rateType: String,
+  vatRate: Number,
+  taxableAmount: Number,
+  netValue: Number,
+  vatAmount: Number,
+  ruleVersion: String
+});
+
+// A return's rows in the order they were written
+returnLedgerLineSchema.index({ returnId: 1, _id: 1 });
+
+/**
+ * Convert the row to a ledger row (CSV column names)
+ * @returns {Object} Ledger row
+ */
+returnLedgerLineSchema.methods.toLedgerRow = function() {
+  return {
+    'Order ID': this.shopifyOrderId,
+    'Order Number': this.orderNumber,
+    'Date of Supply': this.supplyDate,
+    'Member State of Destination': this.memberState,
+    'Currency': this.currency,
+    'Order Total': this.orderTotal,
+    'Exchange Rate': this.exchangeRate ?? '',
+    'Consignment Value (EUR)': this.consignmentValue,
+    'Refund Adjustment (EUR)': this.refundAdjustment,
+    'VAT Rate Type': this.rateType,
+    'VAT Rate (%)': this.vatRate,
+    'Taxable Amount (EUR)': this.taxableAmount,
+    'Net Value (EUR)': this.netValue,
+    'VAT Charged (EUR)': this.vatAmount,
+    'Rule Version': this.ruleVersion
+  };
+};
+
+/**
+ * Convert a ledger row (CSV column names) to a row to store
+ * @param {Object} row - Ledger row from the report controller
+ * @param {Object} ids - { returnId, orderId }
+ * @returns {Object} Ledger line fields
+ */
+returnLedgerLineSchema.statics.fromLedgerRow = function(row, { returnId, orderId }) {
+  return {
+    returnId,
+    orderId,
+    shopifyOrderId: row['Order ID'],
+    orderNumber: row['Order Number'],
+    supplyDate: row['Date of Supply'],
+    memberState: row['Member State of Destination'],
+    currency: row['Currency'],
+    orderTotal: row['Order Total'],
+    exchangeRate: row['Exchange Rate'] === '' ? null : row['Exchange Rate'],
+    consignmentValue: row['Consignment Value (EUR)'],
+    refundAdjustment: row['Refund Adjustment (EUR)'],
+    rateType: row['VAT Rate Type'],
+    vatRate: row['VAT Rate (%)'],
+    taxableAmount: row['Taxable Amount (EUR)'],
+    netValue: row['Net Value (EUR)'],
+    vatAmount: row['VAT Charged (EUR)'],
+    ruleVersion: row['Rule Version']
+  };
+};
+
+/**
+ * Read a return's rows in the order they were written
+ * @param {string} returnId - IossReturn document ID
+ * @param {Object} [projection] - Fields to read
+ * @returns {Object} Mongoose query cursor
+ */
+returnLedgerLineSchema.statics.streamRows = function(returnId, projection) {
+  return this.find({ returnId }, projection).sort({ _id: 1 }).cursor();
+};
+
+export default mongoose.model('ReturnLedgerLine', returnLedgerLineSchema);
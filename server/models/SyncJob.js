@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sync Job Schema
+ * Background order sync for one shop, queued by the schedule or the
+ * Dashboard's sync button and worked off by the job runner
+ * (services/jobRunner.js). Failed attempts are retried with backoff; each
+ * attempt is kept in the job's history. Finished jobs expire after 30 days.
+ */
+
+// How long finished jobs are kept
+const JOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Statuses of jobs not finished yet
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const syncAttemptSchema = new mongoose.Schema({
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, { _id: false });
+
+const syncJobSchema = new mongoose.Schema({
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['incremental'],
+    default: 'incremental'
+  },
+  // What queued the job
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // True while queued or running (kept in step with status on save), so
+  // the unique index below covers exactly the unfinished jobs
+  active: {
+    type: Boolean,
+    default: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job (or its next retry) may run
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a runner claims the job and refreshed after each synced page,
+  // to detect jobs left by a crash
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: {
+    type: Date,
+    expires: JOB_TTL_SECONDS
+  },
+  result: {
+    processed: Number,
+    created: Number,
+    updated: Number,
+    skipped: Number
+  },
+  error: String,
+  attemptLog: [syncAttemptSchema]
+}, {
+  timestamps: true
+});
+
+// Runner: next due job
+syncJobSchema.index({ status: 1, runAt: 1 });
+// Status endpoint: a shop's latest jobs
+syncJobSchema.index({ shopId: 1, createdAt: -1 });
+// At most one queued or running job per shop, even when two requests queue
+// one at once. Jobs only change between queued and running in query updates,
+// and finish on save.
+syncJobSchema.index(
+  { shopId: 1, active: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+syncJobSchema.pre('save', function() {
+  this.active = ACTIVE_JOB_STATUSES.includes(this.status);
+});
+
+export default mongoose.model('SyncJob', syncJobSchema);
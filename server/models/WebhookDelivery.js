@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook Delivery Schema
+ * One record per Shopify webhook delivery (X-Shopify-Webhook-Id), written
+ * before the payload is processed. Shopify delivers at least once and
+ * retries until it gets a 2xx, so a delivery ID seen before is a duplicate.
+ * Records expire after a week, longer than Shopify's 48 hour retry window.
+ */
+
+// How long delivery IDs are remembered
+const DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  topic: {
+    type: String,
+    required: true
+  },
+  shopDomain: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    expires: DELIVERY_TTL_SECONDS
+  }
+});
+
+/**
+ * Record a delivery, unless it was already received
+ * @param {Object} delivery - { webhookId, topic, shopDomain }
+ * @returns {boolean} True for a first delivery, false for a duplicate
+ */
+webhookDeliverySchema.statics.recordDelivery = async function(delivery) {
+  try {
+    await this.create(delivery);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
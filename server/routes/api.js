@@ -1,8 +1,15 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Order from '../models/Order.js';
 import Lead from '../models/Lead.js';
-import { incrementalSync, getIOSSComplianceSummary } from '../services/syncService.js';
-import { generateUserReport, getStaticSampleReport } from '../controllers/reportController.js';
+import { syncOrders, rewindSyncWatermark, getIOSSComplianceSummary } from '../services/syncService.js';
+import { getBackfillProgress, isBackfillRunning, startOrderBackfill } from '../services/backfill.js';
+import { enqueueSyncJob, formatSyncJob, getSyncStatus, runDueJobs } from '../services/jobRunner.js';
+import { generateDemoReport, generateLedgerReport, generateUserReport, getStaticSampleReport } from '../controllers/reportController.js';
+import { saveDraftReturn, listReturns, getReturn, lockReturn, fileReturn, exportReturn } from '../controllers/returnController.js';
+import { listIossNumbers, addIossNumber, updateIossNumber, removeIossNumber } from '../controllers/iossNumberController.js';
+import { getTaxRulesSnapshot, isTaxCategory, TAX_CATEGORIES } from '../tax/index.js';
+import { getShopDeadlineStatus } from '../services/deadlineScheduler.js';
 
 const router = express.Router();
 
@@ -160,23 +167,28 @@ router.get('/orders/summary', async (req, res) => {
 
     // Get additional shop statistics
     const shopStats = await Order.aggregate([
-      { $match: { shopId: leadId } },
+      { $match: { shopId: lead._id } },
       {
         $group: {
           _id: '$customerCountry',
           orderCount: { $sum: 1 },
-          totalValue: { $sum: '$totalPrice' }
+          totalValue: { $sum: '$totalPriceEur' },
+          netTaxableValue: { $sum: { $ifNull: ['$netTaxableAmountEur', '$totalPriceEur'] } }
         }
       },
       { $sort: { orderCount: -1 } },
       { $limit: 10 }
     ]);
 
+    // Refund and cancellation adjustments per country
+    const refundAdjustments = await Order.getRefundAdjustments(lead._id, dateRange);
+
     res.json({
       success: true,
       data: {
         ...summary,
         topCountries: shopStats,
+        refundAdjustments,
         shop: {
           domain: lead.shopifyShopDomain,
           lastSync: lead.lastOrderSync,
@@ -196,7 +208,9 @@ router.get('/orders/summary', async (req, res) => {
 
 /**
  * POST /api/orders/sync
- * Trigger manual order sync for a shop
+ * Queue an incremental order sync for a shop. The sync runs in the
+ * background; poll GET /api/orders/sync/status for its progress.
+ * fullSync: true still fetches the latest 250 orders within the request.
  */
 router.post('/orders/sync', async (req, res) => {
   try {
@@ -222,17 +236,33 @@ router.post('/orders/sync', async (req, res) => {
       });
     }
 
+    // The Dashboard offers to reconnect on this error
+    if (lead.shopifyReconnectRequiredAt) {
+      return res.status(400).json({
+        error: 'No Shopify store connected',
+        message: 'Shopify rejected the access token; reconnect the store to sync orders'
+      });
+    }
+
     console.log(`🔄 Manual sync triggered for ${lead.shopifyShopDomain} (Full: ${fullSync})`);
 
-    // Perform sync (incremental or full)
-    const syncResult = fullSync 
-      ? await syncOrders(leadId, lead.shopifyAccessToken, lead.shopifyShopDomain, { limit: 250 })
-      : await incrementalSync(leadId, lead.shopifyAccessToken, lead.shopifyShopDomain);
+    if (fullSync) {
+      const syncResult = await syncOrders(leadId, lead.shopifyAccessToken, lead.shopifyShopDomain, { limit: 250 });
 
-    res.json({
+      return res.json({
+        success: true,
+        message: 'Sync completed successfully',
+        data: syncResult
+      });
+    }
+
+    const { job, queued } = await enqueueSyncJob(lead._id, { trigger: 'manual' });
+    runDueJobs();
+
+    res.status(202).json({
       success: true,
-      message: 'Sync completed successfully',
-      data: syncResult
+      message: queued ? 'Sync queued' : 'Sync already in progress',
+      data: formatSyncJob(job)
     });
 
   } catch (error) {
@@ -244,6 +274,245 @@ router.post('/orders/sync', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/orders/sync/rewind
+ * Move the shop's sync watermark back and queue a sync, which fetches every
+ * order updated since that date again (forced re-sync)
+ * Body: { leadId, since }
+ */
+router.post('/orders/sync/rewind', async (req, res) => {
+  try {
+    const { leadId, since } = req.body;
+
+    if (!leadId || !since) {
+      return res.status(400).json({
+        error: 'leadId and since are required'
+      });
+    }
+
+    if (isNaN(new Date(since)) || new Date(since) > new Date()) {
+      return res.status(400).json({
+        error: 'Invalid watermark',
+        message: `${since} is not a valid past date`
+      });
+    }
+
+    const lead = await Lead.findById(leadId).select('+shopifyAccessToken');
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    if (!lead.shopifyAccessToken || !lead.shopifyShopDomain) {
+      return res.status(400).json({
+        error: 'No Shopify store connected'
+      });
+    }
+
+    const watermark = await rewindSyncWatermark(lead._id, since);
+    const { job } = await enqueueSyncJob(lead._id, { trigger: 'manual' });
+    runDueJobs();
+
+    res.status(202).json({
+      success: true,
+      message: `Orders updated since ${watermark.toISOString()} will be synced again`,
+      data: {
+        watermark,
+        job: formatSyncJob(job)
+      }
+    });
+
+  } catch (error) {
+    console.error('Sync rewind error:', error);
+    res.status(500).json({
+      error: 'Failed to rewind sync',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orders/sync/status?leadId=
+ * Current and recent background sync jobs, last sync time and backfill
+ * progress for the Dashboard's sync button
+ */
+router.get('/orders/sync/status', async (req, res) => {
+  try {
+    const { leadId } = req.query;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId parameter is required'
+      });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getSyncStatus(lead)
+    });
+
+  } catch (error) {
+    console.error('Sync status error:', error);
+    res.status(500).json({
+      error: 'Failed to get sync status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orders/backfill
+ * Import the store's full order history (or a created_at date range) page
+ * by page in the background. An unfinished backfill resumes from its saved
+ * cursor unless a new range or restart: true is given.
+ * Body: { leadId, createdAtMin, createdAtMax, restart }
+ */
+router.post('/orders/backfill', async (req, res) => {
+  try {
+    const { leadId, createdAtMin, createdAtMax, restart = false } = req.body;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId is required'
+      });
+    }
+
+    const invalidDate = [createdAtMin, createdAtMax].find(value => value && isNaN(new Date(value)));
+    if (invalidDate) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: `${invalidDate} is not a valid date`
+      });
+    }
+    if (createdAtMin && createdAtMax && new Date(createdAtMin) > new Date(createdAtMax)) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'createdAtMin must be before createdAtMax'
+      });
+    }
+
+    const lead = await Lead.findById(leadId).select('+shopifyAccessToken');
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    if (!lead.shopifyAccessToken || !lead.shopifyShopDomain) {
+      return res.status(400).json({
+        error: 'No Shopify store connected'
+      });
+    }
+
+    if (isBackfillRunning(leadId)) {
+      return res.status(409).json({
+        error: 'Backfill already running',
+        data: getBackfillProgress(lead)
+      });
+    }
+
+    const { progress, resumed } = await startOrderBackfill(leadId, { createdAtMin, createdAtMax, restart });
+
+    res.status(202).json({
+      success: true,
+      message: resumed ? 'Backfill resumed' : 'Backfill started',
+      data: progress
+    });
+
+  } catch (error) {
+    console.error('Backfill start error:', error);
+    res.status(500).json({
+      error: 'Failed to start backfill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/orders/backfill?leadId=
+ * Progress of the shop's order history backfill (null when never started)
+ */
+router.get('/orders/backfill', async (req, res) => {
+  try {
+    const { leadId } = req.query;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId parameter is required'
+      });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getBackfillProgress(lead)
+    });
+
+  } catch (error) {
+    console.error('Backfill status error:', error);
+    res.status(500).json({
+      error: 'Failed to get backfill status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orders/reclassify
+ * Reclassify stored orders under the IOSS rules in force on each order date
+ * (orders without a final ECB rate are converted again first); declared
+ * returns whose orders change are flagged for corrections
+ */
+router.post('/orders/reclassify', async (req, res) => {
+  try {
+    const { leadId } = req.body;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId is required'
+      });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    console.log(`🔄 Reclassifying orders for ${lead.shopifyShopDomain || leadId}`);
+
+    const result = await Order.reclassify(lead._id);
+
+    res.json({
+      success: true,
+      message: `Reclassified ${result.modified} orders`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Reclassification error:', error);
+    res.status(500).json({
+      error: 'Reclassification failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/orders/countries
  * Get unique customer countries for filtering
@@ -292,6 +561,12 @@ router.get('/orders/:orderId', async (req, res) => {
       });
     }
 
+    if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(leadId)) {
+      return res.status(400).json({
+        error: 'Invalid orderId or leadId'
+      });
+    }
+
     const order = await Order.findOne({
       _id: orderId,
       shopId: leadId
@@ -318,16 +593,274 @@ router.get('/orders/:orderId', async (req, res) => {
 });
 
 /**
- * GET /api/reports/generate
- * Generate IOSS compliance report for specific user
- * Uses real MongoDB data if available, falls back to sample data
+ * PUT /api/orders/:orderId/line-items/:lineItemId/tax-category
+ * Override the tax category of a line item (category null clears the override)
+ */
+router.put('/orders/:orderId/line-items/:lineItemId/tax-category', async (req, res) => {
+  try {
+    const { orderId, lineItemId } = req.params;
+    const { leadId, category } = req.body;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId is required'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(leadId)) {
+      return res.status(400).json({
+        error: 'Invalid orderId or leadId'
+      });
+    }
+
+    if (category != null && !isTaxCategory(category)) {
+      return res.status(400).json({
+        error: 'Invalid tax category',
+        message: `Expected one of: ${Object.keys(TAX_CATEGORIES).join(', ')}`
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      shopId: leadId
+    });
+
+    if (!order || !order.lineItems.some(item => item.lineItemId === lineItemId)) {
+      return res.status(404).json({
+        error: 'Line item not found'
+      });
+    }
+
+    if (!order.taxCategoryOverrides) {
+      order.taxCategoryOverrides = new Map();
+    }
+
+    if (category == null) {
+      order.taxCategoryOverrides.delete(lineItemId);
+    } else {
+      order.taxCategoryOverrides.set(lineItemId, category);
+    }
+
+    // Pre-save middleware re-resolves line item rates
+    await order.save();
+    await Order.flagDeclaredReturns(order.shopId, [order.shopifyCreatedAt]);
+
+    res.json({
+      success: true,
+      data: order.lineItems.find(item => item.lineItemId === lineItemId)
+    });
+
+  } catch (error) {
+    console.error('Error updating line item tax category:', error);
+    res.status(500).json({
+      error: 'Failed to update tax category',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/shop/settings
+ * Update shop-level settings (default tax category)
+ */
+router.patch('/shop/settings', async (req, res) => {
+  try {
+    const { leadId, defaultTaxCategory } = req.body;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId is required'
+      });
+    }
+
+    if (defaultTaxCategory !== undefined && !isTaxCategory(defaultTaxCategory)) {
+      return res.status(400).json({
+        error: 'Invalid tax category',
+        message: `Expected one of: ${Object.keys(TAX_CATEGORIES).join(', ')}`
+      });
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    if (defaultTaxCategory !== undefined) {
+      lead.defaultTaxCategory = defaultTaxCategory;
+    }
+    await lead.save();
+
+    res.json({
+      success: true,
+      message: 'Shop settings updated. Run POST /api/orders/reclassify to apply them to stored orders.',
+      data: {
+        defaultTaxCategory: lead.defaultTaxCategory
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating shop settings:', error);
+    res.status(500).json({
+      error: 'Failed to update shop settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/deadlines/next?leadId=
+ * Filing deadline of the oldest unfiled return (overdue ones first, else the
+ * last closed period) and whether that return is ready
+ */
+router.get('/deadlines/next', async (req, res) => {
+  try {
+    const { leadId } = req.query;
+
+    if (!leadId) {
+      return res.status(400).json({
+        error: 'leadId parameter is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getShopDeadlineStatus(leadId)
+    });
+
+  } catch (error) {
+    console.error('Error fetching next deadline:', error);
+    res.status(500).json({
+      error: 'Failed to fetch next deadline',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/shop/ioss-numbers?leadId=
+ * List the shop's IOSS (IM...) and intermediary (IN...) numbers
+ */
+router.get('/shop/ioss-numbers', listIossNumbers);
+
+/**
+ * POST /api/shop/ioss-numbers
+ * Register a number with its validity dates
+ * Body: { leadId, number, validFrom, validTo }
+ */
+router.post('/shop/ioss-numbers', addIossNumber);
+
+/**
+ * PATCH /api/shop/ioss-numbers/:numberId
+ * Update the validity dates of a registered number
+ */
+router.patch('/shop/ioss-numbers/:numberId', updateIossNumber);
+
+/**
+ * DELETE /api/shop/ioss-numbers/:numberId?leadId=
+ * Remove a number registered by mistake
+ */
+router.delete('/shop/ioss-numbers/:numberId', removeIossNumber);
+
+/**
+ * GET /api/reports/generate?leadId=&period=YYYY-MM&format=csv|xml|pdf|xlsx
+ * Generate the monthly IOSS compliance report for specific user
+ * (period defaults to the last closed month, format to CSV; XML is
+ * VATpilot's interchange format validated against schemas/ioss-return.xsd,
+ * not a member state filing schema; PDF is a filing summary,
+ * XLSX a workbook with summary, member state and order sheets)
+ * Built from the shop's orders only; a period without eligible orders
+ * gives a nil return (422 when no IOSS number of the shop was valid in the
+ * period). X-Report-Type: REAL or NIL
  */
 router.get('/reports/generate', generateUserReport);
 
+/**
+ * GET /api/reports/demo?period=YYYY-MM&format=csv|pdf|xlsx
+ * Generate a demo report from the bundled sample orders, labelled as
+ * sample data in every format. X-Report-Type: DEMO
+ */
+router.get('/reports/demo', generateDemoReport);
+
+/**
+ * GET /api/reports/ledger?leadId=&period=YYYY-MM
+ * Export the order-level IOSS audit ledger (one row per order and rate)
+ * Locked and filed periods are served from the ledger snapshotted when the
+ * return was locked; other periods are built from the current order data
+ */
+router.get('/reports/ledger', generateLedgerReport);
+
 /**
  * GET /api/reports/sample
  * Get static sample report (legacy support)
  */
 router.get('/reports/sample', getStaticSampleReport);
 
+/**
+ * POST /api/returns
+ * Create or recompute the draft IOSS return for a period ({ leadId, period })
+ */
+router.post('/returns', saveDraftReturn);
+
+/**
+ * GET /api/returns
+ * List a shop's IOSS returns
+ */
+router.get('/returns', listReturns);
+
+/**
+ * GET /api/returns/:returnId
+ * Get a return with its lines, totals and included orders
+ */
+router.get('/returns/:returnId', getReturn);
+
+/**
+ * POST /api/returns/:returnId/lock
+ * Lock a draft return (its figures are frozen from then on)
+ */
+router.post('/returns/:returnId/lock', lockReturn);
+
+/**
+ * POST /api/returns/:returnId/file
+ * Mark a locked return as filed with the filing reference ({ leadId, filingReference })
+ */
+router.post('/returns/:returnId/file', fileReturn);
+
+/**
+ * GET /api/returns/:returnId/export?format=csv|xml|pdf|xlsx
+ * Download a return as CSV, XML, PDF or XLSX from its stored lines
+ * (XML in VATpilot's interchange format, which IOSS portals do not accept)
+ */
+router.get('/returns/:returnId/export', exportReturn);
+
+/**
+ * GET /api/tax-rules
+ * Get EU member states, VAT rates, special territories and IOSS rules in force on a date
+ */
+router.get('/tax-rules', (req, res) => {
+  try {
+    const { date } = req.query;
+    const referenceDate = date ? new Date(date) : new Date();
+
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid date parameter'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getTaxRulesSnapshot(referenceDate)
+    });
+
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tax rules',
+      message: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
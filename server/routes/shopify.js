@@ -3,10 +3,14 @@ import {
   getOAuthUrl, 
   handleOAuthCallback, 
   generateState,
-  fetchOrders 
+  fetchOrders,
+  registerWebhooks,
+  verifyWebhookHmac
 } from '../services/shopify.js';
-import { syncOrders } from '../services/syncService.js';
+import { syncOrders, transformShopifyOrder } from '../services/syncService.js';
+import { handleWebhook } from '../services/webhooks.js';
 import Lead from '../models/Lead.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
 
 const router = express.Router();
 
@@ -107,7 +111,8 @@ router.get('/callback', async (req, res) => {
         shopifyShopDomain: authResult.shop,
         shopifyAccessToken: authResult.accessToken,
         shopifyScope: authResult.scope,
-        shopifyConnectedAt: new Date()
+        shopifyConnectedAt: new Date(),
+        shopifyInstalledAt: new Date()
       });
     } else {
       // Update existing lead with Shopify data
@@ -115,6 +120,9 @@ router.get('/callback', async (req, res) => {
       lead.shopifyAccessToken = authResult.accessToken;
       lead.shopifyScope = authResult.scope;
       lead.shopifyConnectedAt = new Date();
+      lead.shopifyInstalledAt ||= lead.shopifyConnectedAt;
+      lead.shopifyReconnectRequiredAt = undefined;
+      lead.shopifyReconnectReason = undefined;
     }
 
     await lead.save();
@@ -137,6 +145,14 @@ router.get('/callback', async (req, res) => {
       // Don't fail the OAuth flow if sync fails, just log the error
     }
 
+    // Subscribe to order, refund and uninstall webhooks
+    try {
+      const registered = await registerWebhooks(authResult.shop, authResult.accessToken);
+      console.log(`🪝 Webhooks registered for ${authResult.shop}: ${registered.length ? registered.join(', ') : 'already subscribed'}`);
+    } catch (webhookError) {
+      console.error(`❌ Webhook registration failed for ${authResult.shop}:`, webhookError.message);
+    }
+
     // Redirect to frontend dashboard with success status
     const frontendUrl = process.env.NODE_ENV === 'production' 
       ? process.env.FRONTEND_URL || 'https://vatpilot.netlify.app'
@@ -156,6 +172,64 @@ router.get('/callback', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/shopify/webhooks
+ * Receive Shopify webhooks (orders/create, orders/updated, refunds/create,
+ * app/uninstalled). The X-Shopify-Hmac-Sha256 signature is checked against
+ * the raw body and repeated deliveries of the same X-Shopify-Webhook-Id are
+ * acknowledged without being processed again.
+ */
+router.post('/webhooks', async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+
+  if (!verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+    console.warn(`⚠️ Rejected webhook ${topic || '(no topic)'} from ${shopDomain || 'unknown shop'}: invalid signature`);
+    return res.status(401).json({
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  if (!topic || !shopDomain || !webhookId) {
+    return res.status(400).json({
+      error: 'Missing webhook headers'
+    });
+  }
+
+  let recorded = false;
+  try {
+    recorded = await WebhookDelivery.recordDelivery({ webhookId, topic, shopDomain });
+    if (!recorded) {
+      console.log(`🔁 Duplicate webhook ${webhookId} (${topic}) from ${shopDomain} ignored`);
+      return res.json({
+        success: true,
+        message: 'Duplicate delivery ignored'
+      });
+    }
+
+    const result = await handleWebhook(topic, shopDomain, req.body);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error(`❌ Webhook ${topic} from ${shopDomain} failed:`, error);
+
+    // Forget the delivery so Shopify's retry is processed
+    if (recorded) {
+      await WebhookDelivery.deleteOne({ webhookId }).catch(() => {});
+    }
+
+    res.status(500).json({
+      error: 'Webhook processing failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/shopify/orders/:leadId
  * Fetch orders for connected Shopify store
@@ -192,7 +266,7 @@ router.get('/orders/:leadId', async (req, res) => {
     );
 
     // Filter and transform orders for IOSS analysis
-    const processedOrders = orders.map(order => ({
+    const processedOrders = await Promise.all(orders.map(async order => ({
       id: order.id,
       name: order.name,
       email: order.email,
@@ -208,8 +282,8 @@ router.get('/orders/:leadId', async (req, res) => {
         vendor: item.vendor
       })),
       // Calculate if order requires IOSS
-      requiresIOSS: calculateIOSSRequirement(order)
-    }));
+      requiresIOSS: await calculateIOSSRequirement(order, leadId)
+    })));
 
     res.json({
       success: true,
@@ -267,26 +341,13 @@ router.delete('/disconnect/:leadId', async (req, res) => {
 /**
  * Helper function to determine if order requires IOSS
  * @param {Object} order - Shopify order object
- * @returns {boolean} Whether order requires IOSS compliance
+ * @param {string} shopId - MongoDB Lead document ID
+ * @returns {Promise<boolean>} Whether order requires IOSS compliance
  */
-function calculateIOSSRequirement(order) {
-  // Basic IOSS logic: orders between €22-€150 to EU from non-EU origin
-  const totalValue = parseFloat(order.total_price);
-  const shippingCountry = order.shipping_address?.country_code;
-  
-  const euCountries = [
-    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
-    'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
-    'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
-  ];
-
-  // Check if shipping to EU
-  const isEUDestination = euCountries.includes(shippingCountry);
-  
-  // Check value range (€22-€150 typically requires IOSS)
-  const isIOSSValueRange = totalValue >= 22 && totalValue <= 150;
-  
-  return isEUDestination && isIOSSValueRange;
+async function calculateIOSSRequirement(order, shopId) {
+  // The sync transform classifies by intrinsic value under the rules in force on the order date
+  const transformedOrder = await transformShopifyOrder(order, shopId);
+  return transformedOrder.iossEligible;
 }
 
 export default router;
\ No newline at end of file
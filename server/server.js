@@ -9,6 +9,9 @@ import { Resend } from 'resend'
 import Lead from './models/Lead.js'
 import shopifyRoutes from './routes/shopify.js'
 import apiRoutes from './routes/api.js'
+import { startDeadlineScheduler } from './services/deadlineScheduler.js'
+import { resumeInterruptedBackfills } from './services/backfill.js'
+import { startJobRunner } from './services/jobRunner.js'
 
 // Load environment variables only in development
 if (process.env.NODE_ENV !== 'production') {
@@ -96,9 +99,17 @@ if (resendApiKey) {
 // Middleware
 app.use(cors({
   origin: corsOrigin,
-  credentials: true
+  credentials: true,
+  // Let the Dashboard read the download filename and report type
+  exposedHeaders: ['Content-Disposition', 'X-Report-Type']
+}))
+app.use(express.json({
+  limit: '2mb',
+  // Shopify webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
 }))
-app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
 // MongoDB Connection
@@ -115,6 +126,12 @@ const connectDB = async () => {
     })
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`)
     console.log(`📊 Database: ${conn.connection.name}`)
+
+    // Order backfills cut off by a restart continue from their saved cursor
+    const resumed = await resumeInterruptedBackfills()
+    if (resumed > 0) {
+      console.log(`📚 Resumed ${resumed} interrupted order backfill(s)`)
+    }
   } catch (error) {
     console.error('❌ MongoDB Connection Error:', error.message)
     console.log('⚠️ Server will continue without database connection')
@@ -124,6 +141,23 @@ const connectDB = async () => {
 // Connect to database
 connectDB()
 
+// Filing deadline reminders (needs both the database and Resend)
+if (resend && mongoUri) {
+  startDeadlineScheduler({
+    resend,
+    fromEmail: fromEmail || 'VATpilot Support <vatpilot@mynexusgroup.com>'
+  })
+} else {
+  console.log('⚠️ Deadline reminders disabled - Resend or MongoDB not configured')
+}
+
+// Scheduled and manual order syncs run in the background
+if (mongoUri) {
+  startJobRunner()
+} else {
+  console.log('⚠️ Background order syncs disabled - MongoDB not configured')
+}
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.json({ 
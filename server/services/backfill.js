@@ -0,0 +1,362 @@
+import Lead from '../models/Lead.js';
+import {
+  fetchOrderCount,
+  fetchOrdersPage,
+  getOrderApi,
+  startBulkOrderExport,
+  streamBulkOrders,
+  waitForBulkOrderExport
+} from './shopify.js';
+import { storeShopifyOrders, updateSyncStatistics } from './syncService.js';
+
+/**
+ * Service for backfilling a shop's full Shopify order history
+ *
+ * Orders in the chosen date range are fetched 250 at a time by following the
+ * page_info cursor of the Link header. After every page the cursor and the
+ * progress are saved on the shop, so an interrupted backfill resumes where it
+ * stopped. If Shopify no longer accepts a saved cursor, the walk restarts from
+ * the oldest order stored so far (orders come newest first), which only
+ * fetches that page again.
+ *
+ * With SHOPIFY_ORDER_API=graphql the history is exported by a GraphQL bulk
+ * operation instead. Its ID is saved on the shop, so a resumed backfill
+ * waits for the same export and skips the orders already stored from it.
+ */
+
+const PAGE_SIZE = 250;
+
+// Shops with a backfill running in this process
+const activeBackfills = new Set();
+
+/**
+ * Check whether a backfill is running for a shop in this process
+ * @param {string} shopId - MongoDB Lead document ID
+ * @returns {boolean} True when running
+ */
+export const isBackfillRunning = (shopId) => activeBackfills.has(shopId.toString());
+
+/**
+ * Get a shop's backfill progress
+ * @param {Object} lead - Lead document
+ * @returns {Object|null} Progress, or null when no backfill was started
+ */
+export const getBackfillProgress = (lead) => {
+  const state = lead.orderBackfill;
+  if (!state?.status) {
+    return null;
+  }
+
+  // Marked running but not worked on by this process: the server restarted
+  const status = state.status === 'running' && !isBackfillRunning(lead._id) ? 'interrupted' : state.status;
+
+  return {
+    status,
+    api: state.api || 'rest',
+    createdAtMin: state.createdAtMin,
+    createdAtMax: state.createdAtMax,
+    totalOrders: state.totalOrders,
+    pagesFetched: state.pagesFetched,
+    ordersProcessed: state.ordersProcessed,
+    created: state.created,
+    updated: state.updated,
+    percent: status === 'completed'
+      ? 100
+      : state.totalOrders ? Math.min(99, Math.floor(state.ordersProcessed / state.totalOrders * 100)) : null,
+    startedAt: state.startedAt,
+    updatedAt: state.updatedAt,
+    completedAt: state.completedAt,
+    error: state.error,
+    resumable: ['interrupted', 'failed'].includes(status)
+  };
+};
+
+/**
+ * Check whether Shopify rejected a page_info cursor (expired or invalid)
+ * @param {Error} error - Error thrown by the REST client
+ * @returns {boolean} True for a 400 response
+ */
+const isRejectedCursor = (error) => error.response?.code === 400;
+
+/**
+ * Walk the order history page by page, saving the cursor after each page
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {string} domain - Shopify store domain
+ * @param {string} accessToken - Shopify access token
+ * @param {Object} state - Backfill state (Lead.orderBackfill), updated in place
+ * @param {Function} saveState - Saves the state on the shop
+ */
+const walkOrderPages = async (shopId, domain, accessToken, state, saveState) => {
+  for (;;) {
+    let page;
+    try {
+      page = await fetchOrdersPage(domain, accessToken, state.pageInfo
+        ? { pageInfo: state.pageInfo, limit: PAGE_SIZE }
+        : {
+          limit: PAGE_SIZE,
+          ...(state.createdAtMin && { created_at_min: state.createdAtMin.toISOString() }),
+          // Orders come newest first: continue below the oldest one stored
+          ...((state.checkpoint || state.createdAtMax) && {
+            created_at_max: (state.checkpoint || state.createdAtMax).toISOString()
+          })
+        });
+    } catch (error) {
+      if (!state.pageInfo || !isRejectedCursor(error)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Saved cursor rejected for ${domain}, restarting from ${state.checkpoint?.toISOString() || 'the range end'}`);
+      state.pageInfo = null;
+      continue;
+    }
+
+    if (page.orders.length > 0) {
+      const { processed, created, updated } = await storeShopifyOrders(shopId, accessToken, domain, page.orders);
+      state.ordersProcessed += processed;
+      state.created += created;
+      state.updated += updated;
+      state.checkpoint = new Date(page.orders[page.orders.length - 1].created_at);
+    }
+
+    state.pageInfo = page.nextPageInfo;
+    state.pagesFetched += 1;
+    state.updatedAt = new Date();
+
+    if (!page.nextPageInfo) {
+      return;
+    }
+
+    // The REST client paces requests by the call limit (services/shopifyClient.js)
+    await saveState();
+    console.log(`📚 Backfill ${domain}: page ${state.pagesFetched}, ${state.ordersProcessed}${state.totalOrders ? `/${state.totalOrders}` : ''} orders`);
+  }
+};
+
+/**
+ * Export the order history with a GraphQL bulk operation and store it in
+ * batches, saving the progress after each batch
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {string} domain - Shopify store domain
+ * @param {string} accessToken - Shopify access token
+ * @param {Object} state - Backfill state (Lead.orderBackfill), updated in place
+ * @param {Function} saveState - Saves the state on the shop
+ */
+const walkBulkExport = async (shopId, domain, accessToken, state, saveState) => {
+  const startExport = async () => {
+    state.bulkOperationId = await startBulkOrderExport(domain, accessToken, {
+      ...(state.createdAtMin && { created_at_min: state.createdAtMin.toISOString() }),
+      ...(state.createdAtMax && { created_at_max: state.createdAtMax.toISOString() })
+    });
+    state.pagesFetched = 0;
+    state.ordersProcessed = 0;
+    state.created = 0;
+    state.updated = 0;
+    await saveState();
+    console.log(`📦 Bulk order export started for ${domain}`);
+  };
+
+  if (!state.bulkOperationId) {
+    await startExport();
+  }
+
+  let operation = await waitForBulkOrderExport(domain, accessToken, state.bulkOperationId);
+
+  // Results are kept for a week; an older export is run again
+  if (operation.status === 'EXPIRED') {
+    console.warn(`⚠️ Bulk order export for ${domain} expired, exporting again`);
+    await startExport();
+    operation = await waitForBulkOrderExport(domain, accessToken, state.bulkOperationId);
+  }
+
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Bulk order export ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+  }
+
+  // Orders stored from this export before an interruption
+  let skip = state.ordersProcessed;
+  let batch = [];
+
+  const storeBatch = async () => {
+    const { processed, created, updated } = await storeShopifyOrders(shopId, accessToken, domain, batch);
+    state.ordersProcessed += processed;
+    state.created += created;
+    state.updated += updated;
+    state.pagesFetched += 1;
+    state.updatedAt = new Date();
+    batch = [];
+
+    await saveState();
+    console.log(`📚 Backfill ${domain}: batch ${state.pagesFetched}, ${state.ordersProcessed}${state.totalOrders ? `/${state.totalOrders}` : ''} orders`);
+  };
+
+  for await (const order of streamBulkOrders(operation.url)) {
+    if (skip > 0) {
+      skip--;
+      continue;
+    }
+
+    batch.push(order);
+    if (batch.length >= PAGE_SIZE) {
+      await storeBatch();
+    }
+  }
+
+  if (batch.length > 0) {
+    await storeBatch();
+  }
+};
+
+/**
+ * Run a backfill to completion and record its outcome
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {string} domain - Shopify store domain
+ * @param {string} accessToken - Shopify access token
+ * @param {Object} state - Backfill state (Lead.orderBackfill), updated in place
+ */
+const runBackfill = async (shopId, domain, accessToken, state) => {
+  const saveState = () => Lead.updateOne({ _id: shopId }, { $set: { orderBackfill: state } });
+
+  try {
+    if (state.api === 'graphql') {
+      await walkBulkExport(shopId, domain, accessToken, state, saveState);
+    } else {
+      await walkOrderPages(shopId, domain, accessToken, state, saveState);
+    }
+
+    state.status = 'completed';
+    state.completedAt = new Date();
+    state.error = undefined;
+    await saveState();
+    await updateSyncStatistics(shopId);
+
+    console.log(`✅ Backfill completed for ${domain}: ${state.ordersProcessed} orders in ${state.pagesFetched} ${state.api === 'graphql' ? 'batches' : 'pages'} (${state.created} new, ${state.updated} updated)`);
+  } catch (error) {
+    console.error(`❌ Backfill failed for ${domain}:`, error.message);
+
+    // The cursor is kept so the backfill can be resumed
+    state.status = 'failed';
+    state.error = error.message;
+    state.updatedAt = new Date();
+    await saveState().catch(saveError => console.error('❌ Could not save backfill state:', saveError.message));
+  } finally {
+    activeBackfills.delete(shopId.toString());
+  }
+};
+
+/**
+ * Start or resume a shop's order history backfill in the background
+ * An unfinished backfill is resumed from its saved cursor unless a new date
+ * range is given or restart is set.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} [options] - { createdAtMin, createdAtMax, restart }
+ * @returns {Object} { progress, resumed }
+ * @throws {Error} When the shop is not connected or a backfill is already running
+ */
+export const startOrderBackfill = async (shopId, { createdAtMin, createdAtMax, restart = false } = {}) => {
+  if (isBackfillRunning(shopId)) {
+    throw new Error('A backfill is already running for this shop');
+  }
+  activeBackfills.add(shopId.toString());
+
+  try {
+    return await prepareBackfill(shopId, { createdAtMin, createdAtMax, restart });
+  } catch (error) {
+    activeBackfills.delete(shopId.toString());
+    throw error;
+  }
+};
+
+/**
+ * Save the starting state of a backfill and set it running
+ * @returns {Object} { progress, resumed }
+ */
+const prepareBackfill = async (shopId, { createdAtMin, createdAtMax, restart }) => {
+  const lead = await Lead.findById(shopId).select('+shopifyAccessToken');
+  if (!lead?.shopifyAccessToken || !lead.shopifyShopDomain) {
+    throw new Error('Shopify store not connected');
+  }
+
+  const previous = lead.toObject().orderBackfill;
+  const resumed = !restart && !createdAtMin && !createdAtMax &&
+    ['running', 'interrupted', 'failed'].includes(previous?.status);
+
+  let state;
+  if (resumed) {
+    state = { api: 'rest', ...previous, status: 'running', error: undefined, updatedAt: new Date() };
+
+    // A cursor or export of the other orders API cannot be continued
+    if (state.api !== getOrderApi()) {
+      state.api = getOrderApi();
+      state.pageInfo = null;
+      state.bulkOperationId = undefined;
+    }
+    console.log(`📚 Resuming backfill for ${lead.shopifyShopDomain} after ${state.ordersProcessed} orders`);
+  } else {
+    state = {
+      status: 'running',
+      api: getOrderApi(),
+      createdAtMin: createdAtMin ? new Date(createdAtMin) : undefined,
+      createdAtMax: createdAtMax ? new Date(createdAtMax) : undefined,
+      pageInfo: null,
+      checkpoint: undefined,
+      bulkOperationId: undefined,
+      pagesFetched: 0,
+      ordersProcessed: 0,
+      created: 0,
+      updated: 0,
+      startedAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    // Total for progress reporting; the backfill runs without it
+    try {
+      state.totalOrders = await fetchOrderCount(lead.shopifyShopDomain, lead.shopifyAccessToken, {
+        ...(state.createdAtMin && { created_at_min: state.createdAtMin.toISOString() }),
+        ...(state.createdAtMax && { created_at_max: state.createdAtMax.toISOString() })
+      });
+    } catch (error) {
+      console.warn(`⚠️ Order count unavailable for ${lead.shopifyShopDomain}:`, error.message);
+    }
+
+    console.log(`📚 Starting backfill for ${lead.shopifyShopDomain}${state.totalOrders !== undefined ? ` (${state.totalOrders} orders)` : ''}`);
+  }
+
+  lead.orderBackfill = state;
+  await lead.save();
+
+  runBackfill(lead._id, lead.shopifyShopDomain, lead.shopifyAccessToken, state);
+
+  return {
+    progress: getBackfillProgress(lead),
+    resumed
+  };
+};
+
+/**
+ * Resume backfills that were running when the server stopped
+ * @returns {number} Number of backfills resumed
+ */
+export const resumeInterruptedBackfills = async () => {
+  const leads = await Lead.find({ 'orderBackfill.status': 'running' }).select('_id shopifyShopDomain');
+  let resumed = 0;
+
+  for (const lead of leads) {
+    if (isBackfillRunning(lead._id)) continue;
+
+    try {
+      await startOrderBackfill(lead._id);
+      resumed++;
+    } catch (error) {
+      console.error(`❌ Could not resume backfill for ${lead.shopifyShopDomain}:`, error.message);
+    }
+  }
+
+  return resumed;
+};
+
+export default {
+  isBackfillRunning,
+  getBackfillProgress,
+  startOrderBackfill,
+  resumeInterruptedBackfills
+};
@@ -0,0 +1,277 @@
+import Lead from '../models/Lead.js';
+import IossReturn from '../models/IossReturn.js';
+import { getFilingDeadline, getIossNumbersForPeriod, getNextFilingDeadline, getPeriodForDate } from '../tax/index.js';
+
+/**
+ * Service for IOSS filing deadlines and reminder emails
+ *
+ * Each month's return is due by the end of the following month. The
+ * scheduler checks connected shops periodically and emails a reminder for
+ * the oldest unfiled return when its deadline is within one of the
+ * configured offsets, and weekly once it is overdue. Sent reminders are
+ * recorded on the shop so a restart or a missed run never sends the same
+ * reminder twice.
+ */
+
+// Days before the due date at which reminders go out
+export const DEFAULT_REMINDER_OFFSETS = [14, 7, 3, 1];
+
+// Overdue returns are reminded again every this many days
+const OVERDUE_REMINDER_INTERVAL_DAYS = 7;
+
+// Statuses of returns that have been submitted
+const FILED_STATUSES = ['filed', 'amended'];
+
+// How often the scheduler checks deadlines
+const DEFAULT_CHECK_INTERVAL_HOURS = 6;
+
+const DASHBOARD_URL = process.env.FRONTEND_URL || 'https://vatpilot.netlify.app';
+
+/**
+ * Read the reminder offsets (DEADLINE_REMINDER_DAYS, e.g. "14,7,3,1")
+ * @returns {Array<number>} Offsets in days, largest first
+ */
+export const getReminderOffsets = () => {
+  const configured = (process.env.DEADLINE_REMINDER_DAYS || '')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => Number.isInteger(value) && value >= 0);
+
+  return (configured.length > 0 ? configured : DEFAULT_REMINDER_OFFSETS).sort((a, b) => b - a);
+};
+
+/**
+ * List the closed periods a shop has to file returns for through the app,
+ * oldest first: every month since it started using the app in which an IOSS
+ * or intermediary number of its registry was valid. Earlier months were
+ * filed elsewhere. Shops without registered numbers only owe the last
+ * closed period.
+ * @param {Array} registry - Shop's IOSS numbers ({ number, type, validFrom, validTo })
+ * @param {Object} lastClosed - Last closed period
+ * @param {Date} [since] - When the shop started using the app
+ * @returns {Array} Periods
+ */
+export const getOwedPeriods = (registry = [], lastClosed, since) => {
+  if (registry.length === 0) {
+    return [lastClosed];
+  }
+
+  const firstFrom = Math.max(
+    Math.min(...registry.map(entry => new Date(entry.validFrom).getTime())),
+    since ? new Date(since).getTime() : -Infinity
+  );
+  const periods = [];
+
+  for (let period = getPeriodForDate(firstFrom); period.key <= lastClosed.key; period = getPeriodForDate(period.end)) {
+    const { iossNumber, intermediaryNumber } = getIossNumbersForPeriod(registry, period);
+    if (iossNumber || intermediaryNumber) {
+      periods.push(period);
+    }
+  }
+
+  return periods;
+};
+
+/**
+ * Get a shop's filing deadline to act on and whether that return is ready:
+ * the oldest closed period without a filed return (overdue ones included),
+ * else the last closed period
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Date} [date] - Reference date (defaults to now)
+ * @returns {Object} { period, label, dueDate, daysLeft, overdue, unfiledPeriods, returnStatus, ready, filed }
+ */
+export const getShopDeadlineStatus = async (shopId, date = new Date()) => {
+  const next = getNextFilingDeadline(date);
+  const lead = await Lead.findById(shopId).select('iossNumbers shopifyInstalledAt createdAt');
+  // Shops connected before installs were recorded count from their sign-up
+  const owed = getOwedPeriods(lead?.iossNumbers, next.period, lead?.shopifyInstalledAt || lead?.createdAt);
+
+  const returns = await IossReturn.find({ shopId, period: { $in: owed.map(period => period.key) } }).select('period status');
+  const statuses = Object.fromEntries(returns.map(entry => [entry.period, entry.status]));
+  const unfiled = owed.filter(period => !FILED_STATUSES.includes(statuses[period.key]));
+
+  const { period, dueDate, daysLeft } = unfiled.length > 0 ? getFilingDeadline(unfiled[0], date) : next;
+  const returnStatus = statuses[period.key] || 'none';
+
+  return {
+    period: period.key,
+    label: period.label,
+    dueDate,
+    daysLeft,
+    overdue: daysLeft < 0,
+    unfiledPeriods: unfiled.map(entry => entry.key),
+    returnStatus,
+    // Locked returns have final figures and only need submitting
+    ready: ['locked', ...FILED_STATUSES].includes(returnStatus),
+    filed: FILED_STATUSES.includes(returnStatus)
+  };
+};
+
+/**
+ * Pick the reminder to send for a deadline, if any
+ * Only the closest offset is sent when several were passed since the last run.
+ * Overdue returns get a reminder every OVERDUE_REMINDER_INTERVAL_DAYS, recorded
+ * as negative offsets (-1 the day after the due date, then -8, -15, ...).
+ * @param {number} daysLeft - Days until the due date (negative once overdue)
+ * @param {Array} sent - Offsets already sent for the period
+ * @param {Array<number>} offsets - Configured offsets
+ * @returns {number|null} Offset to send, or null
+ */
+export const getDueReminderOffset = (daysLeft, sent, offsets = getReminderOffsets()) => {
+  if (daysLeft < 0) {
+    const overdueOffset = -1 - Math.floor((-daysLeft - 1) / OVERDUE_REMINDER_INTERVAL_DAYS) * OVERDUE_REMINDER_INTERVAL_DAYS;
+    return sent.includes(overdueOffset) ? null : overdueOffset;
+  }
+
+  const reached = offsets.filter(offset => daysLeft <= offset);
+  if (reached.length === 0) {
+    return null;
+  }
+
+  const offset = Math.min(...reached);
+  return sent.some(sentOffset => sentOffset <= offset) ? null : offset;
+};
+
+/**
+ * Describe how far a deadline is, e.g. "in 3 days" or "3 days ago"
+ * @param {number} daysLeft - Days until the due date
+ * @returns {string} Description
+ */
+const describeDaysLeft = (daysLeft) => {
+  if (daysLeft === 0) return 'today';
+  const days = Math.abs(daysLeft);
+  const count = `${days} day${days === 1 ? '' : 's'}`;
+  return daysLeft > 0 ? `in ${count}` : `${count} ago`;
+};
+
+/**
+ * Build the reminder email for a shop's upcoming or overdue deadline
+ * @param {Object} lead - Lead document
+ * @param {Object} status - Deadline status from getShopDeadlineStatus()
+ * @returns {Object} { subject, html }
+ */
+const buildReminderEmail = (lead, status) => {
+  const dashboardUrl = `${DASHBOARD_URL}/dashboard?leadId=${lead._id}`;
+  const when = describeDaysLeft(status.daysLeft);
+  const nextStep = status.ready
+    ? 'Your return is locked and ready. Submit it in your member state of identification portal and record the filing reference in VATpilot.'
+    : 'Your return has not been locked yet. Sync your latest orders, review the draft and lock it before submitting.';
+
+  return {
+    subject: status.overdue
+      ? `Overdue: IOSS return for ${status.label} was due ${when} (${status.dueDate})`
+      : `IOSS return for ${status.label} due ${when} (${status.dueDate})`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #1a365d; padding: 24px; text-align: center;">
+          <h1 style="margin: 0; color: #ffffff; font-size: 24px;">VATpilot</h1>
+          <p style="margin: 4px 0 0; color: #a0aec0; font-size: 13px;">IOSS Filing Reminder</p>
+        </div>
+        <div style="padding: 24px; background-color: #ffffff; color: #2d3748;">
+          <p style="font-size: 16px;">The IOSS return for <strong>${status.label}</strong> for ${lead.shopifyShopDomain} ${status.overdue ? 'was' : 'is'} due <strong>${when}</strong>, on ${status.dueDate}.</p>
+          ${status.overdue ? '<p style="font-size: 14px; color: #c53030;">The return is overdue. File it as soon as possible; late returns can lead to reminders from your member state of identification and, if repeated, exclusion from IOSS.</p>' : ''}
+          <p style="font-size: 14px;">${nextStep}</p>
+          <p style="text-align: center; margin: 32px 0;">
+            <a href="${dashboardUrl}" style="background-color: #2b6cb0; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Open Dashboard</a>
+          </p>
+          <p style="font-size: 12px; color: #718096;">Returns are due by the end of the month after the reporting period, including nil returns for months without sales.</p>
+        </div>
+      </div>
+    `
+  };
+};
+
+/**
+ * Send due reminder emails to all connected shops
+ * @param {Object} options - { resend, fromEmail, date }
+ * @returns {Object} { checked, sent, failed }
+ */
+export const sendDeadlineReminders = async ({ resend, fromEmail, date = new Date() }) => {
+  const offsets = getReminderOffsets();
+  const shops = await Lead.find({ shopifyConnectedAt: { $ne: null }, shopifyShopDomain: { $ne: null } });
+  const results = { checked: shops.length, sent: 0, failed: 0 };
+
+  for (const lead of shops) {
+    try {
+      const status = await getShopDeadlineStatus(lead._id, date);
+      if (status.filed) continue;
+
+      const sent = lead.deadlineReminders
+        .filter(reminder => reminder.period === status.period)
+        .map(reminder => reminder.offset);
+      const offset = getDueReminderOffset(status.daysLeft, sent, offsets);
+      if (offset === null) continue;
+
+      const email = buildReminderEmail(lead, status);
+      const response = await resend.emails.send({
+        from: fromEmail,
+        to: [lead.email],
+        subject: email.subject,
+        html: email.html,
+        tags: [
+          { name: 'category', value: 'filing-reminder' },
+          { name: 'period', value: status.period }
+        ]
+      });
+
+      if (response?.error) {
+        throw new Error(response.error.message);
+      }
+
+      lead.deadlineReminders.push({
+        period: status.period,
+        offset,
+        emailId: response?.data?.id || response?.id
+      });
+      await lead.save();
+
+      results.sent++;
+      console.log(`⏰ Filing reminder (${offset < 0 ? `overdue ${-status.daysLeft}` : offset} days) sent to ${lead.email} for ${status.period}`);
+    } catch (error) {
+      results.failed++;
+      console.error(`❌ Filing reminder failed for ${lead.email}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Start checking deadlines periodically (DEADLINE_CHECK_INTERVAL_HOURS)
+ * @param {Object} options - { resend, fromEmail }
+ * @returns {Function} Stops the scheduler
+ */
+export const startDeadlineScheduler = ({ resend, fromEmail }) => {
+  const hours = parseFloat(process.env.DEADLINE_CHECK_INTERVAL_HOURS) || DEFAULT_CHECK_INTERVAL_HOURS;
+
+  const run = async () => {
+    try {
+      const { checked, sent, failed } = await sendDeadlineReminders({ resend, fromEmail });
+      console.log(`⏰ Deadline check: ${checked} shops, ${sent} reminders sent, ${failed} failed`);
+    } catch (error) {
+      console.error('❌ Deadline check failed:', error.message);
+    }
+  };
+
+  // First run shortly after startup, once the database has connected
+  const initial = setTimeout(run, 60 * 1000);
+  const interval = setInterval(run, hours * 60 * 60 * 1000);
+  initial.unref();
+  interval.unref();
+
+  console.log(`⏰ Deadline scheduler started (every ${hours}h, reminders at ${getReminderOffsets().join(', ')} days)`);
+
+  return () => {
+    clearTimeout(initial);
+    clearInterval(interval);
+  };
+};
+
+export default {
+  getReminderOffsets,
+  getOwedPeriods,
+  getShopDeadlineStatus,
+  getDueReminderOffset,
+  sendDeadlineReminders,
+  startDeadlineScheduler
+};
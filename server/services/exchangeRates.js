@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Service for converting order amounts to EUR with ECB reference rates
+ *
+ * ECB rates are quoted as units of foreign currency per 1 EUR. Under the IOSS
+ * rules (Art. 369u VAT Directive) amounts are converted with the rate published
+ * for the last day of the tax period, or the next publication if none exists
+ * for that day. The rates file holds the ECB history written by
+ * import-ecb-rates.js; a supply it does not cover gets no rate rather than
+ * one published months or years away from it.
+ */
+
+export const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'ecb_rates.csv');
+
+// The next publication after a period end that isn't a TARGET business day
+// comes within a few days (longest around Easter)
+const MAX_PUBLICATION_DELAY_DAYS = 7;
+
+// Oldest rate, before the date of supply, used as a provisional rate
+const MAX_PROVISIONAL_RATE_AGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active provider and in-memory cache of the loaded rate table
+let rateProvider = null;
+let rateCache = null;
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Parse ECB CSV content (eurofxref-hist.csv format) into a rate table
+ * Lines starting with '#' are treated as comments, 'N/A' cells are skipped.
+ * @param {string} content - CSV file content
+ * @returns {Object} Rates keyed by date, e.g. { '2025-12-31': { USD: 1.17 } }
+ */
+export const parseEcbCsv = (content) => {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length === 0) {
+    return {};
+  }
+
+  const currencies = lines[0].split(',').slice(1).map(code => code.trim().toUpperCase());
+  const rates = {};
+
+  lines.slice(1).forEach(line => {
+    const cells = line.split(',');
+    const date = cells[0].trim();
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return;
+    }
+
+    rates[date] = {};
+    currencies.forEach((currency, index) => {
+      const rate = parseFloat(cells[index + 1]);
+      if (currency && Number.isFinite(rate) && rate > 0) {
+        rates[date][currency] = rate;
+      }
+    });
+  });
+
+  return rates;
+};
+
+/**
+ * Parse an ECB Data Portal CSV export (format=csvdata, one observation per
+ * line) into a rate table
+ * @param {string} content - CSV content with CURRENCY, TIME_PERIOD and OBS_VALUE columns
+ * @returns {Object} Rates keyed by date, e.g. { '2025-12-31': { USD: 1.17 } }
+ */
+export const parseEcbDataCsv = (content) => {
+  const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+  const columns = (header || '').split(',').map(column => column.trim().toUpperCase());
+  const currencyIndex = columns.indexOf('CURRENCY');
+  const dateIndex = columns.indexOf('TIME_PERIOD');
+  const valueIndex = columns.indexOf('OBS_VALUE');
+
+  if (currencyIndex < 0 || dateIndex < 0 || valueIndex < 0) {
+    throw new Error('Not an ECB data export: CURRENCY, TIME_PERIOD and OBS_VALUE columns are required');
+  }
+
+  const rates = {};
+  lines.forEach(line => {
+    const cells = line.split(',');
+    const date = cells[dateIndex]?.trim();
+    const rate = parseFloat(cells[valueIndex]);
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && Number.isFinite(rate) && rate > 0) {
+      rates[date] ||= {};
+      rates[date][cells[currencyIndex].trim().toUpperCase()] = rate;
+    }
+  });
+
+  return rates;
+};
+
+/**
+ * Write a rate table in the ECB eurofxref-hist.csv layout
+ * @param {Object} rates - Rates keyed by date
+ * @returns {string} CSV content, newest date first
+ */
+export const formatEcbCsv = (rates) => {
+  const dates = Object.keys(rates).sort().reverse();
+  const currencies = [...new Set(dates.flatMap(date => Object.keys(rates[date])))].sort();
+
+  return [
+    `Date,${currencies.join(',')}`,
+    ...dates.map(date => `${date},${currencies.map(code => rates[date][code] ?? 'N/A').join(',')}`)
+  ].join('\n') + '\n';
+};
+
+/**
+ * Create a provider that reads ECB rates from a local CSV or JSON file
+ * @param {string} filePath - Path to the rates file
+ * @returns {Object} Rate provider
+ */
+export const createFileRateProvider = (filePath = process.env.ECB_RATES_FILE || DEFAULT_RATES_FILE) => ({
+  name: 'ecb-file',
+  load: async () => {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`ECB rates file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return filePath.endsWith('.json') ? JSON.parse(content) : parseEcbCsv(content);
+  }
+});
+
+/**
+ * Create a provider that serves a fixed rate table (used in tests and demos)
+ * @param {Object} rates - Rates keyed by date, e.g. { '2025-12-31': { USD: 1.17 } }
+ * @returns {Object} Rate provider
+ */
+export const createStubRateProvider = (rates = {}) => ({
+  name: 'stub',
+  load: async () => rates
+});
+
+/**
+ * Replace the active rate provider and clear the cached rate table
+ * @param {Object} provider - Provider created by one of the factories above
+ */
+export const setRateProvider = (provider) => {
+  rateProvider = provider;
+  rateCache = null;
+};
+
+/**
+ * Load (or return cached) rate table from the active provider
+ * @returns {Object} Cached table with sorted dates and source name
+ */
+const loadRates = async () => {
+  if (rateCache) {
+    return rateCache;
+  }
+
+  if (!rateProvider) {
+    rateProvider = createFileRateProvider();
+  }
+
+  const rates = await rateProvider.load();
+  rateCache = {
+    rates,
+    dates: Object.keys(rates).sort(),
+    source: rateProvider.name
+  };
+
+  if (rateCache.dates.length === 0) {
+    console.warn(`⚠️ No ECB reference rates loaded (${rateCache.source}) - run node server/import-ecb-rates.js`);
+  } else {
+    console.log(`💱 Loaded ECB reference rates for ${rateCache.dates.length} days (${rateCache.source}, up to ${rateCache.dates[rateCache.dates.length - 1]})`);
+  }
+  return rateCache;
+};
+
+/**
+ * Get the conversion date required by the IOSS rules for a supply date
+ * @param {Date|string} supplyDate - Date of supply
+ * @returns {Date} Last day of the tax period (calendar month)
+ */
+export const getIOSSConversionDate = (supplyDate) => {
+  const date = new Date(supplyDate);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+};
+
+/**
+ * Find the ECB rate applicable to a supply
+ * Uses the rate for the last day of the period or the next publication, if it
+ * came within MAX_PUBLICATION_DELAY_DAYS. Until then (the period is still
+ * open, or the rates file has not caught up) the latest rate published in the
+ * week before the supply or since is used and flagged as provisional, so it is
+ * refreshed when the order is next saved. Otherwise there is no rate.
+ * @param {string} currency - ISO currency code
+ * @param {Date|string} supplyDate - Date of supply
+ * @returns {Object|null} { rate, rateDate, source, provisional } or null if unavailable
+ */
+export const getRateForSupply = async (currency, supplyDate) => {
+  const code = currency?.toUpperCase();
+
+  if (code === 'EUR') {
+    return { rate: 1, rateDate: null, source: 'EUR', provisional: false };
+  }
+
+  const { rates, dates, source } = await loadRates();
+  const conversionDate = getIOSSConversionDate(supplyDate);
+  const targetKey = toDateKey(conversionDate);
+  const latestPublicationKey = toDateKey(new Date(conversionDate.getTime() + MAX_PUBLICATION_DELAY_DAYS * DAY_MS));
+
+  const publishedDate = dates.find(date => date >= targetKey && date <= latestPublicationKey && rates[date][code]);
+  if (publishedDate) {
+    return {
+      rate: rates[publishedDate][code],
+      rateDate: new Date(publishedDate),
+      source,
+      provisional: false
+    };
+  }
+
+  const oldestProvisionalKey = toDateKey(new Date(new Date(supplyDate).getTime() - MAX_PROVISIONAL_RATE_AGE_DAYS * DAY_MS));
+  const latestDate = [...dates].reverse().find(date =>
+    date < targetKey && date >= oldestProvisionalKey && rates[date][code]);
+  if (latestDate) {
+    return {
+      rate: rates[latestDate][code],
+      rateDate: new Date(latestDate),
+      source,
+      provisional: true
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Convert an amount to EUR at the rate the IOSS rules require
+ * @param {number} amount - Amount in the original currency
+ * @param {string} currency - ISO currency code
+ * @param {Date|string} supplyDate - Date of supply
+ * @returns {Object} { amountEur, rate, rateDate, source, provisional }
+ */
+export const convertToEur = async (amount, currency, supplyDate) => {
+  const rateInfo = await getRateForSupply(currency, supplyDate);
+
+  if (!rateInfo) {
+    throw new Error(`No ECB reference rate available for ${currency}`);
+  }
+
+  return {
+    amountEur: parseFloat((amount / rateInfo.rate).toFixed(2)),
+    ...rateInfo
+  };
+};
+
+export default {
+  convertToEur,
+  getRateForSupply,
+  getIOSSConversionDate,
+  parseEcbCsv,
+  parseEcbDataCsv,
+  formatEcbCsv,
+  createFileRateProvider,
+  createStubRateProvider,
+  setRateProvider
+};
@@ -0,0 +1,72 @@
+/**
+ * Service for calculating the intrinsic value of a consignment
+ *
+ * The €150 IOSS threshold applies to the intrinsic value of the goods: the
+ * price of the goods after discounts, excluding transport, insurance and
+ * taxes. Order totals include shipping and tax, so they must not be compared
+ * against the threshold directly.
+ */
+
+/**
+ * Round a monetary amount to 2 decimals
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => parseFloat(amount.toFixed(2));
+
+/**
+ * Calculate the intrinsic value of an order in its original currency
+ * Prefers Shopify's subtotal (goods after all discounts, before shipping),
+ * then line items net of discounts, then the total less shipping and tax.
+ * For tax-inclusive stores the whole of totalTax is deducted, including any
+ * tax charged on shipping.
+ * @param {Object} order - Order in the local schema shape
+ * @returns {number|null} Intrinsic value or null if it cannot be determined
+ */
+export const calculateIntrinsicValue = (order) => {
+  const totalTax = order.totalTax || 0;
+  const includedTax = order.taxesIncluded ? totalTax : 0;
+
+  if (order.subtotalPrice != null) {
+    return roundAmount(Math.max(0, order.subtotalPrice - includedTax));
+  }
+
+  const lineItems = order.lineItems || [];
+  if (lineItems.length > 0) {
+    const lineDiscounts = lineItems.reduce((sum, item) => sum + (item.totalDiscount || 0), 0);
+    const grossGoods = lineItems.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+    const orderLevelDiscounts = Math.max(0, (order.totalDiscounts || 0) - lineDiscounts);
+
+    return roundAmount(Math.max(0, grossGoods - lineDiscounts - orderLevelDiscounts - includedTax));
+  }
+
+  if (order.totalPrice != null) {
+    return roundAmount(Math.max(0, order.totalPrice - (order.shippingPrice || 0) - totalTax));
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the intrinsic value in EUR using the order's stored exchange rate
+ * @param {Object} order - Order in the local schema shape
+ * @returns {number|null} Intrinsic value in EUR or null if no rate is known
+ */
+export const calculateIntrinsicValueEur = (order) => {
+  const intrinsicValue = order.intrinsicValue ?? calculateIntrinsicValue(order);
+  if (intrinsicValue == null) {
+    return null;
+  }
+
+  if (order.currency?.toUpperCase() === 'EUR') {
+    return intrinsicValue;
+  }
+
+  const rate = order.exchangeRate?.rate;
+  return rate ? roundAmount(intrinsicValue / rate) : null;
+};
+
+export default {
+  calculateIntrinsicValue,
+  calculateIntrinsicValueEur
+};
@@ -0,0 +1,343 @@
+import Lead from '../models/Lead.js';
+import SyncJob, { ACTIVE_JOB_STATUSES } from '../models/SyncJob.js';
+import { incrementalSync } from './syncService.js';
+import { getBackfillProgress } from './backfill.js';
+import { ShopifyApiError } from './shopifyClient.js';
+
+/**
+ * Service for background order syncs
+ *
+ * Sync jobs are stored in MongoDB and worked off one at a time by a runner
+ * in the server process, so a sync no longer depends on an open HTTP request.
+ * Connected shops get an incremental sync queued every SYNC_INTERVAL_MINUTES;
+ * the Dashboard's sync button queues one right away. A failed attempt is
+ * retried with exponential backoff until maxAttempts is reached. A running
+ * job refreshes its lock after every page of orders; jobs left running by a
+ * crash or restart are queued again once their lock goes stale.
+ */
+
+// How often connected shops are synced
+const DEFAULT_SYNC_INTERVAL_MINUTES = 60;
+
+// How often the runner looks for due jobs and the schedule for due shops
+const POLL_INTERVAL_MS = 10 * 1000;
+const SCHEDULE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Retry delay: 1, 2, 4, 8... minutes, at most one hour
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// A running job whose lock was not refreshed for this long was cut off
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Set while this process works off the queue
+let working = false;
+
+/**
+ * Read the sync interval (SYNC_INTERVAL_MINUTES)
+ * @returns {number} Interval in minutes
+ */
+export const getSyncIntervalMinutes = () =>
+  parseFloat(process.env.SYNC_INTERVAL_MINUTES) || DEFAULT_SYNC_INTERVAL_MINUTES;
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Queue an incremental sync for a shop
+ * A shop has at most one queued or running job (enforced by a unique partial
+ * index); that job is returned instead of queuing another. A manual sync
+ * moves a job waiting for its retry forward.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} [options] - { trigger: 'schedule' | 'manual' }
+ * @returns {Object} { job, queued } with queued false for an existing job
+ */
+export const enqueueSyncJob = async (shopId, { trigger = 'schedule' } = {}) => {
+  const active = await SyncJob.findOne({ shopId, status: { $in: ACTIVE_JOB_STATUSES } });
+
+  if (active) {
+    if (trigger === 'manual' && active.status === 'queued' && active.runAt > new Date()) {
+      active.runAt = new Date();
+      await active.save();
+    }
+    return { job: active, queued: false };
+  }
+
+  try {
+    const job = await SyncJob.create({ shopId, trigger });
+    return { job, queued: true };
+  } catch (error) {
+    // Another request queued a job for the shop in the meantime
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return { job: await SyncJob.findOne({ shopId, status: { $in: ACTIVE_JOB_STATUSES } }), queued: false };
+  }
+};
+
+/**
+ * Refresh a running job's lock so it isn't taken for a job cut off by a crash
+ * @param {Object} job - Running job document
+ */
+const refreshJobLock = async (job) => {
+  try {
+    await SyncJob.updateOne({ _id: job._id, status: 'running' }, { $set: { lockedAt: new Date() } });
+  } catch (error) {
+    console.warn(`⚠️ Could not refresh the lock of sync job ${job._id}:`, error.message);
+  }
+};
+
+/**
+ * Claim the next due job for this process
+ * @returns {Object|null} Job document, now running, or null when none is due
+ */
+const claimNextJob = () => SyncJob.findOneAndUpdate(
+  { status: 'queued', runAt: { $lte: new Date() } },
+  {
+    $set: { status: 'running', lockedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Run one attempt of a job and record its outcome
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const attempt = { startedAt: new Date() };
+  job.startedAt ||= attempt.startedAt;
+
+  let lead;
+  try {
+    lead = await Lead.findById(job.shopId).select('+shopifyAccessToken');
+    if (!lead?.shopifyAccessToken || !lead.shopifyShopDomain || lead.shopifyReconnectRequiredAt) {
+      // Retrying will not help until the shop reconnects
+      job.attempts = job.maxAttempts;
+      throw new Error(lead?.shopifyReconnectRequiredAt ? 'Shopify store needs to be reconnected' : 'Shopify store not connected');
+    }
+
+    const result = await incrementalSync(lead._id, lead.shopifyAccessToken, lead.shopifyShopDomain, {
+      onPage: () => refreshJobLock(job)
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Sync failed');
+    }
+
+    attempt.finishedAt = new Date();
+    job.attemptLog.push(attempt);
+    job.status = 'completed';
+    job.finishedAt = attempt.finishedAt;
+    job.result = { processed: result.processed, created: result.created, updated: result.updated, skipped: result.skipped };
+    job.error = undefined;
+    job.lockedAt = undefined;
+    await job.save();
+
+    console.log(`🔁 Sync job ${job._id} completed for ${lead.shopifyShopDomain}: ${result.processed} orders`);
+  } catch (error) {
+    attempt.finishedAt = new Date();
+    attempt.error = error.message;
+    job.attemptLog.push(attempt);
+    job.error = error.message;
+    job.lockedAt = undefined;
+
+    // Revoked tokens, missing scopes and rejected requests fail the same way again
+    if (error instanceof ShopifyApiError && !error.retryable) {
+      job.attempts = job.maxAttempts;
+    }
+
+    const shop = lead?.shopifyShopDomain || job.shopId;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      job.finishedAt = attempt.finishedAt;
+      console.error(`❌ Sync job ${job._id} failed for ${shop} after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      const delay = getRetryDelay(job.attempts);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay);
+      console.warn(`⚠️ Sync job ${job._id} attempt ${job.attempts} failed for ${shop}, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+
+    await job.save().catch(saveError => console.error('❌ Could not save sync job:', saveError.message));
+  }
+};
+
+/**
+ * Work off all due jobs, one at a time
+ * Does nothing while this process is already working off the queue.
+ * @returns {number} Number of attempts run
+ */
+export const runDueJobs = async () => {
+  if (working) {
+    return 0;
+  }
+  working = true;
+
+  let ran = 0;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+      ran++;
+    }
+  } catch (error) {
+    console.error('❌ Sync job runner error:', error.message);
+  } finally {
+    working = false;
+  }
+
+  return ran;
+};
+
+/**
+ * Queue jobs again that were left running by a crash or restart
+ * The cut-off attempt counts towards maxAttempts.
+ * @returns {number} Number of jobs requeued
+ */
+export const requeueStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  const result = await SyncJob.updateMany(
+    { status: 'running', lockedAt: { $lt: staleBefore } },
+    {
+      $set: { status: 'queued', runAt: new Date(), error: 'Interrupted' },
+      $unset: { lockedAt: 1 },
+      $push: { attemptLog: { error: 'Interrupted' } }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Queue incremental syncs for connected shops that are due
+ * A shop is due when its orders were last synced, and its last job was
+ * queued, more than one sync interval ago.
+ * @returns {Object} { checked, queued }
+ */
+export const scheduleDueSyncs = async () => {
+  const cutoff = new Date(Date.now() - getSyncIntervalMinutes() * 60 * 1000);
+  const shops = await Lead.find({
+    shopifyConnectedAt: { $ne: null },
+    shopifyShopDomain: { $ne: null },
+    shopifyReconnectRequiredAt: null
+  })
+    .select('_id shopifyShopDomain lastOrderSync');
+  const results = { checked: shops.length, queued: 0 };
+
+  for (const lead of shops) {
+    if (lead.lastOrderSync > cutoff) continue;
+
+    const recentJob = await SyncJob.exists({ shopId: lead._id, createdAt: { $gt: cutoff } });
+    if (recentJob) continue;
+
+    const { queued } = await enqueueSyncJob(lead._id, { trigger: 'schedule' });
+    if (queued) {
+      results.queued++;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Summarize a job for API responses
+ * @param {Object} job - Job document
+ * @returns {Object|null} Job summary
+ */
+export const formatSyncJob = (job) => job && {
+  id: job._id,
+  trigger: job.trigger,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  result: job.result,
+  error: job.error,
+  attemptLog: job.attemptLog,
+  createdAt: job.createdAt
+};
+
+/**
+ * Get a shop's sync status for the Dashboard
+ * @param {Object} lead - Lead document
+ * @param {number} [historyLimit] - Number of recent jobs to include
+ * @returns {Object} { syncing, current, lastJob, history, lastOrderSync, watermark, totalOrdersSynced, nextScheduledSync, reconnectRequired, backfill }
+ */
+export const getSyncStatus = async (lead, historyLimit = 10) => {
+  const jobs = await SyncJob.find({ shopId: lead._id }).sort({ createdAt: -1 }).limit(historyLimit);
+  const current = jobs.find(job => ACTIVE_JOB_STATUSES.includes(job.status));
+  const lastJob = jobs.find(job => ['completed', 'failed'].includes(job.status));
+
+  return {
+    syncing: current?.status === 'running',
+    current: formatSyncJob(current),
+    lastJob: formatSyncJob(lastJob),
+    history: jobs.map(formatSyncJob),
+    lastOrderSync: lead.lastOrderSync,
+    watermark: lead.orderSyncWatermark,
+    totalOrdersSynced: lead.totalOrdersSynced,
+    nextScheduledSync: lead.shopifyConnectedAt
+      ? new Date((lead.lastOrderSync?.getTime() || Date.now()) + getSyncIntervalMinutes() * 60 * 1000)
+      : null,
+    reconnectRequired: lead.shopifyReconnectRequiredAt
+      ? { detectedAt: lead.shopifyReconnectRequiredAt, reason: lead.shopifyReconnectReason }
+      : null,
+    backfill: getBackfillProgress(lead)
+  };
+};
+
+/**
+ * Start the sync job runner and the sync schedule
+ * @returns {Function} Stops the runner
+ */
+export const startJobRunner = () => {
+  const minutes = getSyncIntervalMinutes();
+
+  const schedule = async () => {
+    try {
+      const requeued = await requeueStaleJobs();
+      const { checked, queued } = await scheduleDueSyncs();
+      if (requeued > 0 || queued > 0) {
+        console.log(`🔁 Sync schedule: ${checked} shops, ${queued} syncs queued, ${requeued} interrupted jobs requeued`);
+      }
+    } catch (error) {
+      console.error('❌ Sync schedule failed:', error.message);
+    }
+    runDueJobs();
+  };
+
+  // First run shortly after startup, once the database has connected
+  const initial = setTimeout(schedule, 30 * 1000);
+  const scheduleInterval = setInterval(schedule, SCHEDULE_INTERVAL_MS);
+  const pollInterval = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  initial.unref();
+  scheduleInterval.unref();
+  pollInterval.unref();
+
+  console.log(`🔁 Sync job runner started (incremental sync every ${minutes} min)`);
+
+  return () => {
+    clearTimeout(initial);
+    clearInterval(scheduleInterval);
+    clearInterval(pollInterval);
+  };
+};
+
+export default {
+  getSyncIntervalMinutes,
+  getRetryDelay,
+  enqueueSyncJob,
+  runDueJobs,
+  requeueStaleJobs,
+  scheduleDueSyncs,
+  formatSyncJob,
+  getSyncStatus,
+  startJobRunner
+};
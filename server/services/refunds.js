@@ -0,0 +1,94 @@
+/**
+ * Service for refunds, cancellations and the net taxable amount of an order
+ *
+ * VAT under IOSS is due on the amount actually received: refunds reduce the
+ * taxable amount of the original supply, and cancelled or voided orders are
+ * not supplies at all. Refund amounts are converted to EUR with the order's
+ * own exchange rate so they net off against the amount originally reported.
+ */
+
+/**
+ * Round a monetary amount to 2 decimals
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => parseFloat(amount.toFixed(2));
+
+/**
+ * Parse the refunds of a Shopify order
+ * Refunded amounts come from successful refund transactions (goods and
+ * shipping); refunded quantities and subtotals come from refund_line_items.
+ * @param {Object} shopifyOrder - Raw Shopify order
+ * @returns {Array} Refunds in the local schema shape
+ */
+export const parseShopifyRefunds = (shopifyOrder) => (shopifyOrder.refunds || []).map(refund => ({
+  refundId: refund.id?.toString(),
+  createdAt: refund.created_at ? new Date(refund.created_at) : undefined,
+  amount: roundAmount((refund.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0)),
+  lineItems: (refund.refund_line_items || []).map(item => ({
+    lineItemId: item.line_item_id?.toString(),
+    quantity: parseInt(item.quantity) || 0,
+    subtotal: parseFloat(item.subtotal) || 0
+  }))
+}));
+
+/**
+ * Total refunded quantity and subtotal per line item
+ * @param {Array} refunds - Refunds in the local schema shape
+ * @returns {Object} { [lineItemId]: { quantity, subtotal } }
+ */
+export const getRefundedLineItems = (refunds = []) => {
+  const refunded = {};
+
+  refunds.forEach(refund => (refund.lineItems || []).forEach(item => {
+    if (!refunded[item.lineItemId]) {
+      refunded[item.lineItemId] = { quantity: 0, subtotal: 0 };
+    }
+    refunded[item.lineItemId].quantity += item.quantity;
+    refunded[item.lineItemId].subtotal += item.subtotal;
+  }));
+
+  return refunded;
+};
+
+/**
+ * Check whether an order is cancelled or voided (not a taxable supply)
+ * @param {Object} order - Order in the local schema shape
+ * @returns {boolean} True when the order must be left out of returns
+ */
+export const isCancelledOrVoided = (order) => !!order.cancelledAt || order.financialStatus === 'voided';
+
+/**
+ * Calculate the refund totals and net taxable amount of an order
+ * @param {Object} order - Order in the local schema shape (EUR values already set)
+ * @returns {Object} { totalRefunded, totalRefundedEur, netTaxableAmount, netTaxableAmountEur }
+ */
+export const calculateNetTaxableAmount = (order) => {
+  const totalRefunded = roundAmount((order.refunds || []).reduce((sum, refund) => sum + (refund.amount || 0), 0));
+  const netTaxableAmount = isCancelledOrVoided(order)
+    ? 0
+    : roundAmount(Math.max(0, (order.totalPrice || 0) - totalRefunded));
+
+  // Same rate as the original supply so the refund nets off exactly
+  const toEur = (amount) => {
+    if (order.currency?.toUpperCase() === 'EUR') return amount;
+    const rate = order.exchangeRate?.rate;
+    return rate ? roundAmount(amount / rate) : undefined;
+  };
+
+  return {
+    totalRefunded,
+    totalRefundedEur: toEur(totalRefunded),
+    netTaxableAmount,
+    netTaxableAmountEur: toEur(netTaxableAmount)
+  };
+};
+
+export default {
+  parseShopifyRefunds,
+  getRefundedLineItems,
+  isCancelledOrVoided,
+  calculateNetTaxableAmount
+};
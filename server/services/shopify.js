@@ -1,6 +1,10 @@
 import { shopifyApi, ApiVersion } from '@shopify/shopify-api';
 import '@shopify/shopify-api/adapters/node';
 import crypto from 'crypto';
+import graphqlOrders from './shopifyGraphql.js';
+import { getCallLimitDelay, parseCallLimit, ShopifyApiError, wrapGraphqlClient, wrapRestClient } from './shopifyClient.js';
+
+export { getCallLimitDelay, parseCallLimit, ShopifyApiError };
 
 // Shopify instance - will be initialized when needed
 let shopify = null;
@@ -29,7 +33,7 @@ const initializeShopify = () => {
     shopify = shopifyApi({
       apiKey: process.env.SHOPIFY_API_KEY,
       apiSecretKey: process.env.SHOPIFY_API_SECRET,
-      scopes: ['read_orders', 'read_assigned_fulfillment_orders'],
+      scopes: ['read_orders', 'read_products', 'read_assigned_fulfillment_orders'],
       hostName: hostName,
       hostScheme: process.env.NODE_ENV === 'production' ? 'https' : 'http',
       apiVersion: ApiVersion.October24,
@@ -41,6 +45,50 @@ const initializeShopify = () => {
   return shopify;
 };
 
+/**
+ * Get the API orders are fetched with (SHOPIFY_ORDER_API, rest or graphql)
+ * @returns {string} 'rest' (default) or 'graphql'
+ */
+export const getOrderApi = () =>
+  process.env.SHOPIFY_ORDER_API?.trim().toLowerCase() === 'graphql' ? 'graphql' : 'rest';
+
+/**
+ * Create a GraphQL Admin API client for a shop
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @returns {Object} Shopify GraphQL client
+ */
+const createGraphqlClient = (shop, accessToken) => {
+  const shopifyApi = initializeShopify();
+  const client = new shopifyApi.clients.Graphql({ 
+    session: { 
+      shop, 
+      accessToken,
+      isOnline: false 
+    } 
+  });
+  return wrapGraphqlClient(client, { shop, accessToken });
+};
+
+/**
+ * Create a REST Admin API client for a shop, with call limit pacing and
+ * retries (see services/shopifyClient.js)
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @returns {Object} Client with get, post, put and delete
+ */
+const createRestClient = (shop, accessToken) => {
+  const shopifyApi = initializeShopify();
+  const client = new shopifyApi.clients.Rest({ 
+    session: { 
+      shop, 
+      accessToken,
+      isOnline: false 
+    } 
+  });
+  return wrapRestClient(client, { shop, accessToken });
+};
+
 /**
  * Generate OAuth authorization URL for Shopify
  * @param {string} shop - The shop domain (e.g., 'myshop.myshopify.com')
@@ -57,7 +105,7 @@ export const getOAuthUrl = (shop, state) => {
     console.log('✅ Shop sanitized:', sanitizedShop);
     
     // Build OAuth URL manually
-    const scopes = ['read_orders', 'read_assigned_fulfillment_orders'].join(',');
+    const scopes = ['read_orders', 'read_products', 'read_assigned_fulfillment_orders'].join(',');
     const hostName = process.env.HOST_NAME || (process.env.NODE_ENV === 'production' ? 'vatpilot.onrender.com' : 'localhost:5000');
     const hostScheme = process.env.NODE_ENV === 'production' ? 'https' : 'http';
     const redirectUri = `${hostScheme}://${hostName}/api/shopify/callback`;
@@ -175,14 +223,15 @@ export const handleOAuthCallback = async (query) => {
  */
 export const fetchOrders = async (shop, accessToken, options = {}) => {
   try {
-    const shopifyApi = initializeShopify();
-    const client = new shopifyApi.clients.Rest({ 
-      session: { 
-        shop, 
-        accessToken,
-        isOnline: false 
-      } 
-    });
+    if (getOrderApi() === 'graphql') {
+      const { orders } = await graphqlOrders.fetchOrdersPage(createGraphqlClient(shop, accessToken), {
+        ...options,
+        limit: options.limit || 50
+      });
+      return orders;
+    }
+
+    const client = createRestClient(shop, accessToken);
 
     const response = await client.get({
       path: 'orders',
@@ -195,9 +244,214 @@ export const fetchOrders = async (shop, accessToken, options = {}) => {
 
     return response.body.orders;
   } catch (error) {
-    console.error('Error fetching orders:', error);
-    throw new Error('Failed to fetch orders from Shopify');
+    // Rethrown as classified (throttled, unauthorized...) so callers can tell failures apart
+    console.error(`❌ Error fetching orders for ${shop}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Fetch one page of orders (newest first) with the cursor of the next page
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {Object} options - { pageInfo, limit, created_at_min, created_at_max, ... }
+ * (a pageInfo cursor carries the original filters; Shopify rejects other
+ * parameters alongside it)
+ * @returns {Object} { orders, nextPageInfo, callLimit }
+ */
+export const fetchOrdersPage = async (shop, accessToken, { pageInfo, limit = 250, ...query } = {}) => {
+  if (getOrderApi() === 'graphql') {
+    return graphqlOrders.fetchOrdersPage(createGraphqlClient(shop, accessToken), { pageInfo, limit, ...query });
+  }
+
+  const client = createRestClient(shop, accessToken);
+
+  const response = await client.get({
+    path: 'orders',
+    query: pageInfo
+      ? { limit, page_info: pageInfo }
+      : { status: 'any', limit, ...query }
+  });
+
+  return {
+    orders: response.body.orders,
+    nextPageInfo: response.pageInfo?.nextPage?.query?.page_info || null,
+    callLimit: parseCallLimit([response.headers?.['X-Shopify-Shop-Api-Call-Limit']].flat()[0])
+  };
+};
+
+/**
+ * Count orders matching a filter
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {Object} query - { created_at_min, created_at_max, ... }
+ * @returns {number} Number of orders
+ */
+export const fetchOrderCount = async (shop, accessToken, query = {}) => {
+  if (getOrderApi() === 'graphql') {
+    return graphqlOrders.fetchOrderCount(createGraphqlClient(shop, accessToken), query);
+  }
+
+  const client = createRestClient(shop, accessToken);
+
+  const response = await client.get({
+    path: 'orders/count',
+    query: { status: 'any', ...query }
+  });
+
+  return response.body.count;
+};
+
+/**
+ * Fetch product types and tags for a set of products
+ * Used to map line items to tax categories for reduced VAT rates; fetched
+ * through the same API as orders (SHOPIFY_ORDER_API)
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {Array<string>} productIds - Shopify product IDs
+ * @returns {Object} Products keyed by ID: { productType, tags }
+ */
+export const fetchProducts = async (shop, accessToken, productIds = []) => {
+  const uniqueIds = [...new Set(productIds.filter(Boolean))];
+  const products = {};
+
+  if (uniqueIds.length === 0) {
+    return products;
+  }
+
+  try {
+    if (getOrderApi() === 'graphql') {
+      return await graphqlOrders.fetchProducts(createGraphqlClient(shop, accessToken), uniqueIds);
+    }
+
+    const client = createRestClient(shop, accessToken);
+
+    // Shopify accepts up to 250 IDs per request
+    for (let i = 0; i < uniqueIds.length; i += 250) {
+      const response = await client.get({
+        path: 'products',
+        query: {
+          ids: uniqueIds.slice(i, i + 250).join(','),
+          fields: 'id,product_type,tags',
+          limit: 250
+        }
+      });
+
+      response.body.products.forEach(product => {
+        products[product.id.toString()] = {
+          productType: product.product_type || null,
+          tags: product.tags ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+        };
+      });
+    }
+
+    return products;
+  } catch (error) {
+    console.error(`❌ Error fetching products for ${shop}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a single order
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {string} orderId - Shopify order ID
+ * @returns {Object} Order data
+ */
+export const fetchOrder = async (shop, accessToken, orderId) => {
+  if (getOrderApi() === 'graphql') {
+    return graphqlOrders.fetchOrder(createGraphqlClient(shop, accessToken), orderId);
   }
+
+  const client = createRestClient(shop, accessToken);
+
+  const response = await client.get({
+    path: `orders/${orderId}`
+  });
+
+  return response.body.order;
+};
+
+/**
+ * Start a GraphQL bulk operation exporting a shop's orders
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {Object} query - { created_at_min, created_at_max }
+ * @returns {string} Bulk operation ID
+ */
+export const startBulkOrderExport = (shop, accessToken, query = {}) =>
+  graphqlOrders.startBulkOrderExport(createGraphqlClient(shop, accessToken), query);
+
+/**
+ * Wait until a bulk order export has finished
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @param {string} operationId - Bulk operation ID
+ * @param {Object} [options] - { pollInterval, onProgress(objectCount) }
+ * @returns {Object} { id, status, errorCode, objectCount, url }
+ */
+export const waitForBulkOrderExport = (shop, accessToken, operationId, options) =>
+  graphqlOrders.waitForBulkOperation(createGraphqlClient(shop, accessToken), operationId, options);
+
+export const streamBulkOrders = graphqlOrders.streamBulkOrders;
+
+// Webhook topics subscribed to after OAuth
+export const WEBHOOK_TOPICS = ['orders/create', 'orders/updated', 'refunds/create', 'app/uninstalled'];
+
+/**
+ * Get the public URL Shopify delivers webhooks to
+ * @returns {string} Webhook endpoint URL
+ */
+export const getWebhookAddress = () => {
+  const hostName = process.env.HOST_NAME || (process.env.NODE_ENV === 'production' ? 'vatpilot.onrender.com' : 'localhost:5000');
+  const hostScheme = process.env.NODE_ENV === 'production' ? 'https' : 'http';
+  return `${hostScheme}://${hostName}/api/shopify/webhooks`;
+};
+
+/**
+ * Verify a webhook's X-Shopify-Hmac-Sha256 header against the raw request body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} hmacHeader - Base64 HMAC-SHA256 sent by Shopify
+ * @returns {boolean} True when the signature matches the app secret
+ */
+export const verifyWebhookHmac = (rawBody, hmacHeader) => {
+  if (!rawBody || !hmacHeader || !process.env.SHOPIFY_API_SECRET) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Subscribe the shop to the webhook topics VATpilot handles
+ * Topics already subscribed at the same address are left as they are.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Access token
+ * @returns {Array<string>} Topics newly registered
+ */
+export const registerWebhooks = async (shop, accessToken) => {
+  const client = createRestClient(shop, accessToken);
+  const address = getWebhookAddress();
+
+  const existing = await client.get({ path: 'webhooks', query: { address } });
+  const subscribed = existing.body.webhooks.map(webhook => webhook.topic);
+  const missing = WEBHOOK_TOPICS.filter(topic => !subscribed.includes(topic));
+
+  for (const topic of missing) {
+    await client.post({
+      path: 'webhooks',
+      data: { webhook: { topic, address, format: 'json' } }
+    });
+  }
+
+  return missing;
 };
 
 /**
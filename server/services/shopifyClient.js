@@ -0,0 +1,268 @@
+import { GraphqlQueryError, HttpRequestError, HttpResponseError } from '@shopify/shopify-api';
+
+/**
+ * Service wrapping the Shopify REST and GraphQL clients with rate limiting
+ * and retries
+ *
+ * Every call waits while the shop's last response reported a nearly full
+ * REST call limit or an exhausted GraphQL cost budget. Throttled calls (429,
+ * or THROTTLED for GraphQL) are retried after Retry-After, 5xx responses and
+ * network errors with exponential backoff. Failures are rethrown as a
+ * ShopifyApiError saying what went wrong; a rejected access token marks the
+ * shop as needing to reconnect.
+ */
+
+// Attempts per call, including the first
+const MAX_TRIES = 4;
+
+// Backoff for server and network errors: 1, 2, 4 seconds
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Longest Retry-After honoured before giving up on a call
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// When the next call to a shop's REST or GraphQL API may go out
+const nextCallAt = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error from a Shopify API call
+ * kind is one of unauthorized, forbidden, not_found, throttled, server,
+ * network, client or query (GraphQL errors in a 200 response).
+ */
+export class ShopifyApiError extends Error {
+  constructor(message, { kind, status, retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ShopifyApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    // Same shape as the library's HttpResponseError
+    this.response = cause?.response?.code ? cause.response : status ? { code: status } : undefined;
+  }
+
+  // Worth trying again later
+  get retryable() {
+    return ['throttled', 'server', 'network'].includes(this.kind);
+  }
+
+  // The access token was revoked (or the app uninstalled)
+  get needsReconnect() {
+    return this.kind === 'unauthorized';
+  }
+}
+
+/**
+ * Parse Shopify's REST call limit header, e.g. "32/40"
+ * @param {string} value - X-Shopify-Shop-Api-Call-Limit header value
+ * @returns {Object|null} { used, limit } or null when missing
+ */
+export const parseCallLimit = (value) => {
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  return match ? { used: parseInt(match[1]), limit: parseInt(match[2]) } : null;
+};
+
+/**
+ * Get how long to pause before the next REST call so the leaky bucket
+ * (refilled at 2 calls per second on standard plans) keeps room to spare
+ * @param {Object} callLimit - { used, limit } from parseCallLimit()
+ * @returns {number} Delay in milliseconds (0 when below 80% of the bucket)
+ */
+export const getCallLimitDelay = (callLimit) => {
+  if (!callLimit || callLimit.used < callLimit.limit * 0.8) {
+    return 0;
+  }
+
+  // Wait for the bucket to drain back to half full
+  return Math.ceil((callLimit.used - callLimit.limit / 2) / 2 * 1000);
+};
+
+/**
+ * Get how long to wait until the GraphQL cost budget covers another query
+ * @param {Object} cost - extensions.cost of a response
+ * @returns {number} Delay in milliseconds
+ */
+export const getThrottleDelay = (cost) => {
+  const throttle = cost?.throttleStatus;
+  if (!throttle?.restoreRate) {
+    return 0;
+  }
+
+  const missing = (cost.requestedQueryCost || 0) - throttle.currentlyAvailable;
+  return missing > 0 ? Math.ceil(missing / throttle.restoreRate * 1000) : 0;
+};
+
+/**
+ * Classify an error thrown by a Shopify client
+ * @param {Error} error - Error from the REST or GraphQL client
+ * @param {string} label - What was being called, for the message
+ * @returns {ShopifyApiError} Classified error
+ */
+export const toShopifyApiError = (error, label) => {
+  if (error instanceof ShopifyApiError) {
+    return error;
+  }
+
+  if (error instanceof GraphqlQueryError) {
+    const throttled = error.body?.errors?.graphQLErrors?.some(graphqlError => graphqlError.extensions?.code === 'THROTTLED');
+    return new ShopifyApiError(`Shopify ${label} ${throttled ? 'throttled' : 'failed'}: ${error.message}`, {
+      kind: throttled ? 'throttled' : 'query',
+      status: 200,
+      retryAfter: throttled ? Math.max(1, getThrottleDelay(error.body?.extensions?.cost) / 1000) : undefined,
+      cause: error
+    });
+  }
+
+  if (error instanceof HttpResponseError) {
+    const status = error.response.code;
+    const kind = status === 429 ? 'throttled'
+      : status === 401 ? 'unauthorized'
+        : status === 403 ? 'forbidden'
+          : status === 404 ? 'not_found'
+            : status >= 500 ? 'server'
+              : 'client';
+
+    const errors = error.response.body?.errors;
+    const detail = typeof errors === 'string' ? errors : errors ? JSON.stringify(errors) : error.response.statusText;
+
+    return new ShopifyApiError(`Shopify ${label} failed (${status})${detail ? `: ${detail}` : ''}`, {
+      kind,
+      status,
+      retryAfter: error.response.retryAfter,
+      cause: error
+    });
+  }
+
+  // Connection failures: the library's HttpRequestError, or fetch's TypeError
+  if (error instanceof HttpRequestError || error instanceof TypeError) {
+    return new ShopifyApiError(`Shopify ${label} failed: ${error.message}`, { kind: 'network', cause: error });
+  }
+
+  return new ShopifyApiError(`Shopify ${label} failed: ${error.message}`, { kind: 'client', cause: error });
+};
+
+/**
+ * Record on the shop that its access token was rejected
+ * Only shops holding that token are marked; reconnecting clears the mark.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Rejected access token
+ * @param {ShopifyApiError} error - The 401 error
+ */
+const markReconnectRequired = async (shop, accessToken, error) => {
+  try {
+    const Lead = (await import('../models/Lead.js')).default;
+    const result = await Lead.updateMany(
+      { shopifyShopDomain: shop, shopifyAccessToken: accessToken, shopifyReconnectRequiredAt: null },
+      { $set: { shopifyReconnectRequiredAt: new Date(), shopifyReconnectReason: error.message } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.warn(`🔌 Shopify rejected the access token for ${shop}, shop marked for reconnection`);
+    }
+  } catch (markError) {
+    console.error(`❌ Could not mark ${shop} for reconnection:`, markError.message);
+  }
+};
+
+/**
+ * Remember when the shop's API has room for the next call
+ * @param {string} key - Shop domain and API
+ * @param {number} delay - Milliseconds to wait
+ */
+const deferNextCall = (key, delay) => {
+  if (delay > 0) {
+    nextCallAt.set(key, Math.max(nextCallAt.get(key) || 0, Date.now() + delay));
+  }
+};
+
+/**
+ * Run a Shopify call with pacing, retries and error classification
+ * @param {Function} call - Makes the request, returns the client response
+ * @param {Object} context - { shop, accessToken, api: 'rest' | 'graphql', label }
+ * @returns {Object} Client response
+ * @throws {ShopifyApiError} When the call fails for good
+ */
+const callWithRetries = async (call, { shop, accessToken, api, label }) => {
+  const key = `${shop}:${api}`;
+
+  for (let attempt = 1; ; attempt++) {
+    const wait = (nextCallAt.get(key) || 0) - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    try {
+      const response = await call();
+
+      deferNextCall(key, api === 'rest'
+        ? getCallLimitDelay(parseCallLimit([response.headers?.['X-Shopify-Shop-Api-Call-Limit']].flat()[0]))
+        : getThrottleDelay(response.extensions?.cost));
+
+      return response;
+    } catch (error) {
+      const apiError = toShopifyApiError(error, label);
+
+      if (apiError.needsReconnect) {
+        await markReconnectRequired(shop, accessToken, apiError);
+        throw apiError;
+      }
+
+      const retryAfterMs = apiError.retryAfter ? apiError.retryAfter * 1000 : 0;
+      if (!apiError.retryable || attempt >= MAX_TRIES || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        throw apiError;
+      }
+
+      const delay = retryAfterMs || RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      if (apiError.kind === 'throttled') {
+        deferNextCall(key, delay);
+      }
+      console.warn(`⏳ Shopify ${label} for ${shop}: ${apiError.kind} (attempt ${attempt}/${MAX_TRIES}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Wrap a Shopify REST client
+ * Requests are made once by the library; retries happen here.
+ * @param {Object} client - shopify.clients.Rest instance
+ * @param {Object} session - { shop, accessToken }
+ * @returns {Object} Client with get, post, put and delete
+ */
+export const wrapRestClient = (client, { shop, accessToken }) => {
+  const wrap = (method) => (params) => callWithRetries(
+    () => client[method]({ ...params, tries: 1 }),
+    { shop, accessToken, api: 'rest', label: `${method.toUpperCase()} ${params.path}` }
+  );
+
+  return {
+    get: wrap('get'),
+    post: wrap('post'),
+    put: wrap('put'),
+    delete: wrap('delete')
+  };
+};
+
+/**
+ * Wrap a Shopify GraphQL client
+ * @param {Object} client - shopify.clients.Graphql instance
+ * @param {Object} session - { shop, accessToken }
+ * @returns {Object} Client with request(query, options)
+ */
+export const wrapGraphqlClient = (client, { shop, accessToken }) => ({
+  request: (query, options = {}) => callWithRetries(
+    () => client.request(query, { ...options, retries: 0 }),
+    { shop, accessToken, api: 'graphql', label: `GraphQL ${/(query|mutation)\s+(\w+)/.exec(query)?.[2] || 'request'}` }
+  )
+});
+
+export default {
+  ShopifyApiError,
+  parseCallLimit,
+  getCallLimitDelay,
+  getThrottleDelay,
+  toShopifyApiError,
+  wrapRestClient,
+  wrapGraphqlClient
+};
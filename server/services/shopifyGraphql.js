@@ -0,0 +1,429 @@
+import readline from 'readline';
+import { Readable } from 'stream';
+
+/**
+ * Service for fetching Shopify orders (and the product types and tags their
+ * tax categories come from) through the GraphQL Admin API
+ *
+ * Orders are converted to the REST order shape, so the order sync transform
+ * stores exactly the same Order fields whichever API fetched them. Incremental
+ * syncs page through the orders query with cursors; historical imports run a
+ * bulk operation and stream its JSONL result. Every function takes the GraphQL
+ * client as its first argument (see services/shopify.js), so recorded
+ * responses can be replayed through a stand-in client.
+ */
+
+const MAX_PAGE_SIZE = 250;
+
+// How often a running bulk operation is checked
+const BULK_POLL_INTERVAL_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Order fields used by the sync transform, shared by page and bulk queries.
+// Line items, refund transactions and refund line items are connections,
+// selected separately because bulk queries take no page size.
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  email
+  createdAt
+  updatedAt
+  cancelledAt
+  cancelReason
+  currencyCode
+  taxesIncluded
+  displayFinancialStatus
+  displayFulfillmentStatus
+  totalPriceSet { shopMoney { amount } }
+  subtotalPriceSet { shopMoney { amount } }
+  totalShippingPriceSet { shopMoney { amount } }
+  totalTaxSet { shopMoney { amount } }
+  totalDiscountsSet { shopMoney { amount } }
+  shippingAddress { country countryCodeV2 province city zip }
+  billingAddress { countryCodeV2 }
+`;
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  vendor
+  originalUnitPriceSet { shopMoney { amount } }
+  product { legacyResourceId }
+  variant { legacyResourceId }
+  discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+`;
+
+const TRANSACTION_FIELDS = 'id kind status amountSet { shopMoney { amount } }';
+
+const REFUND_LINE_ITEM_FIELDS = 'id quantity subtotalSet { shopMoney { amount } } lineItem { id }';
+
+const ORDER_SELECTION = `
+  ${ORDER_FIELDS}
+  refunds {
+    id
+    legacyResourceId
+    createdAt
+    transactions(first: 50) { nodes { ${TRANSACTION_FIELDS} } }
+    refundLineItems(first: ${MAX_PAGE_SIZE}) { nodes { ${REFUND_LINE_ITEM_FIELDS} } }
+  }
+  lineItems(first: ${MAX_PAGE_SIZE}) { nodes { ${LINE_ITEM_FIELDS} } }
+`;
+
+const ORDERS_PAGE_QUERY = `
+  query OrdersPage($first: Int!, $after: String, $query: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+      nodes { ${ORDER_SELECTION} }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) { ${ORDER_SELECTION} }
+  }
+`;
+
+const ORDERS_COUNT_QUERY = `
+  query OrdersCount($query: String) {
+    ordersCount(query: $query, limit: null) { count }
+  }
+`;
+
+const PRODUCTS_QUERY = `
+  query Products($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product { legacyResourceId productType tags }
+    }
+  }
+`;
+
+const BULK_RUN_MUTATION = `
+  mutation BulkOrders($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_STATUS_QUERY = `
+  query BulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+/**
+ * Get the numeric ID at the end of a global ID (gid://shopify/LineItem/123)
+ * @param {string} gid - Global ID
+ * @returns {string|undefined} Numeric ID
+ */
+const parseGid = (gid) => gid?.split('/').pop();
+
+/**
+ * Get the resource type of a global ID (gid://shopify/LineItem/123)
+ * @param {string} gid - Global ID
+ * @returns {string|undefined} Type, e.g. LineItem
+ */
+const getGidType = (gid) => gid?.split('/')[3];
+
+const shopMoney = (set) => set?.shopMoney?.amount;
+
+// displayFulfillmentStatus values the REST fulfillment_status also has
+const FULFILLMENT_STATUS = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+/**
+ * Convert a GraphQL order to the REST order shape read by the sync transform
+ * REST-only fields the transform falls back from (contact_email,
+ * total_discount per line, origin_location) are left out.
+ * @param {Object} node - Order selected with ORDER_SELECTION
+ * @returns {Object} Order as returned by the REST orders endpoint
+ */
+export const toRestOrder = (node) => ({
+  id: node.legacyResourceId,
+  name: node.name,
+  email: node.email,
+  created_at: node.createdAt,
+  updated_at: node.updatedAt,
+  cancelled_at: node.cancelledAt,
+  cancel_reason: node.cancelReason?.toLowerCase(),
+  currency: node.currencyCode,
+  taxes_included: node.taxesIncluded,
+  financial_status: node.displayFinancialStatus?.toLowerCase(),
+  fulfillment_status: FULFILLMENT_STATUS[node.displayFulfillmentStatus] || null,
+  total_price: shopMoney(node.totalPriceSet),
+  subtotal_price: shopMoney(node.subtotalPriceSet),
+  total_shipping_price_set: { shop_money: { amount: shopMoney(node.totalShippingPriceSet) } },
+  total_tax: shopMoney(node.totalTaxSet),
+  total_discounts: shopMoney(node.totalDiscountsSet),
+  shipping_address: node.shippingAddress ? {
+    country: node.shippingAddress.country,
+    country_code: node.shippingAddress.countryCodeV2,
+    province: node.shippingAddress.province,
+    city: node.shippingAddress.city,
+    zip: node.shippingAddress.zip
+  } : null,
+  billing_address: node.billingAddress ? { country_code: node.billingAddress.countryCodeV2 } : null,
+  line_items: (node.lineItems?.nodes || []).map(item => ({
+    id: parseGid(item.id),
+    product_id: item.product?.legacyResourceId,
+    variant_id: item.variant?.legacyResourceId,
+    title: item.title,
+    quantity: item.quantity,
+    price: shopMoney(item.originalUnitPriceSet),
+    vendor: item.vendor,
+    discount_allocations: (item.discountAllocations || []).map(allocation => ({
+      amount: shopMoney(allocation.allocatedAmountSet)
+    }))
+  })),
+  refunds: (node.refunds || []).map(refund => ({
+    id: refund.legacyResourceId,
+    created_at: refund.createdAt,
+    transactions: (refund.transactions?.nodes || []).map(transaction => ({
+      kind: transaction.kind?.toLowerCase(),
+      status: transaction.status?.toLowerCase(),
+      amount: shopMoney(transaction.amountSet)
+    })),
+    refund_line_items: (refund.refundLineItems?.nodes || []).map(item => ({
+      line_item_id: parseGid(item.lineItem?.id),
+      quantity: item.quantity,
+      subtotal: shopMoney(item.subtotalSet)
+    }))
+  }))
+});
+
+/**
+ * Build an orders search query from REST-style filters
+ * @param {Object} filters - { created_at_min, created_at_max, updated_at_min, updated_at_max }
+ * @returns {string|null} Search query, e.g. created_at:>='2024-01-01T00:00:00Z'
+ */
+export const buildOrderSearchQuery = (filters = {}) => {
+  const terms = [
+    filters.created_at_min && `created_at:>='${filters.created_at_min}'`,
+    filters.created_at_max && `created_at:<='${filters.created_at_max}'`,
+    filters.updated_at_min && `updated_at:>='${filters.updated_at_min}'`,
+    filters.updated_at_max && `updated_at:<='${filters.updated_at_max}'`
+  ].filter(Boolean);
+
+  return terms.length > 0 ? terms.join(' AND ') : null;
+};
+
+/**
+ * Run a query
+ * Throttling, retries and error classification are handled by the client
+ * (services/shopifyClient.js).
+ * @param {Object} client - Shopify GraphQL client
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Query variables
+ * @returns {Object} { data, extensions }
+ */
+const request = (client, query, variables) => client.request(query, { variables });
+
+/**
+ * Fetch one page of orders (newest first) with the cursor of the next page
+ * @param {Object} client - Shopify GraphQL client
+ * @param {Object} options - { pageInfo, limit, created_at_min, created_at_max, updated_at_min }
+ * (a pageInfo cursor is an endCursor of the same query)
+ * @returns {Object} { orders, nextPageInfo, callLimit } with callLimit always null
+ */
+export const fetchOrdersPage = async (client, { pageInfo, limit = MAX_PAGE_SIZE, ...filters } = {}) => {
+  const { data } = await request(client, ORDERS_PAGE_QUERY, {
+    first: Math.min(limit, MAX_PAGE_SIZE),
+    after: pageInfo || null,
+    query: buildOrderSearchQuery(filters)
+  });
+
+  return {
+    orders: data.orders.nodes.map(toRestOrder),
+    nextPageInfo: data.orders.pageInfo.hasNextPage ? data.orders.pageInfo.endCursor : null,
+    callLimit: null
+  };
+};
+
+/**
+ * Fetch a single order
+ * @param {Object} client - Shopify GraphQL client
+ * @param {string} orderId - Shopify order ID (numeric)
+ * @returns {Object} Order in the REST shape
+ */
+export const fetchOrder = async (client, orderId) => {
+  const { data } = await request(client, ORDER_QUERY, { id: `gid://shopify/Order/${orderId}` });
+  if (!data.order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+  return toRestOrder(data.order);
+};
+
+/**
+ * Count orders matching REST-style filters
+ * @param {Object} client - Shopify GraphQL client
+ * @param {Object} filters - { created_at_min, created_at_max, ... }
+ * @returns {number} Number of orders
+ */
+export const fetchOrderCount = async (client, filters = {}) => {
+  const { data } = await request(client, ORDERS_COUNT_QUERY, { query: buildOrderSearchQuery(filters) });
+  return data.ordersCount.count;
+};
+
+/**
+ * Fetch product types and tags for a set of products
+ * @param {Object} client - Shopify GraphQL client
+ * @param {Array<string>} productIds - Shopify product IDs (numeric, unique)
+ * @returns {Object} Products keyed by ID: { productType, tags }
+ */
+export const fetchProducts = async (client, productIds) => {
+  const products = {};
+
+  for (let i = 0; i < productIds.length; i += MAX_PAGE_SIZE) {
+    const { data } = await request(client, PRODUCTS_QUERY, {
+      ids: productIds.slice(i, i + MAX_PAGE_SIZE).map(id => `gid://shopify/Product/${id}`)
+    });
+
+    // Deleted products come back as null
+    data.nodes.filter(Boolean).forEach(product => {
+      products[product.legacyResourceId] = {
+        productType: product.productType || null,
+        tags: product.tags || []
+      };
+    });
+  }
+
+  return products;
+};
+
+/**
+ * Start a bulk operation exporting all orders matching REST-style filters
+ * @param {Object} client - Shopify GraphQL client
+ * @param {Object} filters - { created_at_min, created_at_max }
+ * @returns {string} Bulk operation ID
+ * @throws {Error} When Shopify rejects the operation (e.g. one is already running)
+ */
+export const startBulkOrderExport = async (client, filters = {}) => {
+  const search = buildOrderSearchQuery(filters);
+  const bulkQuery = `{
+    orders${search ? `(query: ${JSON.stringify(search)})` : ''} {
+      edges { node {
+        ${ORDER_FIELDS}
+        refunds {
+          id
+          legacyResourceId
+          createdAt
+          transactions { edges { node { ${TRANSACTION_FIELDS} } } }
+          refundLineItems { edges { node { ${REFUND_LINE_ITEM_FIELDS} } } }
+        }
+        lineItems { edges { node { ${LINE_ITEM_FIELDS} } } }
+      } }
+    }
+  }`;
+
+  const { data } = await request(client, BULK_RUN_MUTATION, { query: bulkQuery });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0) {
+    throw new Error(`Bulk operation rejected: ${userErrors.map(error => error.message).join('; ')}`);
+  }
+
+  return bulkOperation.id;
+};
+
+/**
+ * Wait until a bulk operation has finished
+ * @param {Object} client - Shopify GraphQL client
+ * @param {string} operationId - Bulk operation ID
+ * @param {Object} [options] - { pollInterval, onProgress(objectCount) }
+ * @returns {Object} { id, status, errorCode, objectCount, url, partialDataUrl }
+ */
+export const waitForBulkOperation = async (client, operationId, { pollInterval = BULK_POLL_INTERVAL_MS, onProgress } = {}) => {
+  for (;;) {
+    const { data } = await request(client, BULK_STATUS_QUERY, { id: operationId });
+    const operation = data.node;
+
+    if (!operation) {
+      throw new Error(`Bulk operation ${operationId} not found`);
+    }
+    if (!['CREATED', 'RUNNING', 'CANCELING'].includes(operation.status)) {
+      return operation;
+    }
+
+    onProgress?.(parseInt(operation.objectCount) || 0);
+    await sleep(pollInterval);
+  }
+};
+
+/**
+ * Stream the orders of a finished bulk operation
+ * The JSONL result has one line per object: orders, then the line items,
+ * refund transactions and refund line items that follow their parent
+ * (__parentId). Each order is yielded once its children have been read.
+ * @param {string} url - Result URL of the bulk operation (null when nothing matched)
+ * @yields {Object} Order in the REST shape
+ */
+export async function* streamBulkOrders(url) {
+  if (!url) {
+    return;
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Bulk operation result download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const lines = readline.createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+  let current = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const object = JSON.parse(line);
+
+    if (!object.__parentId) {
+      if (current) {
+        yield toRestOrder(current);
+      }
+      current = { ...object, lineItems: { nodes: [] } };
+      current.refunds = (current.refunds || []).map(refund => ({
+        ...refund,
+        transactions: { nodes: [] },
+        refundLineItems: { nodes: [] }
+      }));
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (object.__parentId === current.id) {
+      current.lineItems.nodes.push(object);
+      continue;
+    }
+
+    const refund = current.refunds.find(candidate => candidate.id === object.__parentId);
+    if (refund) {
+      const connection = getGidType(object.id) === 'OrderTransaction' ? refund.transactions : refund.refundLineItems;
+      connection.nodes.push(object);
+    }
+  }
+
+  if (current) {
+    yield toRestOrder(current);
+  }
+}
+
+export default {
+  toRestOrder,
+  buildOrderSearchQuery,
+  fetchOrdersPage,
+  fetchOrder,
+  fetchOrderCount,
+  fetchProducts,
+  startBulkOrderExport,
+  waitForBulkOperation,
+  streamBulkOrders
+};
@@ -1,10 +1,22 @@
 import Order from '../models/Order.js';
-import { fetchOrders } from './shopify.js';
+import IossReturn from '../models/IossReturn.js';
+import { fetchOrders, fetchOrdersPage, fetchProducts } from './shopify.js';
+import { convertToEur } from './exchangeRates.js';
+import { calculateIntrinsicValue, calculateIntrinsicValueEur } from './intrinsicValue.js';
+import { parseShopifyRefunds, getRefundedLineItems, calculateNetTaxableAmount } from './refunds.js';
+import { getPeriodForDate } from '../tax/index.js';
 
 /**
  * Service for synchronizing Shopify orders with local MongoDB database
  */
 
+// Incremental syncs ask for orders updated since the watermark minus this
+// overlap, so changes committed out of order around the watermark are not
+// missed. Orders fetched again unchanged are skipped.
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+const INCREMENTAL_PAGE_SIZE = 250;
+
 /**
  * Sync orders from Shopify store to local database
  * @param {string} shopId - MongoDB Lead document ID
@@ -45,80 +57,14 @@ export const syncOrders = async (shopId, accessToken, domain, options = {}) => {
 
     console.log(`📦 Fetched ${shopifyOrders.length} orders from Shopify`);
 
-    // Transform Shopify orders to our schema format
-    const transformedOrders = shopifyOrders.map(shopifyOrder => ({
-      updateOne: {
-        filter: { shopifyOrderId: shopifyOrder.id.toString() },
-        update: {
-          $set: {
-            shopId: shopId,
-            shopifyOrderId: shopifyOrder.id.toString(),
-            orderNumber: shopifyOrder.name || shopifyOrder.order_number?.toString(),
-            totalPrice: parseFloat(shopifyOrder.total_price) || 0,
-            currency: shopifyOrder.currency || 'USD',
-            customerCountry: shopifyOrder.shipping_address?.country_code || 
-                           shopifyOrder.billing_address?.country_code || null,
-            customerEmail: shopifyOrder.email || shopifyOrder.contact_email,
-            fulfillmentStatus: shopifyOrder.fulfillment_status || 'null',
-            financialStatus: shopifyOrder.financial_status || 'pending',
-            
-            // Line items with detailed product information
-            lineItems: shopifyOrder.line_items?.map(item => ({
-              productId: item.product_id?.toString(),
-              variantId: item.variant_id?.toString(),
-              title: item.title,
-              quantity: parseInt(item.quantity) || 0,
-              price: parseFloat(item.price) || 0,
-              vendor: item.vendor,
-              countryOfOrigin: item.origin_location?.country_code
-            })) || [],
-            
-            // Shipping address for compliance analysis
-            shippingAddress: shopifyOrder.shipping_address ? {
-              country: shopifyOrder.shipping_address.country,
-              countryCode: shopifyOrder.shipping_address.country_code,
-              province: shopifyOrder.shipping_address.province,
-              city: shopifyOrder.shipping_address.city,
-              zip: shopifyOrder.shipping_address.zip
-            } : null,
-            
-            // Shopify timestamps
-            shopifyCreatedAt: new Date(shopifyOrder.created_at),
-            shopifyUpdatedAt: new Date(shopifyOrder.updated_at),
-            
-            // Update sync timestamp
-            syncedAt: new Date()
-          }
-        },
-        upsert: true
-      }
-    }));
-
-    // Bulk write to MongoDB for efficiency
-    const bulkWriteResult = await Order.bulkWrite(transformedOrders, {
-      ordered: false // Continue processing even if some operations fail
-    });
-
-    // Calculate sync statistics
-    const created = bulkWriteResult.upsertedCount || 0;
-    const updated = bulkWriteResult.modifiedCount || 0;
-    const processed = transformedOrders.length;
+    const { processed, created, updated } = await storeShopifyOrders(shopId, accessToken, domain, shopifyOrders);
 
     console.log(`✅ Order sync completed for ${domain}:`);
     console.log(`   📈 Processed: ${processed} orders`);
     console.log(`   🆕 Created: ${created} new orders`);
     console.log(`   📝 Updated: ${updated} existing orders`);
 
-    // Update Lead document with sync statistics
-    try {
-      const Lead = (await import('../models/Lead.js')).default;
-      await Lead.findByIdAndUpdate(shopId, {
-        lastOrderSync: new Date(),
-        totalOrdersSynced: await Order.countDocuments({ shopId })
-      });
-    } catch (error) {
-      console.warn('⚠️ Failed to update Lead sync statistics:', error.message);
-    }
+    await updateSyncStatistics(shopId);
 
     return {
       success: true,
@@ -135,6 +81,7 @@ export const syncOrders = async (shopId, accessToken, domain, options = {}) => {
     return {
       success: false,
       error: error.message,
+      needsReconnect: !!error.needsReconnect,
       processed: 0,
       created: 0,
       updated: 0
@@ -143,48 +90,425 @@ export const syncOrders = async (shopId, accessToken, domain, options = {}) => {
 };
 
 /**
- * Get the latest order date for incremental sync
+ * Transform and upsert a batch of raw Shopify orders
+ * Declared IOSS returns whose orders changed are flagged for corrections.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {string} accessToken - Shopify access token
+ * @param {string} domain - Shopify store domain
+ * @param {Array} shopifyOrders - Raw Shopify orders
+ * @returns {Object} { processed, created, updated }
+ */
+export const storeShopifyOrders = async (shopId, accessToken, domain, shopifyOrders) => {
+  // Load product types/tags, shop default and manual overrides for tax categories
+  const taxContext = await loadTaxCategoryContext(shopId, accessToken, domain, shopifyOrders);
+
+  // Transform Shopify orders to our schema format
+  const transformedOrders = await Promise.all(shopifyOrders.map(async shopifyOrder => ({
+    updateOne: {
+      filter: { shopifyOrderId: shopifyOrder.id.toString() },
+      update: {
+        $set: await transformShopifyOrder(shopifyOrder, shopId, taxContext)
+      },
+      upsert: true
+    }
+  })));
+
+  // Find orders belonging to periods whose IOSS return is already locked or filed
+  const changedPeriods = await getChangedOrderPeriods(shopifyOrders);
+
+  // Bulk write to MongoDB for efficiency
+  const bulkWriteResult = await Order.bulkWrite(transformedOrders, {
+    ordered: false // Continue processing even if some operations fail
+  });
+
+  // Flag those returns so the next return carries corrections
+  try {
+    const { flagged } = await IossReturn.flagCorrections(shopId, changedPeriods);
+    if (flagged > 0) {
+      console.log(`🔁 Orders changed in ${flagged} declared IOSS return(s), corrections pending`);
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to flag IOSS return corrections:', error.message);
+  }
+
+  return {
+    processed: transformedOrders.length,
+    created: bulkWriteResult.upsertedCount || 0,
+    updated: bulkWriteResult.modifiedCount || 0
+  };
+};
+
+/**
+ * Record the last sync time and stored order count on the shop
  * @param {string} shopId - MongoDB Lead document ID
- * @returns {Date|null} Latest order date or null
  */
-export const getLastSyncDate = async (shopId) => {
+export const updateSyncStatistics = async (shopId) => {
+  try {
+    const Lead = (await import('../models/Lead.js')).default;
+    await Lead.findByIdAndUpdate(shopId, {
+      lastOrderSync: new Date(),
+      totalOrdersSynced: await Order.countDocuments({ shopId })
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to update Lead sync statistics:', error.message);
+  }
+};
+
+/**
+ * Parse a Shopify money value (plain amount or MoneyBag set) in shop currency
+ * @param {string|Object} value - Amount string or { shop_money: { amount } }
+ * @returns {number|undefined} Parsed amount or undefined if missing
+ */
+const parseMoney = (value) => {
+  const amount = parseFloat(value?.shop_money ? value.shop_money.amount : value);
+  return Number.isFinite(amount) ? amount : undefined;
+};
+
+/**
+ * Sum the discounts allocated to a Shopify line item
+ * @param {Object} item - Shopify line item
+ * @returns {number} Total line discount
+ */
+const getLineDiscount = (item) => {
+  if (item.discount_allocations?.length) {
+    return item.discount_allocations.reduce((sum, allocation) => sum + (parseFloat(allocation.amount) || 0), 0);
+  }
+  return parseFloat(item.total_discount) || 0;
+};
+
+/**
+ * Convert an order total to EUR for IOSS classification
+ * @param {Object} order - Order in the local schema shape
+ * @returns {Object} totalPriceEur and exchangeRate fields (empty if no rate is available)
+ */
+const convertOrderTotal = async (order) => {
   try {
-    const latestOrder = await Order.findOne(
-      { shopId },
-      { shopifyCreatedAt: 1 }
-    ).sort({ shopifyCreatedAt: -1 });
+    const conversion = await convertToEur(order.totalPrice, order.currency, order.shopifyCreatedAt);
 
-    return latestOrder?.shopifyCreatedAt || null;
+    return {
+      totalPriceEur: conversion.amountEur,
+      exchangeRate: {
+        rate: conversion.rate,
+        rateDate: conversion.rateDate,
+        source: conversion.source,
+        provisional: conversion.provisional
+      }
+    };
   } catch (error) {
-    console.error('Error getting last sync date:', error);
-    return null;
+    console.warn(`⚠️ EUR conversion failed for order ${order.orderNumber}:`, error.message);
+    return {};
   }
 };
 
 /**
- * Sync only new/updated orders since last sync
+ * Get the reporting periods of synced orders that are new or changed since the last sync
+ * @param {Array} shopifyOrders - Raw Shopify orders
+ * @returns {Array<string>} YYYY-MM periods (by order date)
+ */
+export const getChangedOrderPeriods = async (shopifyOrders) => {
+  const existingOrders = await Order.find(
+    { shopifyOrderId: { $in: shopifyOrders.map(order => order.id.toString()) } },
+    { shopifyOrderId: 1, shopifyUpdatedAt: 1 }
+  ).lean();
+
+  const lastSeen = Object.fromEntries(
+    existingOrders.map(order => [order.shopifyOrderId, order.shopifyUpdatedAt?.getTime()])
+  );
+
+  const changedOrders = shopifyOrders.filter(order =>
+    lastSeen[order.id.toString()] !== new Date(order.updated_at).getTime()
+  );
+
+  return [...new Set(changedOrders.map(order => getPeriodForDate(order.created_at).key))];
+};
+
+/**
+ * Load what is needed to resolve line item tax categories for a batch of orders
  * @param {string} shopId - MongoDB Lead document ID
  * @param {string} accessToken - Shopify access token
  * @param {string} domain - Shopify store domain
- * @returns {Object} Sync results
+ * @param {Array} shopifyOrders - Raw Shopify orders
+ * @returns {Object} { products, defaultTaxCategory, overrides }
  */
-export const incrementalSync = async (shopId, accessToken, domain) => {
+export const loadTaxCategoryContext = async (shopId, accessToken, domain, shopifyOrders) => {
+  const productIds = shopifyOrders.flatMap(order =>
+    (order.line_items || []).map(item => item.product_id?.toString())
+  );
+
+  let products = {};
   try {
-    const lastSyncDate = await getLastSyncDate(shopId);
+    products = await fetchProducts(domain, accessToken, productIds);
+  } catch (error) {
+    console.warn(`⚠️ Product types unavailable for ${domain}, using shop default tax category:`, error.message);
+  }
+
+  const Lead = (await import('../models/Lead.js')).default;
+  const shop = await Lead.findById(shopId).select('defaultTaxCategory');
+
+  const existingOrders = await Order.find(
+    {
+      shopifyOrderId: { $in: shopifyOrders.map(order => order.id.toString()) },
+      taxCategoryOverrides: { $exists: true }
+    },
+    { shopifyOrderId: 1, taxCategoryOverrides: 1 }
+  );
+
+  const overrides = Object.fromEntries(
+    existingOrders.map(order => [order.shopifyOrderId, order.taxCategoryOverrides])
+  );
+
+  return {
+    products,
+    defaultTaxCategory: shop?.defaultTaxCategory,
+    overrides
+  };
+};
+
+/**
+ * Transform a Shopify order into the local Order schema format
+ * Bulk writes bypass Order middleware, so EUR values, refunds, classification
+ * and line item VAT rates are computed here.
+ * @param {Object} shopifyOrder - Raw Shopify order
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Object} [taxContext] - Result of loadTaxCategoryContext()
+ * @returns {Object} Order fields ready for upsert
+ */
+export const transformShopifyOrder = async (shopifyOrder, shopId, taxContext = {}) => {
+  const { products = {}, defaultTaxCategory, overrides = {} } = taxContext;
+  const refunds = parseShopifyRefunds(shopifyOrder);
+  const refundedLineItems = getRefundedLineItems(refunds);
+
+  const order = {
+    shopId: shopId,
+    shopifyOrderId: shopifyOrder.id.toString(),
+    orderNumber: shopifyOrder.name || shopifyOrder.order_number?.toString(),
+    totalPrice: parseFloat(shopifyOrder.total_price) || 0,
+    currency: shopifyOrder.currency || 'USD',
+    customerCountry: shopifyOrder.shipping_address?.country_code || 
+                   shopifyOrder.billing_address?.country_code || null,
+    customerEmail: shopifyOrder.email || shopifyOrder.contact_email,
+    fulfillmentStatus: shopifyOrder.fulfillment_status || 'null',
+    financialStatus: shopifyOrder.financial_status || 'pending',
+    cancelledAt: shopifyOrder.cancelled_at ? new Date(shopifyOrder.cancelled_at) : null,
+    cancelReason: shopifyOrder.cancel_reason || undefined,
+    refunds,
+
+    // Value breakdown for intrinsic value calculation
+    subtotalPrice: parseMoney(shopifyOrder.subtotal_price),
+    shippingPrice: parseMoney(shopifyOrder.total_shipping_price_set),
+    totalTax: parseMoney(shopifyOrder.total_tax),
+    totalDiscounts: parseMoney(shopifyOrder.total_discounts),
+    taxesIncluded: !!shopifyOrder.taxes_included,
     
-    const options = {
-      limit: 100, // Higher limit for incremental sync
-      ...(lastSyncDate && { 
-        createdAtMin: lastSyncDate.toISOString() 
-      })
-    };
+    // Line items with detailed product information
+    lineItems: shopifyOrder.line_items?.map(item => ({
+      lineItemId: item.id?.toString(),
+      productId: item.product_id?.toString(),
+      variantId: item.variant_id?.toString(),
+      title: item.title,
+      productType: products[item.product_id?.toString()]?.productType || undefined,
+      productTags: products[item.product_id?.toString()]?.tags || [],
+      quantity: parseInt(item.quantity) || 0,
+      price: parseFloat(item.price) || 0,
+      totalDiscount: getLineDiscount(item),
+      refundedQuantity: refundedLineItems[item.id?.toString()]?.quantity || 0,
+      refundedSubtotal: refundedLineItems[item.id?.toString()]?.subtotal || 0,
+      vendor: item.vendor,
+      countryOfOrigin: item.origin_location?.country_code
+    })) || [],
+    
+    // Shipping address for compliance analysis
+    shippingAddress: shopifyOrder.shipping_address ? {
+      country: shopifyOrder.shipping_address.country,
+      countryCode: shopifyOrder.shipping_address.country_code,
+      province: shopifyOrder.shipping_address.province,
+      city: shopifyOrder.shipping_address.city,
+      zip: shopifyOrder.shipping_address.zip
+    } : null,
+    
+    // Shopify timestamps
+    shopifyCreatedAt: new Date(shopifyOrder.created_at),
+    shopifyUpdatedAt: new Date(shopifyOrder.updated_at),
+    
+    // Update sync timestamp
+    syncedAt: new Date()
+  };
+
+  Object.assign(order, await convertOrderTotal(order));
+  order.intrinsicValue = calculateIntrinsicValue(order) ?? undefined;
+  order.intrinsicValueEur = calculateIntrinsicValueEur(order) ?? undefined;
+  Object.assign(order, calculateNetTaxableAmount(order));
+
+  // Classify under the IOSS rules in force on the order date
+  Object.assign(order, Order.classify(order));
+
+  // Per-line VAT rates (reduced rates by tax category)
+  const orderOverrides = overrides[order.shopifyOrderId];
+  Order.applyLineItemRates({ ...order, taxCategoryOverrides: orderOverrides }, defaultTaxCategory);
+
+  return order;
+};
+
+/**
+ * Get a shop's incremental sync watermark
+ * Shops synced before the watermark was stored start from the newest
+ * updated_at among their stored orders.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @returns {Object} { watermark, stored } with the Date (or null) and the value saved on the shop
+ */
+export const getSyncWatermark = async (shopId) => {
+  const Lead = (await import('../models/Lead.js')).default;
+  const shop = await Lead.findById(shopId).select('orderSyncWatermark');
+  const stored = shop?.orderSyncWatermark || null;
+
+  if (stored) {
+    return { watermark: stored, stored };
+  }
+
+  const latestOrder = await Order.findOne(
+    { shopId },
+    { shopifyUpdatedAt: 1 }
+  ).sort({ shopifyUpdatedAt: -1 });
+
+  return { watermark: latestOrder?.shopifyUpdatedAt || null, stored };
+};
+
+/**
+ * Move a shop's sync watermark back so the next incremental sync fetches
+ * every order updated since then again
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {Date|string} since - New watermark, not in the future
+ * @returns {Date} The new watermark
+ * @throws {Error} When the date is invalid or in the future
+ */
+export const rewindSyncWatermark = async (shopId, since) => {
+  const watermark = new Date(since);
+  if (isNaN(watermark)) {
+    throw new Error(`${since} is not a valid date`);
+  }
+  if (watermark > new Date()) {
+    throw new Error('The watermark cannot be moved into the future');
+  }
+
+  const Lead = (await import('../models/Lead.js')).default;
+  await Lead.updateOne({ _id: shopId }, { $set: { orderSyncWatermark: watermark } });
+
+  console.log(`⏪ Sync watermark for shop ${shopId} rewound to ${watermark.toISOString()}`);
+  return watermark;
+};
+
+/**
+ * Drop orders that are already stored as they are
+ * Keeps the newest version of an order listed twice, then skips orders whose
+ * stored updated_at is not older than the fetched one.
+ * @param {Array} shopifyOrders - Raw Shopify orders
+ * @returns {Array} Orders that are new or changed
+ */
+export const dedupeShopifyOrders = async (shopifyOrders) => {
+  const newest = new Map();
+  shopifyOrders.forEach(order => {
+    const id = order.id.toString();
+    const seen = newest.get(id);
+    if (!seen || new Date(order.updated_at) > new Date(seen.updated_at)) {
+      newest.set(id, order);
+    }
+  });
+
+  const existingOrders = await Order.find(
+    { shopifyOrderId: { $in: [...newest.keys()] } },
+    { shopifyOrderId: 1, shopifyUpdatedAt: 1 }
+  ).lean();
+
+  const lastSeen = Object.fromEntries(
+    existingOrders.map(order => [order.shopifyOrderId, order.shopifyUpdatedAt?.getTime()])
+  );
+
+  return [...newest.values()].filter(order =>
+    !(lastSeen[order.id.toString()] >= new Date(order.updated_at).getTime())
+  );
+};
+
+/**
+ * Sync orders created or updated since the shop's watermark
+ * All pages of orders updated since the watermark (minus an overlap window)
+ * are fetched; a shop without a watermark or stored orders gets its latest
+ * page. The watermark then moves to the newest updated_at fetched, unless it
+ * was rewound while the sync ran. A failed sync leaves it in place, so the
+ * next sync fetches the same orders again.
+ * @param {string} shopId - MongoDB Lead document ID
+ * @param {string} accessToken - Shopify access token
+ * @param {string} domain - Shopify store domain
+ * @param {Object} [options] - { onPage } called after each page is stored (e.g. to refresh a job lock)
+ * @returns {Object} Sync results
+ */
+export const incrementalSync = async (shopId, accessToken, domain, { onPage } = {}) => {
+  try {
+    const { watermark, stored } = await getSyncWatermark(shopId);
+    const updatedAtMin = watermark && new Date(watermark.getTime() - WATERMARK_OVERLAP_MS);
 
     console.log(`🔄 Starting incremental sync for ${domain}`);
-    if (lastSyncDate) {
-      console.log(`   📅 Syncing orders since: ${lastSyncDate.toISOString()}`);
+    if (updatedAtMin) {
+      console.log(`   📅 Syncing orders updated since: ${updatedAtMin.toISOString()}`);
+    }
+
+    const totals = { fetched: 0, processed: 0, created: 0, updated: 0 };
+    let newestUpdate = watermark;
+    let pageInfo = null;
+
+    do {
+      const page = await fetchOrdersPage(domain, accessToken, pageInfo
+        ? { pageInfo, limit: INCREMENTAL_PAGE_SIZE }
+        : {
+          limit: INCREMENTAL_PAGE_SIZE,
+          ...(updatedAtMin && { updated_at_min: updatedAtMin.toISOString() })
+        });
+
+      totals.fetched += page.orders.length;
+      page.orders.forEach(order => {
+        const updatedAt = new Date(order.updated_at);
+        if (!newestUpdate || updatedAt > newestUpdate) {
+          newestUpdate = updatedAt;
+        }
+      });
+
+      const changedOrders = await dedupeShopifyOrders(page.orders);
+      if (changedOrders.length > 0) {
+        const { processed, created, updated } = await storeShopifyOrders(shopId, accessToken, domain, changedOrders);
+        totals.processed += processed;
+        totals.created += created;
+        totals.updated += updated;
+      }
+
+      await onPage?.(totals);
+
+      // Without a watermark only the latest orders are synced; the backfill imports the rest
+      pageInfo = updatedAtMin ? page.nextPageInfo : null;
+    } while (pageInfo);
+
+    // Conditional on the value read above, so a rewind during the sync wins
+    if (newestUpdate && newestUpdate.getTime() !== stored?.getTime()) {
+      const Lead = (await import('../models/Lead.js')).default;
+      await Lead.updateOne(
+        { _id: shopId, orderSyncWatermark: stored },
+        { $set: { orderSyncWatermark: newestUpdate } }
+      );
     }
 
-    return await syncOrders(shopId, accessToken, domain, options);
+    await updateSyncStatistics(shopId);
+
+    const skipped = totals.fetched - totals.processed;
+    console.log(`✅ Incremental sync completed for ${domain}: ${totals.processed} changed orders stored, ${skipped} unchanged skipped`);
+
+    return {
+      success: true,
+      message: `Successfully synced ${totals.processed} orders`,
+      processed: totals.processed,
+      created: totals.created,
+      updated: totals.updated,
+      skipped,
+      watermark: newestUpdate,
+      shopDomain: domain
+    };
   } catch (error) {
     console.error('❌ Incremental sync failed:', error);
     throw error;
@@ -206,6 +530,7 @@ export const getIOSSComplianceSummary = async (shopId, dateRange = {}) => {
         totalOrders: 0,
         iossEligibleOrders: 0,
         euOrders: 0,
+        lowValueExemptOrders: 0,
         totalValue: 0,
         iossValue: 0,
         averageOrderValue: 0,
@@ -229,7 +554,14 @@ export const getIOSSComplianceSummary = async (shopId, dateRange = {}) => {
 
 export default {
   syncOrders,
-  getLastSyncDate,
+  storeShopifyOrders,
+  updateSyncStatistics,
+  getChangedOrderPeriods,
+  loadTaxCategoryContext,
+  transformShopifyOrder,
+  getSyncWatermark,
+  rewindSyncWatermark,
+  dedupeShopifyOrders,
   incrementalSync,
   getIOSSComplianceSummary
 };
\ No newline at end of file
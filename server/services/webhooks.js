@@ -0,0 +1,108 @@
+import Lead from '../models/Lead.js';
+import { fetchOrder } from './shopify.js';
+import { dedupeShopifyOrders, storeShopifyOrders, updateSyncStatistics } from './syncService.js';
+
+/**
+ * Service for processing Shopify webhook payloads
+ *
+ * Orders arriving by webhook go through the same transform and upsert as
+ * the order sync, so a webhook and a later sync of the same order store
+ * identical data. Signature checks and duplicate detection happen in the
+ * route before anything here runs.
+ */
+
+/**
+ * Find the connected shop a webhook was sent for
+ * @param {string} shopDomain - X-Shopify-Shop-Domain header
+ * @returns {Object|null} Lead document with its access token
+ */
+const findConnectedShop = (shopDomain) => Lead.findOne({ shopifyShopDomain: shopDomain?.toLowerCase() })
+  .sort({ shopifyConnectedAt: -1 })
+  .select('+shopifyAccessToken');
+
+/**
+ * Store an order received by webhook
+ * Webhooks can arrive late or out of order: a payload older than the stored
+ * version of the order (by updated_at) is skipped.
+ * @param {Object} lead - Lead document
+ * @param {Object} shopifyOrder - Raw Shopify order
+ * @returns {Object} { processed, created, updated, stale }
+ */
+const storeWebhookOrder = async (lead, shopifyOrder) => {
+  const changedOrders = await dedupeShopifyOrders([shopifyOrder]);
+  if (changedOrders.length === 0) {
+    return { processed: 0, created: 0, updated: 0, stale: true };
+  }
+
+  const result = await storeShopifyOrders(lead._id, lead.shopifyAccessToken, lead.shopifyShopDomain, changedOrders);
+  await updateSyncStatistics(lead._id);
+  return { ...result, stale: false };
+};
+
+/**
+ * Clear a shop's Shopify credentials after the app was uninstalled, on every
+ * lead holding the shop's token (as when Shopify rejects the token)
+ * The shop domain and synced orders are kept for filed returns.
+ * @param {Object} lead - Lead document with its access token
+ * @returns {number} Number of leads cleared
+ */
+const clearShopCredentials = async (lead) => {
+  const result = await Lead.updateMany(
+    { shopifyShopDomain: lead.shopifyShopDomain, shopifyAccessToken: lead.shopifyAccessToken },
+    { $unset: { shopifyAccessToken: 1, shopifyScope: 1, shopifyConnectedAt: 1 } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Process a verified webhook
+ * @param {string} topic - X-Shopify-Topic, e.g. orders/create
+ * @param {string} shopDomain - X-Shopify-Shop-Domain
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object} { handled, message }
+ */
+export const handleWebhook = async (topic, shopDomain, payload) => {
+  const lead = await findConnectedShop(shopDomain);
+
+  // Nothing to update for shops that are not (or no longer) connected
+  if (!lead?.shopifyAccessToken) {
+    return { handled: false, message: `No connected shop for ${shopDomain}` };
+  }
+
+  switch (topic) {
+  case 'orders/create':
+  case 'orders/updated': {
+    const { created, stale } = await storeWebhookOrder(lead, payload);
+    if (stale) {
+      console.log(`🪝 ${topic}: order ${payload.name || payload.id} skipped for ${shopDomain}, a newer version is stored`);
+      return { handled: true, message: `Order ${payload.id} already up to date` };
+    }
+    console.log(`🪝 ${topic}: order ${payload.name || payload.id} ${created ? 'created' : 'updated'} for ${shopDomain}`);
+    return { handled: true, message: `Order ${payload.id} stored` };
+  }
+
+  case 'refunds/create': {
+    // The refund payload lacks the order totals: store the order as it is now
+    const shopifyOrder = await fetchOrder(lead.shopifyShopDomain, lead.shopifyAccessToken, payload.order_id);
+    const { stale } = await storeWebhookOrder(lead, shopifyOrder);
+    if (stale) {
+      return { handled: true, message: `Order ${payload.order_id} already up to date` };
+    }
+    console.log(`🪝 ${topic}: refund ${payload.id} applied to order ${shopifyOrder.name || shopifyOrder.id} for ${shopDomain}`);
+    return { handled: true, message: `Order ${payload.order_id} refreshed` };
+  }
+
+  case 'app/uninstalled': {
+    const cleared = await clearShopCredentials(lead);
+    console.log(`🔌 App uninstalled from ${shopDomain}, credentials cleared on ${cleared} lead(s)`);
+    return { handled: true, message: 'Credentials cleared' };
+  }
+
+  default:
+    return { handled: false, message: `Unhandled topic ${topic}` };
+  }
+};
+
+export default {
+  handleWebhook
+};
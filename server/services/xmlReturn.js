@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateXML } from 'xmllint-wasm';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Service for serializing IOSS returns as XML
+ *
+ * Writes the same aggregated data as the CSV export (lines per member state
+ * and rate type, corrections and totals) in the structure described by
+ * server/schemas/ioss-return.xsd. Every document is validated against that
+ * schema before it is handed out.
+ *
+ * The schema is VATpilot's own interchange format, for importing returns
+ * into accounting or filing tools. It is not a member state's filing schema:
+ * no IOSS portal accepts these files, and each document says so.
+ */
+
+export const RETURN_XML_NAMESPACE = 'urn:vatpilot:ioss-return:1.0';
+
+// Comment at the top of every document
+const RETURN_XML_NOTICE = 'VATpilot IOSS return interchange format 1.0 - not a member state filing schema. ' +
+  'IOSS portals do not accept this file; file the return on the portal of your member state of identification.';
+export const RETURN_XML_SCHEMA_FILE = path.join(__dirname, '..', 'schemas', 'ioss-return.xsd');
+
+// Schema contents, loaded on first validation
+let schemaCache = null;
+
+/**
+ * Escape text for use in XML content or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Format an amount with two decimals
+ * @param {number} amount - Amount in EUR
+ * @returns {string} Amount, e.g. "159.66"
+ */
+const formatAmount = (amount) => (Math.round((amount || 0) * 100) / 100).toFixed(2);
+
+/**
+ * Build a <Period> element from a YYYY-MM key
+ * @param {string} periodKey - Period as YYYY-MM
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML fragment
+ */
+const periodElement = (periodKey, indent) => {
+  const [year, month] = periodKey.split('-');
+  return `${indent}<Period>\n` +
+    `${indent}  <Year>${year}</Year>\n` +
+    `${indent}  <Month>${parseInt(month)}</Month>\n` +
+    `${indent}</Period>`;
+};
+
+/**
+ * Serialize a return as XML
+ * @param {Object} params - Return data
+ * @param {Object} params.period - Reporting period (see tax/periods.js)
+ * @param {Array} params.lines - [{ memberState, rateType, vatRate, netValue, vatAmount, supplies }]
+ * @param {Array} [params.corrections] - [{ memberState, period, netValue, vatAmount }]
+ * @param {string} [params.iossNumber] - IOSS identification number (IM...)
+ * @param {string} [params.intermediaryNumber] - Intermediary identification number (IN...)
+ * @param {number} params.supplies - Total number of supplies: distinct orders, as an order with
+ * lines at several rates is counted on each of those lines
+ * @returns {string} XML document
+ */
+export const buildReturnXml = ({ period, lines, corrections = [], iossNumber, intermediaryNumber, supplies }) => {
+  // Group lines by member state, one <Line> per rate type and rate
+  const byMemberState = {};
+  lines.forEach(line => {
+    (byMemberState[line.memberState] ||= []).push(line);
+  });
+
+  const vatAmount = lines.reduce((sum, line) => sum + line.vatAmount, 0);
+  const correctionsVatAmount = corrections.reduce((sum, correction) => sum + correction.vatAmount, 0);
+
+  const memberStates = Object.keys(byMemberState).sort().map(memberState =>
+    `    <MemberState code="${escapeXml(memberState)}">\n` +
+    byMemberState[memberState].map(line =>
+      '      <Line>\n' +
+      `        <RateType>${escapeXml(line.rateType || 'STANDARD')}</RateType>\n` +
+      `        <VatRate>${formatAmount(line.vatRate)}</VatRate>\n` +
+      `        <TaxableAmount>${formatAmount(line.netValue)}</TaxableAmount>\n` +
+      `        <VatAmount>${formatAmount(line.vatAmount)}</VatAmount>\n` +
+      `        <NumberOfSupplies>${line.supplies || 0}</NumberOfSupplies>\n` +
+      '      </Line>\n'
+    ).join('') +
+    '    </MemberState>\n'
+  ).join('');
+
+  const correctionElements = corrections.map(correction =>
+    '    <Correction>\n' +
+    `      <MemberState>${escapeXml(correction.memberState)}</MemberState>\n` +
+    `${periodElement(correction.period, '      ')}\n` +
+    `      <TaxableAmount>${formatAmount(correction.netValue)}</TaxableAmount>\n` +
+    `      <VatAmount>${formatAmount(correction.vatAmount)}</VatAmount>\n` +
+    '    </Correction>\n'
+  ).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<!-- ${RETURN_XML_NOTICE} -->\n` +
+    `<IOSSReturn xmlns="${RETURN_XML_NAMESPACE}" version="1.0">\n` +
+    '  <Header>\n' +
+    (iossNumber ? `    <IOSSNumber>${escapeXml(iossNumber)}</IOSSNumber>\n` : '') +
+    (intermediaryNumber ? `    <IntermediaryNumber>${escapeXml(intermediaryNumber)}</IntermediaryNumber>\n` : '') +
+    `${periodElement(period.key, '    ')}\n` +
+    `    <PeriodStart>${period.start.toISOString().split('T')[0]}</PeriodStart>\n` +
+    `    <PeriodEnd>${period.lastDay}</PeriodEnd>\n` +
+    '    <Currency>EUR</Currency>\n' +
+    `    <GeneratedAt>${new Date().toISOString()}</GeneratedAt>\n` +
+    (lines.length === 0 ? '    <NilReturn>true</NilReturn>\n' : '') +
+    '  </Header>\n' +
+    (memberStates ? `  <Supplies>\n${memberStates}  </Supplies>\n` : '  <Supplies/>\n') +
+    (correctionElements ? `  <Corrections>\n${correctionElements}  </Corrections>\n` : '  <Corrections/>\n') +
+    '  <Totals>\n' +
+    `    <TaxableAmount>${formatAmount(lines.reduce((sum, line) => sum + line.netValue, 0))}</TaxableAmount>\n` +
+    `    <VatAmount>${formatAmount(vatAmount)}</VatAmount>\n` +
+    `    <CorrectionsVatAmount>${formatAmount(correctionsVatAmount)}</CorrectionsVatAmount>\n` +
+    `    <TotalVatDue>${formatAmount(vatAmount + correctionsVatAmount)}</TotalVatDue>\n` +
+    `    <NumberOfSupplies>${supplies}</NumberOfSupplies>\n` +
+    '  </Totals>\n' +
+    '</IOSSReturn>\n';
+};
+
+/**
+ * Validate a return document against the bundled schema
+ * @param {string} xml - XML document
+ * @returns {Object} { valid, errors } with error messages
+ */
+export const validateReturnXml = async (xml) => {
+  if (!schemaCache) {
+    schemaCache = fs.readFileSync(RETURN_XML_SCHEMA_FILE, 'utf8');
+  }
+
+  const result = await validateXML({
+    xml: [{ fileName: 'ioss-return.xml', contents: xml }],
+    schema: [{ fileName: 'ioss-return.xsd', contents: schemaCache }]
+  });
+
+  return {
+    valid: result.valid,
+    errors: result.errors.map(error => error.message)
+  };
+};
+
+/**
+ * Serialize and validate a return
+ * @param {Object} params - See buildReturnXml()
+ * @returns {string} Valid XML document
+ * @throws {Error} When the document does not match the schema
+ */
+export const generateReturnXml = async (params) => {
+  const xml = buildReturnXml(params);
+  const { valid, errors } = await validateReturnXml(xml);
+
+  if (!valid) {
+    throw new Error(`IOSS return XML failed schema validation: ${errors.join('; ')}`);
+  }
+
+  console.log(`✅ IOSS return XML validated against ${path.basename(RETURN_XML_SCHEMA_FILE)}`);
+  return xml;
+};
+
+export default {
+  buildReturnXml,
+  validateReturnXml,
+  generateReturnXml
+};
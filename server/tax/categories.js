@@ -0,0 +1,92 @@
+import { getVatRates } from './vatRates.js';
+
+/**
+ * Product tax categories for reduced VAT rates
+ *
+ * A line item's category is resolved from (in order): a manual override on
+ * the line item, a `vat:<category>` product tag, the Shopify product type,
+ * then the shop's default category. The rate each category takes per member
+ * state lives in the `categories` map of the VAT rate periods.
+ */
+export const TAX_CATEGORIES = {
+  standard: {
+    label: 'Standard rated goods',
+    productTypes: []
+  },
+  books: {
+    label: 'Printed books',
+    productTypes: ['book', 'books', 'printed book', 'paperback', 'hardcover']
+  },
+  childrens_clothing: {
+    label: "Children's clothing and footwear",
+    productTypes: ["children's clothing", 'childrens clothing', 'kids clothing', 'baby clothing', "children's shoes", 'kids shoes']
+  },
+  hygiene_products: {
+    label: 'Feminine hygiene and similar personal care products',
+    productTypes: ['feminine hygiene', 'sanitary products', 'menstrual products']
+  }
+};
+
+export const DEFAULT_TAX_CATEGORY = 'standard';
+
+// Product tag prefix for explicit category tagging in Shopify (e.g. "vat:books")
+const CATEGORY_TAG_PREFIX = 'vat:';
+
+/**
+ * Check whether a tax category is known
+ * @param {string} category - Category key
+ * @returns {boolean} True for known categories
+ */
+export const isTaxCategory = (category) => Object.prototype.hasOwnProperty.call(TAX_CATEGORIES, category);
+
+/**
+ * Resolve the tax category of a line item
+ * @param {Object} params - Resolution inputs
+ * @param {string} [params.override] - Manual override set on the line item
+ * @param {Array<string>} [params.productTags] - Shopify product tags
+ * @param {string} [params.productType] - Shopify product type
+ * @param {string} [defaultCategory] - Shop default category
+ * @returns {string} Tax category key
+ */
+export const resolveTaxCategory = ({ override, productTags = [], productType } = {}, defaultCategory = DEFAULT_TAX_CATEGORY) => {
+  if (override && isTaxCategory(override)) {
+    return override;
+  }
+
+  const taggedCategory = productTags
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag.startsWith(CATEGORY_TAG_PREFIX))
+    .map(tag => tag.slice(CATEGORY_TAG_PREFIX.length))
+    .find(isTaxCategory);
+  if (taggedCategory) {
+    return taggedCategory;
+  }
+
+  const type = productType?.trim().toLowerCase();
+  if (type) {
+    const typedCategory = Object.keys(TAX_CATEGORIES)
+      .find(category => TAX_CATEGORIES[category].productTypes.includes(type));
+    if (typedCategory) {
+      return typedCategory;
+    }
+  }
+
+  return isTaxCategory(defaultCategory) ? defaultCategory : DEFAULT_TAX_CATEGORY;
+};
+
+/**
+ * Get the VAT rate a tax category takes in a member state on a date
+ * @param {string} countryCode - Two-letter member state code
+ * @param {string} category - Tax category key
+ * @param {Date|string} date - Date of supply (defaults to today)
+ * @returns {Object} { rate, rateType } where rateType is 'STANDARD' or 'REDUCED'
+ */
+export const getCategoryRate = (countryCode, category = DEFAULT_TAX_CATEGORY, date = new Date()) => {
+  const period = getVatRates(countryCode, date);
+  const rate = period.categories?.[category] ?? period.standard;
+
+  return {
+    rate,
+    rateType: rate === period.standard ? 'STANDARD' : 'REDUCED'
+  };
+};
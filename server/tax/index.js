@@ -0,0 +1,78 @@
+/**
+ * EU tax rules package
+ *
+ * Single source for member states, VAT rates, special territories, product
+ * tax categories, IOSS rule sets, reporting periods and IOSS numbers. Server modules and
+ * scripts import from here; the client fetches the same data through
+ * GET /api/tax-rules.
+ * Imported rate changes (see rateChanges.js) are applied when it loads.
+ */
+import { MEMBER_STATES, getMemberStates, getMemberStateCodes, isEUMemberState, toDateKey } from './memberStates.js';
+import { VAT_RATES, getVatRates, getStandardRate, getRateTable } from './vatRates.js';
+import { SPECIAL_TERRITORIES, getSpecialTerritory, isInEUVatArea } from './territories.js';
+import { IOSS_RULE_SETS, getIOSSRules, classifyOrder } from './iossRules.js';
+import { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY, isTaxCategory, resolveTaxCategory, getCategoryRate } from './categories.js';
+import { parseRateChanges, applyRateChange, loadRateChanges } from './rateChanges.js';
+import { parsePeriod, getPeriodForDate, getLastClosedPeriod, resolvePeriod, getFilingDeadline, getNextFilingDeadline } from './periods.js';
+import { IOSS_NUMBER_PATTERN, IOSS_NUMBER_TYPES, normalizeIossNumber, parseIossNumber, isValidIossNumber, getIossNumbersForPeriod } from './iossNumbers.js';
+
+loadRateChanges();
+
+/**
+ * Build a snapshot of the tax rules in force on a date (used by /api/tax-rules)
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} Member states with rates, special territories, tax categories and IOSS rules
+ */
+export const getTaxRulesSnapshot = (date = new Date()) => {
+  const rateTable = getRateTable(date);
+
+  return {
+    date: toDateKey(date),
+    memberStates: getMemberStates(date).map(state => ({
+      code: state.code,
+      name: state.name,
+      rates: rateTable[state.code] || null
+    })),
+    specialTerritories: SPECIAL_TERRITORIES,
+    taxCategories: Object.entries(TAX_CATEGORIES).map(([key, category]) => ({ key, label: category.label })),
+    iossRules: getIOSSRules(date)
+  };
+};
+
+export {
+  MEMBER_STATES,
+  getMemberStates,
+  getMemberStateCodes,
+  isEUMemberState,
+  toDateKey,
+  VAT_RATES,
+  getVatRates,
+  getStandardRate,
+  getRateTable,
+  SPECIAL_TERRITORIES,
+  getSpecialTerritory,
+  isInEUVatArea,
+  IOSS_RULE_SETS,
+  getIOSSRules,
+  classifyOrder,
+  TAX_CATEGORIES,
+  DEFAULT_TAX_CATEGORY,
+  isTaxCategory,
+  resolveTaxCategory,
+  getCategoryRate,
+  parseRateChanges,
+  applyRateChange,
+  loadRateChanges,
+  parsePeriod,
+  getPeriodForDate,
+  getLastClosedPeriod,
+  resolvePeriod,
+  getFilingDeadline,
+  getNextFilingDeadline,
+  IOSS_NUMBER_PATTERN,
+  IOSS_NUMBER_TYPES,
+  normalizeIossNumber,
+  parseIossNumber,
+  isValidIossNumber,
+  getIossNumbersForPeriod
+};
@@ -0,0 +1,81 @@
+import { MEMBER_STATES, toDateKey } from './memberStates.js';
+
+/**
+ * IOSS identification numbers
+ *
+ * Format (Art. 369q VAT Directive): "IM" + 3-digit ISO numeric code of the
+ * member state of identification + 7 digits, e.g. IM2760000001 for Germany.
+ * Intermediaries are identified with "IN" + the same structure and file on
+ * behalf of the sellers they represent, who each hold their own IM number.
+ */
+export const IOSS_NUMBER_PATTERN = /^I([MN])(\d{3})(\d{7})$/;
+
+// IOSS number types by prefix
+export const IOSS_NUMBER_TYPES = {
+  M: 'IOSS',
+  N: 'INTERMEDIARY'
+};
+
+/**
+ * Normalize an IOSS number as entered (spaces and case)
+ * @param {string} value - IOSS number
+ * @returns {string} Normalized number
+ */
+export const normalizeIossNumber = (value) => (value || '').toString().replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Parse an IOSS or intermediary number
+ * @param {string} value - IOSS number
+ * @returns {Object|null} { number, type, numericCode, memberState } or null when invalid
+ */
+export const parseIossNumber = (value) => {
+  const number = normalizeIossNumber(value);
+  const match = number.match(IOSS_NUMBER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  // Numbers are issued by EU member states only
+  const state = MEMBER_STATES.find(memberState => memberState.numericCode === match[2]);
+  if (!state || state.effectiveTo) {
+    return null;
+  }
+
+  return {
+    number,
+    type: IOSS_NUMBER_TYPES[match[1]],
+    numericCode: match[2],
+    memberState: state.code
+  };
+};
+
+/**
+ * Check whether a value is a valid IOSS or intermediary number
+ * @param {string} value - IOSS number
+ * @returns {boolean} True when valid
+ */
+export const isValidIossNumber = (value) => parseIossNumber(value) !== null;
+
+/**
+ * Pick the numbers to declare for a period from a shop's registry
+ * A number applies when its validity overlaps the period; when several do,
+ * the one registered last wins.
+ * @param {Array} registry - [{ number, type, validFrom, validTo }]
+ * @param {Object} period - Reporting period (see periods.js)
+ * @returns {Object} { iossNumber, intermediaryNumber } (undefined when none)
+ */
+export const getIossNumbersForPeriod = (registry = [], period) => {
+  const firstDay = toDateKey(period.start);
+
+  const applicable = registry
+    .filter(entry => toDateKey(entry.validFrom) <= period.lastDay &&
+      (!entry.validTo || toDateKey(entry.validTo) >= firstDay))
+    .sort((a, b) => new Date(a.validFrom) - new Date(b.validFrom));
+
+  const latest = (type) => applicable.filter(entry => entry.type === type).pop()?.number;
+
+  return {
+    iossNumber: latest('IOSS'),
+    intermediaryNumber: latest('INTERMEDIARY')
+  };
+};
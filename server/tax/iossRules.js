@@ -0,0 +1,79 @@
+import { toDateKey, isInForce } from './memberStates.js';
+import { isInEUVatArea } from './territories.js';
+
+/**
+ * IOSS eligibility rules versioned by effective date
+ *
+ * Each rule set describes the import VAT regime in force for a date range so
+ * orders can be classified (and historical orders reclassified) under the
+ * rules that applied on their date of supply.
+ */
+
+// Rule sets ordered by effective date (effectiveTo is inclusive, null = open-ended)
+export const IOSS_RULE_SETS = [
+  {
+    version: 'LVCR-2020',
+    description: 'Low value consignment relief: imports up to €22 exempt from VAT, no IOSS scheme',
+    effectiveFrom: null,
+    effectiveTo: '2021-06-30',
+    iossAvailable: false,
+    lowValueExemptionEur: 22,
+    consignmentThresholdEur: 150
+  },
+  {
+    version: 'EU-ECOM-2021',
+    description: 'EU VAT e-commerce package: €22 exemption abolished, IOSS for consignments up to €150',
+    effectiveFrom: '2021-07-01',
+    effectiveTo: null,
+    iossAvailable: true,
+    lowValueExemptionEur: 0,
+    consignmentThresholdEur: 150
+  }
+];
+
+/**
+ * Get the rule set in force on a given date
+ * @param {Date|string} date - Date of supply (defaults to today)
+ * @returns {Object} Rule set
+ */
+export const getIOSSRules = (date = new Date()) => {
+  const dateKey = toDateKey(date);
+
+  return IOSS_RULE_SETS.find(rules => isInForce(rules, dateKey)) ||
+    IOSS_RULE_SETS[IOSS_RULE_SETS.length - 1];
+};
+
+/**
+ * Classify an order under the rules in force on its date of supply
+ * @param {Object} params - Classification inputs
+ * @param {string} params.destinationCountry - Two-letter destination country code
+ * @param {string} [params.destinationPostalCode] - Destination postal code (special territories)
+ * @param {string} [params.originCountry] - Two-letter dispatch country code, if known
+ * @param {number|null} params.intrinsicValueEur - Intrinsic consignment value in EUR
+ * @param {Date|string} params.supplyDate - Date of supply
+ * @returns {Object} { ruleVersion, euDestination, iossEligible, vatRequired, lowValueExempt }
+ */
+export const classifyOrder = ({ destinationCountry, destinationPostalCode, originCountry, intrinsicValueEur, supplyDate }) => {
+  const date = supplyDate || new Date();
+  const rules = getIOSSRules(date);
+  const euDestination = isInEUVatArea(destinationCountry, destinationPostalCode, date);
+  const isImport = !originCountry || !isInEUVatArea(originCountry, null, date);
+  const hasValue = intrinsicValueEur != null;
+
+  const lowValueExempt = euDestination && hasValue && intrinsicValueEur < rules.lowValueExemptionEur;
+  const withinThreshold = hasValue && intrinsicValueEur <= rules.consignmentThresholdEur;
+
+  return {
+    ruleVersion: rules.version,
+    euDestination,
+    iossEligible: rules.iossAvailable && euDestination && isImport && withinThreshold && !lowValueExempt,
+    vatRequired: euDestination && hasValue && intrinsicValueEur > 0 && !lowValueExempt,
+    lowValueExempt
+  };
+};
+
+export default {
+  IOSS_RULE_SETS,
+  getIOSSRules,
+  classifyOrder
+};
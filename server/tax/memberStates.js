@@ -0,0 +1,80 @@
+/**
+ * EU member states for VAT purposes, with membership dates
+ *
+ * effectiveTo is inclusive and null while the state is still a member.
+ * numericCode is the ISO 3166-1 numeric code used in IOSS numbers.
+ * The United Kingdom is kept for historical periods (VAT transition ended 2020-12-31).
+ */
+export const MEMBER_STATES = [
+  { code: 'AT', numericCode: '040', name: 'Austria', effectiveFrom: '1995-01-01', effectiveTo: null },
+  { code: 'BE', numericCode: '056', name: 'Belgium', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'BG', numericCode: '100', name: 'Bulgaria', effectiveFrom: '2007-01-01', effectiveTo: null },
+  { code: 'HR', numericCode: '191', name: 'Croatia', effectiveFrom: '2013-07-01', effectiveTo: null },
+  { code: 'CY', numericCode: '196', name: 'Cyprus', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'CZ', numericCode: '203', name: 'Czech Republic', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'DK', numericCode: '208', name: 'Denmark', effectiveFrom: '1973-01-01', effectiveTo: null },
+  { code: 'EE', numericCode: '233', name: 'Estonia', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'FI', numericCode: '246', name: 'Finland', effectiveFrom: '1995-01-01', effectiveTo: null },
+  { code: 'FR', numericCode: '250', name: 'France', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'DE', numericCode: '276', name: 'Germany', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'GR', numericCode: '300', name: 'Greece', effectiveFrom: '1981-01-01', effectiveTo: null },
+  { code: 'HU', numericCode: '348', name: 'Hungary', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'IE', numericCode: '372', name: 'Ireland', effectiveFrom: '1973-01-01', effectiveTo: null },
+  { code: 'IT', numericCode: '380', name: 'Italy', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'LV', numericCode: '428', name: 'Latvia', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'LT', numericCode: '440', name: 'Lithuania', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'LU', numericCode: '442', name: 'Luxembourg', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'MT', numericCode: '470', name: 'Malta', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'NL', numericCode: '528', name: 'Netherlands', effectiveFrom: '1958-01-01', effectiveTo: null },
+  { code: 'PL', numericCode: '616', name: 'Poland', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'PT', numericCode: '620', name: 'Portugal', effectiveFrom: '1986-01-01', effectiveTo: null },
+  { code: 'RO', numericCode: '642', name: 'Romania', effectiveFrom: '2007-01-01', effectiveTo: null },
+  { code: 'SK', numericCode: '703', name: 'Slovakia', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'SI', numericCode: '705', name: 'Slovenia', effectiveFrom: '2004-05-01', effectiveTo: null },
+  { code: 'ES', numericCode: '724', name: 'Spain', effectiveFrom: '1986-01-01', effectiveTo: null },
+  { code: 'SE', numericCode: '752', name: 'Sweden', effectiveFrom: '1995-01-01', effectiveTo: null },
+  { code: 'GB', numericCode: '826', name: 'United Kingdom', effectiveFrom: '1973-01-01', effectiveTo: '2020-12-31' }
+];
+
+/**
+ * Format a date as YYYY-MM-DD for comparison with effective dates
+ * @param {Date|string} date - Date to format
+ * @returns {string} ISO date string
+ */
+export const toDateKey = (date = new Date()) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Check whether an effective-dated entry is in force on a date
+ * @param {Object} entry - Entry with effectiveFrom/effectiveTo (inclusive, null = open)
+ * @param {string} dateKey - YYYY-MM-DD date
+ * @returns {boolean} True if in force
+ */
+export const isInForce = (entry, dateKey) =>
+  (!entry.effectiveFrom || dateKey >= entry.effectiveFrom) &&
+  (!entry.effectiveTo || dateKey <= entry.effectiveTo);
+
+/**
+ * Get the member states on a given date
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Array} Member state entries
+ */
+export const getMemberStates = (date = new Date()) => {
+  const dateKey = toDateKey(date);
+  return MEMBER_STATES.filter(state => isInForce(state, dateKey));
+};
+
+/**
+ * Get member state codes on a given date
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Array<string>} Two-letter country codes
+ */
+export const getMemberStateCodes = (date = new Date()) => getMemberStates(date).map(state => state.code);
+
+/**
+ * Check whether a country is an EU member state on a given date
+ * @param {string} countryCode - Two-letter country code
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {boolean} True for member states
+ */
+export const isEUMemberState = (countryCode, date = new Date()) =>
+  getMemberStateCodes(date).includes(countryCode?.toUpperCase());
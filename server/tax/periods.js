@@ -0,0 +1,96 @@
+import { toDateKey } from './memberStates.js';
+
+/**
+ * IOSS reporting periods
+ *
+ * An IOSS return covers one calendar month. Periods are written as YYYY-MM
+ * and bounded in UTC: `start` is the first instant of the month and `end`
+ * the first instant of the next one (exclusive).
+ * A return is due by the end of the month following the period
+ * (Art. 369v VAT Directive).
+ */
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Build a period from a year and month
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month number (1-12)
+ * @returns {Object} { key, year, month, start, end, lastDay, dueDate, label }
+ */
+const buildPeriod = (year, month) => {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+
+  return {
+    key: `${year}-${String(month).padStart(2, '0')}`,
+    year,
+    month,
+    start,
+    end,
+    lastDay: toDateKey(new Date(end.getTime() - 1)),
+    dueDate: toDateKey(new Date(Date.UTC(year, month + 1, 1) - 1)),
+    label: start.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  };
+};
+
+/**
+ * Parse a YYYY-MM reporting period
+ * @param {string} value - Period string, e.g. '2025-12'
+ * @returns {Object|null} Period or null when the value is not a valid period
+ */
+export const parsePeriod = (value) => {
+  const match = PERIOD_PATTERN.exec(value?.toString().trim() || '');
+  return match ? buildPeriod(parseInt(match[1]), parseInt(match[2])) : null;
+};
+
+/**
+ * Get the period containing a date
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} Period
+ */
+export const getPeriodForDate = (date = new Date()) => {
+  const reference = new Date(date);
+  return buildPeriod(reference.getUTCFullYear(), reference.getUTCMonth() + 1);
+};
+
+/**
+ * Get the last closed (fully elapsed) period
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} Period for the month before the reference date
+ */
+export const getLastClosedPeriod = (date = new Date()) => {
+  const current = getPeriodForDate(date);
+  return getPeriodForDate(new Date(current.start.getTime() - 1));
+};
+
+/**
+ * Resolve an optional YYYY-MM parameter to a period
+ * @param {string} [value] - Period string; empty means the last closed period
+ * @returns {Object|null} Period, or null when a value was given but is invalid
+ */
+export const resolvePeriod = (value) => (value ? parsePeriod(value) : getLastClosedPeriod());
+
+/**
+ * Get the filing deadline of a period's return
+ * @param {Object} period - Reporting period
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} { period, dueDate, daysLeft } (daysLeft is negative once overdue)
+ */
+export const getFilingDeadline = (period, date = new Date()) => {
+  const today = Date.parse(toDateKey(date));
+
+  return {
+    period,
+    dueDate: period.dueDate,
+    daysLeft: Math.round((Date.parse(period.dueDate) - today) / 86400000)
+  };
+};
+
+/**
+ * Get the period whose return is due next
+ * The last closed period is always due by the end of the current month
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} { period, dueDate, daysLeft }
+ */
+export const getNextFilingDeadline = (date = new Date()) => getFilingDeadline(getLastClosedPeriod(date), date);
@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MEMBER_STATES, toDateKey, isInForce } from './memberStates.js';
+import { VAT_RATES } from './vatRates.js';
+import { isTaxCategory } from './categories.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Imported VAT rate changes
+ *
+ * Rate changes published after a release are kept in a data file (written by
+ * `node server/import-vat-rates.js`) and applied on top of the built-in rate
+ * history when the tax package loads. A change starts a new rate period on
+ * its effective date and closes the period it interrupts the day before, so
+ * earlier periods keep reporting with the rates then in force.
+ */
+
+export const DEFAULT_RATE_CHANGES_FILE = path.join(__dirname, '..', 'data', 'vat_rate_changes.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the day before a YYYY-MM-DD date
+ * @param {string} dateKey - YYYY-MM-DD date
+ * @returns {string} YYYY-MM-DD date
+ */
+const previousDay = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return toDateKey(date);
+};
+
+/**
+ * Parse a rate value (empty cells mean "not given")
+ * @param {*} value - Raw value
+ * @returns {number|null|undefined} Rate, null for "none", undefined when not given
+ */
+const parseRate = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value === null || value === 'null' || value === '-') {
+    return null;
+  }
+  return typeof value === 'number' ? value : parseFloat(value);
+};
+
+/**
+ * Validate and normalise one rate change
+ * @param {Object} change - Raw change { country, effectiveFrom, standard, reduced, superReduced, categories }
+ * @param {number} [index] - Position in the import file (for error messages)
+ * @returns {Object} Normalised change
+ * @throws {Error} When the change is invalid
+ */
+export const normalizeRateChange = (change, index = 0) => {
+  const label = `Rate change #${index + 1}`;
+  const country = change.country?.toString().trim().toUpperCase();
+  const effectiveFrom = change.effectiveFrom?.toString().trim();
+
+  if (!MEMBER_STATES.some(state => state.code === country)) {
+    throw new Error(`${label}: unknown member state "${change.country}"`);
+  }
+  if (!DATE_PATTERN.test(effectiveFrom || '') || isNaN(new Date(effectiveFrom).getTime())) {
+    throw new Error(`${label}: effectiveFrom must be a YYYY-MM-DD date`);
+  }
+
+  const isValidRate = (rate) => Number.isFinite(rate) && rate >= 0 && rate < 100;
+  const normalized = { country, effectiveFrom };
+
+  const standard = parseRate(change.standard);
+  if (standard !== undefined) {
+    if (!isValidRate(standard)) {
+      throw new Error(`${label}: standard rate must be a percentage`);
+    }
+    normalized.standard = standard;
+  }
+
+  if (change.reduced !== undefined && change.reduced !== '') {
+    const reduced = Array.isArray(change.reduced)
+      ? change.reduced.map(parseRate)
+      : change.reduced.toString().split(';').map(value => parseRate(value.trim()));
+    if (!reduced.every(isValidRate)) {
+      throw new Error(`${label}: reduced rates must be percentages`);
+    }
+    normalized.reduced = reduced.sort((a, b) => b - a);
+  }
+
+  const superReduced = parseRate(change.superReduced);
+  if (superReduced !== undefined) {
+    if (superReduced !== null && !isValidRate(superReduced)) {
+      throw new Error(`${label}: super-reduced rate must be a percentage`);
+    }
+    normalized.superReduced = superReduced;
+  }
+
+  const categories = {};
+  Object.entries(change.categories || {}).forEach(([category, value]) => {
+    const rate = parseRate(value);
+    if (rate === undefined) {
+      return;
+    }
+    if (!isTaxCategory(category) || (rate !== null && !isValidRate(rate))) {
+      throw new Error(`${label}: invalid rate for category "${category}"`);
+    }
+    categories[category] = rate;
+  });
+  if (Object.keys(categories).length > 0) {
+    normalized.categories = categories;
+  }
+
+  if (Object.keys(normalized).length === 2) {
+    throw new Error(`${label}: no rates given for ${country} from ${effectiveFrom}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Parse a CSV rate change file
+ * Columns: country, effectiveFrom, standard, reduced (";"-separated), superReduced,
+ * plus one optional column per tax category (e.g. books). Empty cells keep
+ * the rate in force before the change.
+ * @param {string} content - CSV file content
+ * @returns {Array} Raw rate changes
+ */
+export const parseRateChangesCsv = (content) => {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = lines[0].split(',').map(header => header.trim());
+  const baseColumns = ['country', 'effectiveFrom', 'standard', 'reduced', 'superReduced'];
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const row = Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']));
+    const categories = Object.fromEntries(
+      headers
+        .filter(header => !baseColumns.includes(header))
+        .map(header => [header, row[header]])
+    );
+
+    return {
+      country: row.country,
+      effectiveFrom: row.effectiveFrom,
+      standard: row.standard,
+      reduced: row.reduced,
+      superReduced: row.superReduced,
+      categories
+    };
+  });
+};
+
+/**
+ * Parse and validate a JSON or CSV rate change file
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array} Normalised rate changes
+ * @throws {Error} When the file or any change is invalid
+ */
+export const parseRateChanges = (content, format) => {
+  let changes;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    changes = Array.isArray(parsed) ? parsed : parsed.changes;
+    if (!Array.isArray(changes)) {
+      throw new Error('JSON rate file must be an array or { "changes": [...] }');
+    }
+  } else if (format === 'csv') {
+    changes = parseRateChangesCsv(content);
+  } else {
+    throw new Error(`Unsupported rate file format: ${format}`);
+  }
+
+  return changes.map(normalizeRateChange);
+};
+
+/**
+ * Apply a rate change to a rate table (mutates the table)
+ * Fields not given in the change carry over from the period it interrupts.
+ * A change on the first day of an existing period corrects that period.
+ * @param {Object} rateTable - Rate periods keyed by country (VAT_RATES shape)
+ * @param {Object} change - Normalised rate change
+ * @returns {Object} The new or corrected period
+ * @throws {Error} When the change predates the known rate history
+ */
+export const applyRateChange = (rateTable, change) => {
+  const periods = rateTable[change.country] || [];
+  const current = periods.find(period => isInForce(period, change.effectiveFrom));
+
+  if (!current) {
+    throw new Error(`No rate period in force for ${change.country} on ${change.effectiveFrom}`);
+  }
+
+  const { effectiveFrom } = change;
+  const merged = {
+    standard: change.standard ?? current.standard,
+    reduced: change.reduced ?? [...current.reduced],
+    superReduced: change.superReduced !== undefined ? change.superReduced : current.superReduced,
+    categories: { ...current.categories, ...change.categories }
+  };
+
+  // Categories set to null fall back to the standard rate
+  Object.keys(merged.categories).forEach(category => {
+    if (merged.categories[category] === null) {
+      delete merged.categories[category];
+    }
+  });
+
+  if (current.effectiveFrom === effectiveFrom) {
+    Object.assign(current, merged);
+    return current;
+  }
+
+  const period = { effectiveFrom, effectiveTo: current.effectiveTo, ...merged };
+  current.effectiveTo = previousDay(effectiveFrom);
+  periods.splice(periods.indexOf(current) + 1, 0, period);
+
+  return period;
+};
+
+/**
+ * Read imported rate changes from disk
+ * @param {string} filePath - Path to the rate change file
+ * @returns {Array} Normalised rate changes ([] when the file does not exist)
+ */
+export const readRateChangesFile = (filePath = process.env.VAT_RATE_CHANGES_FILE || DEFAULT_RATE_CHANGES_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return parseRateChanges(fs.readFileSync(filePath, 'utf8'), 'json');
+};
+
+/**
+ * Apply imported rate changes to the built-in VAT rate history
+ * Called once when the tax package loads.
+ * @param {string} [filePath] - Path to the rate change file
+ * @returns {number} Number of changes applied
+ */
+export const loadRateChanges = (filePath) => {
+  const changes = readRateChangesFile(filePath)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  changes.forEach(change => applyRateChange(VAT_RATES, change));
+
+  if (changes.length > 0) {
+    console.log(`📈 Applied ${changes.length} imported VAT rate change(s)`);
+  }
+
+  return changes.length;
+};
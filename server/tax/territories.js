@@ -0,0 +1,52 @@
+import { isEUMemberState } from './memberStates.js';
+
+/**
+ * Special territories of member states that are outside the EU VAT area
+ *
+ * Supplies to these territories are not EU supplies for IOSS purposes. A
+ * territory is matched either by its own ISO country code (as Shopify uses
+ * for Åland, Réunion, etc.) or by the member state code plus postal prefix.
+ */
+export const SPECIAL_TERRITORIES = [
+  { id: 'canary-islands', name: 'Canary Islands', memberState: 'ES', countryCodes: ['IC'], postalPrefixes: ['35', '38'] },
+  { id: 'ceuta', name: 'Ceuta', memberState: 'ES', countryCodes: ['EA'], postalPrefixes: ['51'] },
+  { id: 'melilla', name: 'Melilla', memberState: 'ES', countryCodes: [], postalPrefixes: ['52'] },
+  { id: 'aland', name: 'Åland Islands', memberState: 'FI', countryCodes: ['AX'], postalPrefixes: ['22'] },
+  { id: 'mount-athos', name: 'Mount Athos', memberState: 'GR', countryCodes: [], postalPrefixes: ['63086', '63087'] },
+  { id: 'busingen', name: 'Büsingen am Hochrhein', memberState: 'DE', countryCodes: [], postalPrefixes: ['78266'] },
+  { id: 'heligoland', name: 'Heligoland', memberState: 'DE', countryCodes: [], postalPrefixes: ['27498'] },
+  { id: 'livigno', name: 'Livigno', memberState: 'IT', countryCodes: [], postalPrefixes: ['23041'] },
+  { id: 'campione', name: "Campione d'Italia", memberState: 'IT', countryCodes: [], postalPrefixes: ['22061'] },
+  { id: 'guadeloupe', name: 'Guadeloupe', memberState: 'FR', countryCodes: ['GP'], postalPrefixes: ['971'] },
+  { id: 'martinique', name: 'Martinique', memberState: 'FR', countryCodes: ['MQ'], postalPrefixes: ['972'] },
+  { id: 'french-guiana', name: 'French Guiana', memberState: 'FR', countryCodes: ['GF'], postalPrefixes: ['973'] },
+  { id: 'reunion', name: 'Réunion', memberState: 'FR', countryCodes: ['RE'], postalPrefixes: ['974'] },
+  { id: 'mayotte', name: 'Mayotte', memberState: 'FR', countryCodes: ['YT'], postalPrefixes: ['976'] },
+  { id: 'saint-martin', name: 'Saint-Martin', memberState: 'FR', countryCodes: ['MF'], postalPrefixes: ['97150'] }
+];
+
+/**
+ * Find the special territory an address belongs to
+ * @param {string} countryCode - Two-letter country code
+ * @param {string} [postalCode] - Postal code of the destination
+ * @returns {Object|null} Territory entry or null
+ */
+export const getSpecialTerritory = (countryCode, postalCode) => {
+  const code = countryCode?.toUpperCase();
+  const zip = postalCode?.toString().replace(/\s/g, '');
+
+  return SPECIAL_TERRITORIES.find(territory =>
+    territory.countryCodes.includes(code) ||
+    (territory.memberState === code && zip && territory.postalPrefixes.some(prefix => zip.startsWith(prefix)))
+  ) || null;
+};
+
+/**
+ * Check whether a destination is inside the EU VAT area
+ * @param {string} countryCode - Two-letter country code
+ * @param {string} [postalCode] - Postal code of the destination
+ * @param {Date|string} [date] - Date of supply (defaults to today)
+ * @returns {boolean} True for member states excluding special territories
+ */
+export const isInEUVatArea = (countryCode, postalCode, date = new Date()) =>
+  isEUMemberState(countryCode, date) && !getSpecialTerritory(countryCode, postalCode);
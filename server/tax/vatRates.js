@@ -0,0 +1,104 @@
+import { toDateKey, isInForce } from './memberStates.js';
+
+/**
+ * VAT rates per member state with effective dates
+ *
+ * Each country holds a list of rate periods (effectiveTo inclusive, null =
+ * still in force). Rates are percentages; `reduced` lists the reduced rates
+ * from highest to lowest and `superReduced` is null where none applies.
+ * `categories` maps tax categories (see categories.js) to the rate they take
+ * in that period; categories not listed take the standard rate.
+ */
+export const VAT_RATES = {
+  AT: [{ effectiveFrom: '2016-01-01', effectiveTo: null, standard: 20, reduced: [13, 10], superReduced: null, categories: { books: 10 } }],
+  BE: [{ effectiveFrom: '1996-01-01', effectiveTo: null, standard: 21, reduced: [12, 6], superReduced: null, categories: { books: 6, hygiene_products: 6 } }],
+  BG: [{ effectiveFrom: '2007-01-01', effectiveTo: null, standard: 20, reduced: [9], superReduced: null, categories: { books: 9 } }],
+  HR: [{ effectiveFrom: '2013-07-01', effectiveTo: null, standard: 25, reduced: [13, 5], superReduced: null, categories: { books: 5 } }],
+  CY: [{ effectiveFrom: '2014-01-13', effectiveTo: null, standard: 19, reduced: [9, 5], superReduced: null, categories: { books: 5 } }],
+  CZ: [
+    { effectiveFrom: '2020-05-01', effectiveTo: '2023-12-31', standard: 21, reduced: [15, 10], superReduced: null, categories: { books: 0 } },
+    { effectiveFrom: '2024-01-01', effectiveTo: null, standard: 21, reduced: [12], superReduced: null, categories: { books: 0 } }
+  ],
+  DK: [{ effectiveFrom: '1992-01-01', effectiveTo: null, standard: 25, reduced: [], superReduced: null, categories: {} }],
+  EE: [
+    { effectiveFrom: '2009-07-01', effectiveTo: '2023-12-31', standard: 20, reduced: [9], superReduced: null, categories: { books: 9 } },
+    { effectiveFrom: '2024-01-01', effectiveTo: '2025-06-30', standard: 22, reduced: [9], superReduced: null, categories: { books: 9 } },
+    { effectiveFrom: '2025-07-01', effectiveTo: null, standard: 24, reduced: [13, 9], superReduced: null, categories: { books: 9 } }
+  ],
+  FI: [
+    { effectiveFrom: '2013-01-01', effectiveTo: '2024-08-31', standard: 24, reduced: [14, 10], superReduced: null, categories: { books: 10 } },
+    { effectiveFrom: '2024-09-01', effectiveTo: '2024-12-31', standard: 25.5, reduced: [14, 10], superReduced: null, categories: { books: 10 } },
+    { effectiveFrom: '2025-01-01', effectiveTo: null, standard: 25.5, reduced: [14, 10], superReduced: null, categories: { books: 14 } }
+  ],
+  FR: [{ effectiveFrom: '2014-01-01', effectiveTo: null, standard: 20, reduced: [10, 5.5], superReduced: 2.1, categories: { books: 5.5, hygiene_products: 5.5 } }],
+  DE: [{ effectiveFrom: '2021-01-01', effectiveTo: null, standard: 19, reduced: [7], superReduced: null, categories: { books: 7, hygiene_products: 7 } }],
+  GR: [{ effectiveFrom: '2016-06-01', effectiveTo: null, standard: 24, reduced: [13, 6], superReduced: null, categories: { books: 6 } }],
+  HU: [{ effectiveFrom: '2012-01-01', effectiveTo: null, standard: 27, reduced: [18, 5], superReduced: null, categories: { books: 5 } }],
+  IE: [{ effectiveFrom: '2021-03-01', effectiveTo: null, standard: 23, reduced: [13.5, 9], superReduced: 4.8, categories: { books: 0, childrens_clothing: 0, hygiene_products: 0 } }],
+  IT: [{ effectiveFrom: '2013-10-01', effectiveTo: null, standard: 22, reduced: [10, 5], superReduced: 4, categories: { books: 4 } }],
+  LV: [{ effectiveFrom: '2011-01-01', effectiveTo: null, standard: 21, reduced: [12, 5], superReduced: null, categories: { books: 12 } }],
+  LT: [{ effectiveFrom: '2009-09-01', effectiveTo: null, standard: 21, reduced: [9, 5], superReduced: null, categories: { books: 9 } }],
+  LU: [
+    { effectiveFrom: '2015-01-01', effectiveTo: '2022-12-31', standard: 17, reduced: [14, 8], superReduced: 3, categories: { books: 3 } },
+    // Temporary 1-point cut for 2023
+    { effectiveFrom: '2023-01-01', effectiveTo: '2023-12-31', standard: 16, reduced: [13, 7], superReduced: 3, categories: { books: 3 } },
+    { effectiveFrom: '2024-01-01', effectiveTo: null, standard: 17, reduced: [14, 8], superReduced: 3, categories: { books: 3 } }
+  ],
+  MT: [{ effectiveFrom: '2004-01-01', effectiveTo: null, standard: 18, reduced: [7, 5], superReduced: null, categories: { books: 5 } }],
+  NL: [{ effectiveFrom: '2019-01-01', effectiveTo: null, standard: 21, reduced: [9], superReduced: null, categories: { books: 9, hygiene_products: 9 } }],
+  PL: [{ effectiveFrom: '2011-01-01', effectiveTo: null, standard: 23, reduced: [8, 5], superReduced: null, categories: { books: 5, hygiene_products: 5 } }],
+  PT: [{ effectiveFrom: '2011-01-01', effectiveTo: null, standard: 23, reduced: [13, 6], superReduced: null, categories: { books: 6, hygiene_products: 6 } }],
+  RO: [
+    { effectiveFrom: '2017-01-01', effectiveTo: '2025-07-31', standard: 19, reduced: [9, 5], superReduced: null, categories: { books: 5 } },
+    { effectiveFrom: '2025-08-01', effectiveTo: null, standard: 21, reduced: [11], superReduced: null, categories: { books: 11 } }
+  ],
+  SK: [
+    { effectiveFrom: '2011-01-01', effectiveTo: '2024-12-31', standard: 20, reduced: [10, 5], superReduced: null, categories: { books: 10 } },
+    { effectiveFrom: '2025-01-01', effectiveTo: null, standard: 23, reduced: [19, 5], superReduced: null, categories: { books: 5 } }
+  ],
+  SI: [{ effectiveFrom: '2013-07-01', effectiveTo: null, standard: 22, reduced: [9.5, 5], superReduced: null, categories: { books: 5 } }],
+  ES: [{ effectiveFrom: '2012-09-01', effectiveTo: null, standard: 21, reduced: [10], superReduced: 4, categories: { books: 4, hygiene_products: 4 } }],
+  SE: [{ effectiveFrom: '1990-07-01', effectiveTo: null, standard: 25, reduced: [12, 6], superReduced: null, categories: { books: 6 } }]
+};
+
+/**
+ * Get the VAT rates in force for a member state on a date
+ * @param {string} countryCode - Two-letter member state code
+ * @param {Date|string} date - Date of supply (defaults to today)
+ * @returns {Object} Rate period { effectiveFrom, effectiveTo, standard, reduced, superReduced, categories }
+ * @throws {Error} When no rate is known for the country and date
+ */
+export const getVatRates = (countryCode, date = new Date()) => {
+  const code = countryCode?.toUpperCase();
+  const dateKey = toDateKey(date);
+  const period = VAT_RATES[code]?.find(entry => isInForce(entry, dateKey));
+
+  if (!period) {
+    throw new Error(`No VAT rate known for ${code} on ${dateKey}`);
+  }
+
+  return period;
+};
+
+/**
+ * Get the standard VAT rate for a member state on a date
+ * @param {string} countryCode - Two-letter member state code
+ * @param {Date|string} date - Date of supply (defaults to today)
+ * @returns {number} Standard VAT rate as percentage
+ */
+export const getStandardRate = (countryCode, date = new Date()) => getVatRates(countryCode, date).standard;
+
+/**
+ * Get the rates in force for every member state on a date
+ * @param {Date|string} date - Reference date (defaults to today)
+ * @returns {Object} Rate periods keyed by country code
+ */
+export const getRateTable = (date = new Date()) => {
+  const dateKey = toDateKey(date);
+
+  return Object.fromEntries(
+    Object.entries(VAT_RATES)
+      .map(([code, periods]) => [code, periods.find(entry => isInForce(entry, dateKey))])
+      .filter(([, period]) => period)
+  );
+};
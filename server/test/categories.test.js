@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TAX_CATEGORY, getCategoryRate, isTaxCategory, resolveTaxCategory } from '../tax/categories.js';
+
+describe('resolveTaxCategory', () => {
+  test('a manual override wins over tags and product type', () => {
+    assert.equal(resolveTaxCategory({ override: 'standard', productTags: ['vat:books'], productType: 'Book' }), 'standard');
+  });
+
+  test('a vat: product tag wins over the product type', () => {
+    assert.equal(resolveTaxCategory({ productTags: [' VAT:Hygiene_Products '], productType: 'Book' }), 'hygiene_products');
+  });
+
+  test('the product type maps to a category', () => {
+    assert.equal(resolveTaxCategory({ productType: 'Paperback' }), 'books');
+    assert.equal(resolveTaxCategory({ productType: 'Kids Shoes' }), 'childrens_clothing');
+  });
+
+  test('unknown overrides and tags fall through to the shop default', () => {
+    assert.equal(resolveTaxCategory({ override: 'food', productTags: ['vat:food'], productType: 'Mug' }, 'books'), 'books');
+    assert.equal(resolveTaxCategory({}, 'not-a-category'), DEFAULT_TAX_CATEGORY);
+    assert.equal(resolveTaxCategory(), DEFAULT_TAX_CATEGORY);
+  });
+
+  test('isTaxCategory does not accept inherited object keys', () => {
+    assert.equal(isTaxCategory('books'), true);
+    assert.equal(isTaxCategory('toString'), false);
+  });
+});
+
+describe('getCategoryRate', () => {
+  test('reduced categories take the member state reduced rate', () => {
+    assert.deepEqual(getCategoryRate('DE', 'books', '2025-03-01'), { rate: 7, rateType: 'REDUCED' });
+    assert.deepEqual(getCategoryRate('IE', 'childrens_clothing', '2025-03-01'), { rate: 0, rateType: 'REDUCED' });
+  });
+
+  test('categories without a reduced rate in the member state take the standard rate', () => {
+    assert.deepEqual(getCategoryRate('DK', 'books', '2025-03-01'), { rate: 25, rateType: 'STANDARD' });
+    assert.deepEqual(getCategoryRate('DE', undefined, '2025-03-01'), { rate: 19, rateType: 'STANDARD' });
+  });
+
+  test('uses the category rate in force on the date of supply', () => {
+    assert.equal(getCategoryRate('FI', 'books', '2024-12-31').rate, 10);
+    assert.equal(getCategoryRate('FI', 'books', '2025-01-01').rate, 14);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../models/Lead.js';
+import IossReturn from '../models/IossReturn.js';
+import { getDueReminderOffset, getOwedPeriods, getShopDeadlineStatus } from '../services/deadlineScheduler.js';
+import { parsePeriod } from '../tax/periods.js';
+
+const OFFSETS = [14, 7, 3, 1];
+
+describe('getDueReminderOffset', () => {
+  test('nothing is sent before the first offset is reached', () => {
+    assert.equal(getDueReminderOffset(20, [], OFFSETS), null);
+  });
+
+  test('sends the closest offset reached', () => {
+    assert.equal(getDueReminderOffset(14, [], OFFSETS), 14);
+    assert.equal(getDueReminderOffset(5, [14], OFFSETS), 7);
+    assert.equal(getDueReminderOffset(0, [14, 7, 3], OFFSETS), 1);
+  });
+
+  test('skips offsets passed since the last run and never repeats one', () => {
+    assert.equal(getDueReminderOffset(2, [], OFFSETS), 3);
+    assert.equal(getDueReminderOffset(2, [3], OFFSETS), null);
+    assert.equal(getDueReminderOffset(6, [3], OFFSETS), null);
+  });
+
+  test('overdue returns are reminded once a week', () => {
+    assert.equal(getDueReminderOffset(-1, [14, 7, 3, 1], OFFSETS), -1);
+    assert.equal(getDueReminderOffset(-7, [-1], OFFSETS), null);
+    assert.equal(getDueReminderOffset(-8, [-1], OFFSETS), -8);
+    assert.equal(getDueReminderOffset(-20, [-1], OFFSETS), -15);
+  });
+});
+
+describe('getOwedPeriods', () => {
+  const lastClosed = parsePeriod('2025-06');
+
+  test('shops without registered numbers owe the last closed period', () => {
+    assert.deepEqual(getOwedPeriods([], lastClosed).map(period => period.key), ['2025-06']);
+  });
+
+  test('covers every month a number was valid, oldest first', () => {
+    const registry = [
+      { number: 'IM2760000001', type: 'IOSS', validFrom: new Date('2025-02-10'), validTo: new Date('2025-03-31') },
+      { number: 'IM2760000002', type: 'IOSS', validFrom: new Date('2025-05-01'), validTo: null }
+    ];
+    assert.deepEqual(getOwedPeriods(registry, lastClosed).map(period => period.key), ['2025-02', '2025-03', '2025-05', '2025-06']);
+  });
+
+  test('starts with the month the shop started using the app', () => {
+    const registry = [{ number: 'IM2760000001', type: 'IOSS', validFrom: new Date('2023-01-01'), validTo: null }];
+    assert.deepEqual(getOwedPeriods(registry, lastClosed, new Date('2025-05-20')).map(period => period.key), ['2025-05', '2025-06']);
+  });
+});
+
+describe('getShopDeadlineStatus', () => {
+  let stored;
+  let lead;
+
+  beforeEach(() => {
+    lead = {
+      iossNumbers: [{ number: 'IM2760000001', type: 'IOSS', validFrom: new Date('2025-04-01'), validTo: null }],
+      shopifyInstalledAt: new Date('2025-03-10'),
+      createdAt: new Date('2025-03-01')
+    };
+    Lead.findById = () => ({ select: async () => lead });
+    IossReturn.find = () => ({ select: async () => stored });
+  });
+
+  test('reports the oldest unfiled period, overdue', async () => {
+    stored = [{ period: '2025-04', status: 'filed' }, { period: '2025-05', status: 'draft' }];
+    const status = await getShopDeadlineStatus('shop', new Date('2025-07-10T08:00:00Z'));
+
+    assert.equal(status.period, '2025-05');
+    assert.equal(status.dueDate, '2025-06-30');
+    assert.equal(status.daysLeft, -10);
+    assert.equal(status.overdue, true);
+    assert.equal(status.returnStatus, 'draft');
+    assert.deepEqual(status.unfiledPeriods, ['2025-05', '2025-06']);
+  });
+
+  test('a registration predating the install leaves no early months overdue', async () => {
+    lead.iossNumbers[0].validFrom = new Date('2022-01-01');
+    lead.shopifyInstalledAt = new Date('2025-06-03');
+    stored = [];
+    const status = await getShopDeadlineStatus('shop', new Date('2025-07-10T08:00:00Z'));
+
+    assert.equal(status.period, '2025-06');
+    assert.equal(status.overdue, false);
+    assert.deepEqual(status.unfiledPeriods, ['2025-06']);
+  });
+
+  test('shops connected before installs were recorded count from their sign-up', async () => {
+    lead.iossNumbers[0].validFrom = new Date('2022-01-01');
+    delete lead.shopifyInstalledAt;
+    stored = [];
+    const status = await getShopDeadlineStatus('shop', new Date('2025-07-10T08:00:00Z'));
+
+    assert.deepEqual(status.unfiledPeriods, ['2025-03', '2025-04', '2025-05', '2025-06']);
+  });
+
+  test('reports the last closed period once everything is filed', async () => {
+    stored = ['2025-04', '2025-05', '2025-06'].map(period => ({ period, status: 'filed' }));
+    const status = await getShopDeadlineStatus('shop', new Date('2025-07-10T08:00:00Z'));
+
+    assert.equal(status.period, '2025-06');
+    assert.equal(status.daysLeft, 21);
+    assert.equal(status.overdue, false);
+    assert.equal(status.filed, true);
+  });
+});
@@ -0,0 +1,129 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertToEur,
+  createStubRateProvider,
+  formatEcbCsv,
+  getIOSSConversionDate,
+  getRateForSupply,
+  parseEcbCsv,
+  parseEcbDataCsv,
+  setRateProvider
+} from '../services/exchangeRates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const RATES = {
+  '2025-04-30': { USD: 1.1373, GBP: 0.8511 },
+  // 31 May 2025 was a Saturday: the next publication is Monday 2 June
+  '2025-06-02': { USD: 1.1357, GBP: 0.8429 },
+  '2025-06-20': { USD: 1.1500 },
+  '2025-12-31': { USD: 1.1750, GBP: 0.8730 }
+};
+
+describe('getRateForSupply', () => {
+  beforeEach(() => setRateProvider(createStubRateProvider(RATES)));
+
+  test('EUR needs no rate', async () => {
+    assert.deepEqual(await getRateForSupply('eur', '2025-05-10'), { rate: 1, rateDate: null, source: 'EUR', provisional: false });
+  });
+
+  test('uses the rate for the last day of the period', async () => {
+    const rate = await getRateForSupply('USD', '2025-04-15T10:00:00Z');
+    assert.equal(rate.rate, 1.1373);
+    assert.equal(toDateKey(rate.rateDate), '2025-04-30');
+    assert.equal(rate.provisional, false);
+    assert.equal(rate.source, 'stub');
+  });
+
+  test('uses the next publication when the period ends on a closing day', async () => {
+    const rate = await getRateForSupply('GBP', '2025-05-20');
+    assert.equal(rate.rate, 0.8429);
+    assert.equal(toDateKey(rate.rateDate), '2025-06-02');
+    assert.equal(rate.provisional, false);
+  });
+
+  test('does not take a publication long after the period end', async () => {
+    assert.equal(await getRateForSupply('USD', '2023-06-15'), null);
+    assert.equal(await getRateForSupply('GBP', '2025-10-10'), null);
+  });
+
+  test('does not take a stale rate for a later period', async () => {
+    assert.equal(await getRateForSupply('USD', '2026-02-10'), null);
+  });
+
+  test('falls back to a recent rate within the period as provisional', async () => {
+    // Closed period whose month-end rate is missing from the table
+    const rate = await getRateForSupply('USD', '2025-06-18');
+    assert.equal(rate.rate, 1.15);
+    assert.equal(toDateKey(rate.rateDate), '2025-06-20');
+    assert.equal(rate.provisional, true);
+  });
+
+  test('flags the latest rate as provisional while the period is open', async () => {
+    const yesterday = new Date(Date.now() - DAY_MS);
+    setRateProvider(createStubRateProvider({ [toDateKey(yesterday)]: { USD: 1.2 } }));
+
+    const rate = await getRateForSupply('USD', new Date());
+    assert.equal(rate.rate, 1.2);
+    assert.equal(rate.provisional, true);
+  });
+
+  test('returns null for a currency the ECB does not quote', async () => {
+    assert.equal(await getRateForSupply('JPY', '2025-04-15'), null);
+  });
+});
+
+describe('convertToEur', () => {
+  beforeEach(() => setRateProvider(createStubRateProvider(RATES)));
+
+  test('converts at the rate for the period and rounds to cents', async () => {
+    const conversion = await convertToEur(100, 'USD', '2025-04-02');
+    assert.equal(conversion.amountEur, 87.93);
+    assert.equal(conversion.rate, 1.1373);
+    assert.equal(conversion.provisional, false);
+  });
+
+  test('throws when no rate is available', async () => {
+    await assert.rejects(() => convertToEur(100, 'JPY', '2025-04-02'), /No ECB reference rate available for JPY/);
+  });
+});
+
+describe('getIOSSConversionDate', () => {
+  test('is the last day of the calendar month (UTC)', () => {
+    assert.equal(toDateKey(getIOSSConversionDate('2024-02-10T23:30:00Z')), '2024-02-29');
+    assert.equal(toDateKey(getIOSSConversionDate('2025-12-01')), '2025-12-31');
+  });
+});
+
+describe('ECB file formats', () => {
+  test('parses the eurofxref-hist layout, skipping comments and N/A cells', () => {
+    const rates = parseEcbCsv('# comment\nDate,USD,JPY,\n2025-12-31,1.1750,N/A,\n2025-12-30,1.1720,183.5,\n');
+    assert.deepEqual(rates, {
+      '2025-12-31': { USD: 1.175 },
+      '2025-12-30': { USD: 1.172, JPY: 183.5 }
+    });
+  });
+
+  test('parses an ECB Data Portal export', () => {
+    const rates = parseEcbDataCsv([
+      'KEY,FREQ,CURRENCY,CURRENCY_DENOM,EXR_TYPE,EXR_SUFFIX,TIME_PERIOD,OBS_VALUE',
+      'EXR.D.USD.EUR.SP00.A,D,USD,EUR,SP00,A,2025-12-31,1.175',
+      'EXR.D.GBP.EUR.SP00.A,D,GBP,EUR,SP00,A,2025-12-31,0.873',
+      'EXR.D.GBP.EUR.SP00.A,D,GBP,EUR,SP00,A,2025-12-30,'
+    ].join('\n'));
+    assert.deepEqual(rates, { '2025-12-31': { USD: 1.175, GBP: 0.873 } });
+  });
+
+  test('rejects files that are not ECB data exports', () => {
+    assert.throws(() => parseEcbDataCsv('Date,USD\n2025-12-31,1.17'), /Not an ECB data export/);
+  });
+
+  test('writes the eurofxref-hist layout back in a readable form', () => {
+    const rates = { '2025-12-30': { USD: 1.172, JPY: 183.5 }, '2025-12-31': { USD: 1.175 } };
+    const content = formatEcbCsv(rates);
+    assert.equal(content, 'Date,JPY,USD\n2025-12-31,N/A,1.175\n2025-12-30,183.5,1.172\n');
+    assert.deepEqual(parseEcbCsv(content), rates);
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../models/Lead.js';
+import { addIossNumber, updateIossNumber } from '../controllers/iossNumberController.js';
+
+const LEAD_ID = '665f1c2e8d4b2a0012345678';
+const NUMBER_ID = '665f1c2e8d4b2a0012345679';
+
+// Response recording the status and body sent
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('IOSS number registry', () => {
+  let lead;
+
+  beforeEach(() => {
+    lead = Lead.hydrate({
+      _id: LEAD_ID,
+      email: 'shop@example.de',
+      riskLevel: 'unknown',
+      iossNumbers: [{ _id: NUMBER_ID, number: 'IM2760000001', validFrom: new Date('2025-01-01'), validTo: new Date('2025-03-31') }]
+    });
+    // Saving validates as it would against the database
+    lead.save = function() {
+      return this.validate();
+    };
+    Lead.findById = async () => lead;
+  });
+
+  const update = async (body) => {
+    const res = mockResponse();
+    await updateIossNumber({ params: { numberId: NUMBER_ID }, body: { leadId: LEAD_ID, ...body }, query: {} }, res);
+    return res;
+  };
+
+  test('checks a new start date against the stored end date', async () => {
+    const res = await update({ validFrom: '2025-06-01' });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Invalid validity dates', message: 'validTo cannot be before validFrom' });
+    assert.equal(lead.iossNumbers[0].validFrom.toISOString(), '2025-01-01T00:00:00.000Z');
+  });
+
+  test('checks a new end date against the stored start date', async () => {
+    const res = await update({ validTo: '2024-12-31' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid validity dates');
+  });
+
+  test('accepts dates that move together, and reopening the number', async () => {
+    assert.equal((await update({ validFrom: '2025-06-01', validTo: '2025-09-30' })).statusCode, 200);
+    const res = await update({ validTo: null });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.validTo, null);
+  });
+
+  test('reports dates that are not dates as such', async () => {
+    const res = await update({ validFrom: 'soon' });
+    assert.deepEqual(res.body, { error: 'Invalid validity dates', message: 'validFrom is not a valid date: soon' });
+  });
+
+  test('reports malformed numbers as invalid IOSS numbers', async () => {
+    const res = mockResponse();
+    await addIossNumber({ body: { leadId: LEAD_ID, number: 'IM27600001', validFrom: '2025-04-01' }, query: {} }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid IOSS number');
+    assert.match(res.body.message, /IM or IN \+ 3-digit member state code/);
+  });
+});
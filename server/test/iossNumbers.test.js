@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIossNumbersForPeriod, isValidIossNumber, normalizeIossNumber, parseIossNumber } from '../tax/iossNumbers.js';
+import { parsePeriod } from '../tax/periods.js';
+
+describe('parseIossNumber', () => {
+  test('reads the type and member state of identification', () => {
+    assert.deepEqual(parseIossNumber('IM2760000001'), {
+      number: 'IM2760000001',
+      type: 'IOSS',
+      numericCode: '276',
+      memberState: 'DE'
+    });
+    assert.equal(parseIossNumber('IN3720001234').type, 'INTERMEDIARY');
+    assert.equal(parseIossNumber('IN3720001234').memberState, 'IE');
+  });
+
+  test('accepts numbers entered with spaces or in lower case', () => {
+    assert.equal(normalizeIossNumber(' im 276 0000001 '), 'IM2760000001');
+    assert.equal(parseIossNumber('im 276 0000001').number, 'IM2760000001');
+  });
+
+  test('rejects malformed numbers', () => {
+    ['IM276000001', 'IM27600000012', 'IX2760000001', 'EU2760000001', '', null, undefined].forEach(value =>
+      assert.equal(isValidIossNumber(value), false, String(value)));
+  });
+
+  test('rejects codes of countries that do not issue IOSS numbers', () => {
+    // 840 is the United States, 826 the United Kingdom (left the EU VAT area)
+    assert.equal(parseIossNumber('IM8400000001'), null);
+    assert.equal(parseIossNumber('IM8260000001'), null);
+  });
+});
+
+describe('getIossNumbersForPeriod', () => {
+  const registry = [
+    { number: 'IM2760000001', type: 'IOSS', validFrom: '2024-01-01', validTo: '2025-03-15' },
+    { number: 'IM2760000002', type: 'IOSS', validFrom: '2025-03-16', validTo: null },
+    { number: 'IN3720001234', type: 'INTERMEDIARY', validFrom: '2025-01-01', validTo: '2025-01-31' }
+  ];
+
+  test('picks the numbers valid in the period', () => {
+    assert.deepEqual(getIossNumbersForPeriod(registry, parsePeriod('2025-01')), {
+      iossNumber: 'IM2760000001',
+      intermediaryNumber: 'IN3720001234'
+    });
+    assert.equal(getIossNumbersForPeriod(registry, parsePeriod('2025-06')).iossNumber, 'IM2760000002');
+  });
+
+  test('the number registered last wins when several overlap the period', () => {
+    assert.equal(getIossNumbersForPeriod(registry, parsePeriod('2025-03')).iossNumber, 'IM2760000002');
+  });
+
+  test('returns no numbers for periods before the registration', () => {
+    assert.deepEqual(getIossNumbersForPeriod(registry, parsePeriod('2023-12')), {
+      iossNumber: undefined,
+      intermediaryNumber: undefined
+    });
+    assert.deepEqual(getIossNumbersForPeriod(undefined, parsePeriod('2025-01')), {
+      iossNumber: undefined,
+      intermediaryNumber: undefined
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyOrder, getIOSSRules } from '../tax/iossRules.js';
+
+describe('getIOSSRules', () => {
+  test('picks the rule set in force on the date of supply', () => {
+    assert.equal(getIOSSRules('2021-06-30').version, 'LVCR-2020');
+    assert.equal(getIOSSRules('2021-07-01').version, 'EU-ECOM-2021');
+    assert.equal(getIOSSRules('2019-03-15T12:00:00Z').version, 'LVCR-2020');
+  });
+
+  test('defaults to the rules in force today', () => {
+    assert.equal(getIOSSRules().version, 'EU-ECOM-2021');
+  });
+});
+
+describe('classifyOrder', () => {
+  const classify = (overrides) => classifyOrder({
+    destinationCountry: 'DE',
+    intrinsicValueEur: 50,
+    supplyDate: '2025-03-10',
+    ...overrides
+  });
+
+  test('an import to a member state up to €150 is an IOSS supply', () => {
+    assert.deepEqual(classify(), {
+      ruleVersion: 'EU-ECOM-2021',
+      euDestination: true,
+      iossEligible: true,
+      vatRequired: true,
+      lowValueExempt: false
+    });
+  });
+
+  test('consignments under €22 are IOSS supplies since July 2021', () => {
+    const result = classify({ intrinsicValueEur: 10 });
+    assert.equal(result.iossEligible, true);
+    assert.equal(result.lowValueExempt, false);
+  });
+
+  test('€150 is included, anything above is not', () => {
+    assert.equal(classify({ intrinsicValueEur: 150 }).iossEligible, true);
+
+    const above = classify({ intrinsicValueEur: 150.01 });
+    assert.equal(above.iossEligible, false);
+    assert.equal(above.vatRequired, true);
+  });
+
+  test('before July 2021 consignments under €22 were exempt and IOSS did not exist', () => {
+    const exempt = classify({ intrinsicValueEur: 21.99, supplyDate: '2021-06-30' });
+    assert.equal(exempt.ruleVersion, 'LVCR-2020');
+    assert.equal(exempt.lowValueExempt, true);
+    assert.equal(exempt.vatRequired, false);
+    assert.equal(exempt.iossEligible, false);
+
+    const taxable = classify({ intrinsicValueEur: 22, supplyDate: '2021-06-30' });
+    assert.equal(taxable.lowValueExempt, false);
+    assert.equal(taxable.vatRequired, true);
+    assert.equal(taxable.iossEligible, false);
+  });
+
+  test('destinations outside the EU VAT area are not IOSS supplies', () => {
+    assert.equal(classify({ destinationCountry: 'US' }).euDestination, false);
+    assert.equal(classify({ destinationCountry: 'CH' }).iossEligible, false);
+    // Canary Islands, by postal code and by Shopify's own country code
+    assert.equal(classify({ destinationCountry: 'ES', destinationPostalCode: '35001' }).euDestination, false);
+    assert.equal(classify({ destinationCountry: 'IC' }).euDestination, false);
+    assert.equal(classify({ destinationCountry: 'ES', destinationPostalCode: '28001' }).iossEligible, true);
+  });
+
+  test('goods dispatched from inside the EU are not imports', () => {
+    assert.equal(classify({ originCountry: 'FR' }).iossEligible, false);
+    assert.equal(classify({ originCountry: 'CN' }).iossEligible, true);
+  });
+
+  test('orders without a EUR value cannot be classified as IOSS supplies', () => {
+    const result = classify({ intrinsicValueEur: null });
+    assert.equal(result.euDestination, true);
+    assert.equal(result.iossEligible, false);
+    assert.equal(result.vatRequired, false);
+  });
+});
@@ -0,0 +1,119 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import Order from '../models/Order.js';
+import IossReturn from '../models/IossReturn.js';
+import ReturnLedgerLine from '../models/ReturnLedgerLine.js';
+import { buildLedgerRows, ledgerRowsFromSnapshot, streamReturnOrders, writeLedgerSnapshot } from '../controllers/reportController.js';
+import { transformShopifyOrder } from '../services/syncService.js';
+import { createStubRateProvider, setRateProvider } from '../services/exchangeRates.js';
+
+const SHOP_ID = '665f1c2e8d4b2a0012345678';
+
+async function* iterate(items) {
+  yield* items;
+}
+
+// Orders as stored by the sync, differing in ID, number and date
+const buildOrders = async (count) => {
+  const fixture = JSON.parse(await readFile(new URL('./fixtures/shopify/order.rest.json', import.meta.url), 'utf8')).order;
+  const orders = [];
+
+  for (let i = 0; i < count; i++) {
+    const day = String(1 + i % 28).padStart(2, '0');
+    const fields = await transformShopifyOrder({
+      ...fixture,
+      id: 5912345678901 + i,
+      name: `#${1042 + i}`,
+      created_at: `2025-03-${day}T10:21:07Z`
+    }, SHOP_ID, { products: { '8123456789012': { productType: 'Books', tags: [] } } });
+    orders.push(new Order(fields));
+  }
+
+  return orders.sort((a, b) => a.shopifyCreatedAt - b.shopifyCreatedAt);
+};
+
+describe('ledger snapshot', () => {
+  let orders;
+  let stored;
+
+  before(async () => {
+    setRateProvider(createStubRateProvider({ '2025-03-31': { USD: 1.0815 } }));
+    // More orders than fit in one batch
+    orders = await buildOrders(600);
+  });
+
+  beforeEach(() => {
+    stored = [];
+    Order.find = (filter) => {
+      if (!filter._id) {
+        return { sort: () => ({ cursor: () => iterate(orders) }) };
+      }
+      const ids = new Set(filter._id.$in.map(String));
+      return Promise.resolve(orders.filter(order => ids.has(order.id)).reverse());
+    };
+    ReturnLedgerLine.deleteMany = async ({ returnId }) => {
+      stored = stored.filter(line => !line.returnId.equals(returnId));
+    };
+    ReturnLedgerLine.insertMany = async (lines) => {
+      stored.push(...lines.map(line => new ReturnLedgerLine(line)));
+    };
+    ReturnLedgerLine.streamRows = (returnId) => iterate(stored.filter(line => line.returnId.equals(returnId)));
+  });
+
+  const draft = () => new IossReturn({ shopId: SHOP_ID, period: '2025-03', periodStart: new Date('2025-03-01'), periodEnd: new Date('2025-04-01') });
+
+  test('writes the rows of every order in batches, replacing an earlier attempt', async () => {
+    const iossReturn = draft();
+    let inserts = 0;
+    const insertMany = ReturnLedgerLine.insertMany;
+    ReturnLedgerLine.insertMany = async (lines) => {
+      inserts++;
+      assert.ok(lines.length < 600, `batch of ${lines.length} rows`);
+      return insertMany(lines);
+    };
+
+    await writeLedgerSnapshot(iossReturn);
+    const result = await writeLedgerSnapshot(iossReturn);
+
+    assert.deepEqual(result, { orderCount: 600, rowCount: 1200 });
+    assert.equal(stored.length, 1200);
+    assert.ok(inserts >= 4);
+  });
+
+  test('reads back the rows of each order as they were built', async () => {
+    const iossReturn = draft();
+    await writeLedgerSnapshot(iossReturn);
+    iossReturn.status = 'locked';
+    iossReturn.ledgerSnapshotAt = new Date();
+
+    const groups = [];
+    for await (const rows of ledgerRowsFromSnapshot(iossReturn)) {
+      groups.push(rows);
+    }
+
+    assert.equal(groups.length, 600);
+    assert.deepEqual(groups[0], buildLedgerRows([orders[0]]));
+    assert.deepEqual(groups.at(-1), buildLedgerRows([orders.at(-1)]));
+  });
+
+  test('lists the declared orders in the order they were locked', async () => {
+    const iossReturn = draft();
+    await writeLedgerSnapshot(iossReturn);
+    iossReturn.status = 'locked';
+    iossReturn.ledgerSnapshotAt = new Date();
+
+    const declared = [];
+    for await (const order of streamReturnOrders(iossReturn)) {
+      declared.push(order.shopifyOrderId);
+    }
+
+    assert.deepEqual(declared, orders.map(order => order.shopifyOrderId));
+  });
+
+  test('only drafts can be snapshotted', async () => {
+    const iossReturn = draft();
+    iossReturn.status = 'locked';
+    await assert.rejects(writeLedgerSnapshot(iossReturn), /2025-03 is locked/);
+  });
+});
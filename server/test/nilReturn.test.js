@@ -0,0 +1,82 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import Lead from '../models/Lead.js';
+import Order from '../models/Order.js';
+import IossReturn from '../models/IossReturn.js';
+import { generateUserReport } from '../controllers/reportController.js';
+
+const LEAD_ID = '665f1c2e8d4b2a0012345678';
+
+async function* iterate(items) {
+  yield* items;
+}
+
+// Response stream recording the status, headers and body sent
+const mockResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+
+  return Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    text() {
+      return Buffer.concat(chunks).toString('utf8');
+    }
+  });
+};
+
+describe('nil returns', () => {
+  beforeEach(() => {
+    Lead.findById = async () => Lead.hydrate({
+      _id: LEAD_ID,
+      email: 'shop@example.de',
+      riskLevel: 'unknown',
+      iossNumbers: [{ type: 'IOSS', number: 'IM2760000001', validFrom: new Date('2025-03-01'), validTo: new Date('2025-05-31') }]
+    });
+    IossReturn.findOne = async () => null;
+    IossReturn.find = () => ({ sort: async () => [] });
+    // No orders in any period
+    Order.find = () => ({ sort: () => ({ cursor: () => iterate([]) }) });
+    Order.countDocuments = async () => 0;
+  });
+
+  const generate = async (period) => {
+    const res = mockResponse();
+    await generateUserReport({ query: { leadId: LEAD_ID, period, format: 'xml' } }, res);
+    return res;
+  };
+
+  test('are generated for months the shop was registered', async () => {
+    const res = await generate('2025-04');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['X-Report-Type'], 'NIL');
+    assert.match(res.text(), /<NilReturn>true<\/NilReturn>/);
+  });
+
+  test('are refused for months no IOSS number was valid', async () => {
+    const res = await generate('2025-06');
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.error, 'No IOSS registration for the period');
+    assert.match(res.body.message, /June 2025/);
+    assert.deepEqual(res.headers, {});
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLastClosedPeriod, getNextFilingDeadline, getPeriodForDate, parsePeriod, resolvePeriod } from '../tax/periods.js';
+
+describe('parsePeriod', () => {
+  test('bounds a month in UTC with an exclusive end', () => {
+    const period = parsePeriod('2024-02');
+    assert.equal(period.key, '2024-02');
+    assert.equal(period.start.toISOString(), '2024-02-01T00:00:00.000Z');
+    assert.equal(period.end.toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.equal(period.lastDay, '2024-02-29');
+    assert.equal(period.label, 'February 2024');
+  });
+
+  test('the return is due by the end of the following month', () => {
+    assert.equal(parsePeriod('2025-01').dueDate, '2025-02-28');
+    assert.equal(parsePeriod('2025-12').dueDate, '2026-01-31');
+  });
+
+  test('rejects anything but YYYY-MM', () => {
+    ['2025-13', '2025-00', '2025-1', '202501', '', null, undefined].forEach(value =>
+      assert.equal(parsePeriod(value), null, String(value)));
+    assert.equal(parsePeriod(' 2025-03 ').key, '2025-03');
+  });
+});
+
+describe('getPeriodForDate and getLastClosedPeriod', () => {
+  test('use the UTC month of the date', () => {
+    assert.equal(getPeriodForDate('2025-03-31T23:30:00Z').key, '2025-03');
+    assert.equal(getPeriodForDate('2025-04-01T00:00:00Z').key, '2025-04');
+  });
+
+  test('the last closed period is the month before', () => {
+    assert.equal(getLastClosedPeriod('2025-01-15').key, '2024-12');
+    assert.equal(getLastClosedPeriod('2025-03-01T00:00:00Z').key, '2025-02');
+  });
+
+  test('resolvePeriod defaults to the last closed period', () => {
+    assert.equal(resolvePeriod().key, getLastClosedPeriod().key);
+    assert.equal(resolvePeriod('2025-06').key, '2025-06');
+    assert.equal(resolvePeriod('June'), null);
+  });
+});
+
+describe('getNextFilingDeadline', () => {
+  test('the last closed period is due at the end of the current month', () => {
+    const deadline = getNextFilingDeadline('2025-02-10T15:00:00Z');
+    assert.equal(deadline.period.key, '2025-01');
+    assert.equal(deadline.dueDate, '2025-02-28');
+    assert.equal(deadline.daysLeft, 18);
+  });
+
+  test('on the due date no days are left', () => {
+    assert.equal(getNextFilingDeadline('2025-02-28').daysLeft, 0);
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRateChange, normalizeRateChange, parseRateChanges, readRateChangesFile } from '../tax/rateChanges.js';
+import { VAT_RATES } from '../tax/vatRates.js';
+
+describe('parseRateChanges', () => {
+  test('reads the CSV layout, one column per tax category', () => {
+    const changes = parseRateChanges([
+      '# comment',
+      'country,effectiveFrom,standard,reduced,superReduced,books',
+      'ee,2025-07-01,24,9;13,,9',
+      'FR,2026-01-01,,,-,'
+    ].join('\n'), 'csv');
+
+    assert.deepEqual(changes, [
+      { country: 'EE', effectiveFrom: '2025-07-01', standard: 24, reduced: [13, 9], categories: { books: 9 } },
+      { country: 'FR', effectiveFrom: '2026-01-01', superReduced: null }
+    ]);
+  });
+
+  test('reads a JSON array or { changes }', () => {
+    const change = { country: 'DE', effectiveFrom: '2026-01-01', standard: 20 };
+    assert.deepEqual(parseRateChanges(JSON.stringify([change]), 'json'), [change]);
+    assert.deepEqual(parseRateChanges(JSON.stringify({ changes: [change] }), 'json'), [change]);
+    assert.throws(() => parseRateChanges('{}', 'json'), /must be an array/);
+  });
+
+  test('rejects unsupported formats', () => {
+    assert.throws(() => parseRateChanges('', 'xml'), /Unsupported rate file format: xml/);
+  });
+});
+
+describe('normalizeRateChange', () => {
+  test('rejects unknown member states, bad dates and bad rates', () => {
+    assert.throws(() => normalizeRateChange({ country: 'US', effectiveFrom: '2026-01-01', standard: 10 }), /unknown member state "US"/);
+    assert.throws(() => normalizeRateChange({ country: 'DE', effectiveFrom: '01/01/2026', standard: 10 }), /YYYY-MM-DD/);
+    assert.throws(() => normalizeRateChange({ country: 'DE', effectiveFrom: '2026-01-01', standard: 120 }), /standard rate must be a percentage/);
+    assert.throws(() => normalizeRateChange({ country: 'DE', effectiveFrom: '2026-01-01', categories: { food: 7 } }), /invalid rate for category "food"/);
+  });
+
+  test('names the change in error messages', () => {
+    assert.throws(() => normalizeRateChange({ country: 'DE', effectiveFrom: '2026-01-01' }, 2), /Rate change #3: no rates given for DE/);
+  });
+});
+
+describe('applyRateChange', () => {
+  test('starts a new period and closes the one it interrupts the day before', () => {
+    const table = structuredClone(VAT_RATES);
+    const period = applyRateChange(table, { country: 'DE', effectiveFrom: '2026-01-01', standard: 20 });
+
+    assert.equal(table.DE.length, 2);
+    assert.equal(table.DE[0].effectiveTo, '2025-12-31');
+    assert.deepEqual(period, {
+      effectiveFrom: '2026-01-01',
+      effectiveTo: null,
+      standard: 20,
+      reduced: [7],
+      superReduced: null,
+      categories: { books: 7, hygiene_products: 7 }
+    });
+  });
+
+  test('corrects a period starting on the same day', () => {
+    const table = structuredClone(VAT_RATES);
+    applyRateChange(table, { country: 'EE', effectiveFrom: '2025-07-01', categories: { books: 5 } });
+
+    assert.equal(table.EE.length, 3);
+    assert.equal(table.EE[2].categories.books, 5);
+    assert.equal(table.EE[2].standard, 24);
+  });
+
+  test('a category set to null falls back to the standard rate', () => {
+    const table = structuredClone(VAT_RATES);
+    const period = applyRateChange(table, { country: 'NL', effectiveFrom: '2026-01-01', categories: { books: null } });
+    assert.deepEqual(period.categories, { hygiene_products: 9 });
+  });
+
+  test('does not change the built-in history it was not given', () => {
+    applyRateChange(structuredClone(VAT_RATES), { country: 'DE', effectiveFrom: '2026-01-01', standard: 20 });
+    assert.equal(VAT_RATES.DE.length, 1);
+  });
+
+  test('rejects changes before the known rate history', () => {
+    assert.throws(
+      () => applyRateChange(structuredClone(VAT_RATES), { country: 'DE', effectiveFrom: '2020-07-01', standard: 16 }),
+      /No rate period in force for DE on 2020-07-01/
+    );
+  });
+});
+
+describe('readRateChangesFile', () => {
+  test('returns no changes when the file does not exist', () => {
+    assert.deepEqual(readRateChangesFile('/nonexistent/vat_rate_changes.json'), []);
+  });
+});
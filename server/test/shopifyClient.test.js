@@ -0,0 +1,190 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GraphqlQueryError, HttpRequestError, HttpResponseError, HttpThrottlingError } from '@shopify/shopify-api';
+import Lead from '../models/Lead.js';
+import {
+  ShopifyApiError,
+  getCallLimitDelay,
+  getThrottleDelay,
+  parseCallLimit,
+  toShopifyApiError,
+  wrapGraphqlClient,
+  wrapRestClient
+} from '../services/shopifyClient.js';
+
+const httpError = (code, body = {}) =>
+  new HttpResponseError({ message: `Received an error response (${code})`, code, statusText: 'Error', body, headers: {} });
+
+const throttledQueryError = (cost) => new GraphqlQueryError({
+  message: 'Throttled',
+  body: { errors: { graphQLErrors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] }, extensions: { cost } }
+});
+
+describe('toShopifyApiError', () => {
+  test('classifies HTTP responses by status', () => {
+    const kinds = [[401, 'unauthorized'], [403, 'forbidden'], [404, 'not_found'], [422, 'client'], [429, 'throttled'], [500, 'server'], [503, 'server']]
+      .map(([code]) => toShopifyApiError(httpError(code), 'GET orders').kind);
+    assert.deepEqual(kinds, ['unauthorized', 'forbidden', 'not_found', 'client', 'throttled', 'server', 'server']);
+  });
+
+  test('only throttling, server and network errors are retryable', () => {
+    assert.equal(toShopifyApiError(httpError(429), 'GET orders').retryable, true);
+    assert.equal(toShopifyApiError(httpError(502), 'GET orders').retryable, true);
+    assert.equal(toShopifyApiError(new HttpRequestError('socket hang up'), 'GET orders').retryable, true);
+    assert.equal(toShopifyApiError(new TypeError('fetch failed'), 'GET orders').retryable, true);
+    assert.equal(toShopifyApiError(httpError(404), 'GET orders').retryable, false);
+    assert.equal(toShopifyApiError(httpError(401), 'GET orders').needsReconnect, true);
+  });
+
+  test('keeps the status, Retry-After and Shopify error message', () => {
+    const throttled = toShopifyApiError(new HttpThrottlingError({
+      message: 'Throttled', code: 429, statusText: 'Too Many Requests', body: { errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' }, headers: {}, retryAfter: 2
+    }), 'GET orders');
+
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.retryAfter, 2);
+    assert.equal(throttled.response.code, 429);
+    assert.match(throttled.message, /^Shopify GET orders failed \(429\): Exceeded 2 calls per second/);
+
+    const invalid = toShopifyApiError(httpError(422, { errors: { ids: ['is invalid'] } }), 'GET products');
+    assert.equal(invalid.message, 'Shopify GET products failed (422): {"ids":["is invalid"]}');
+  });
+
+  test('THROTTLED GraphQL errors wait for the cost budget to refill', () => {
+    const error = toShopifyApiError(throttledQueryError({
+      requestedQueryCost: 752,
+      throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 252, restoreRate: 100 }
+    }), 'GraphQL OrdersPage');
+
+    assert.equal(error.kind, 'throttled');
+    assert.equal(error.retryAfter, 5);
+  });
+
+  test('other GraphQL errors are not retried', () => {
+    const error = toShopifyApiError(new GraphqlQueryError({
+      message: "Field 'foo' doesn't exist on type 'Order'",
+      body: { errors: { graphQLErrors: [{ message: "Field 'foo' doesn't exist on type 'Order'" }] } }
+    }), 'GraphQL Order');
+
+    assert.equal(error.kind, 'query');
+    assert.equal(error.retryable, false);
+  });
+
+  test('leaves classified errors as they are', () => {
+    const error = new ShopifyApiError('Shopify GET orders failed (500)', { kind: 'server', status: 500 });
+    assert.equal(toShopifyApiError(error, 'GET orders'), error);
+  });
+});
+
+describe('call limits', () => {
+  test('parseCallLimit reads the REST call limit header', () => {
+    assert.deepEqual(parseCallLimit('32/40'), { used: 32, limit: 40 });
+    assert.equal(parseCallLimit(undefined), null);
+    assert.equal(parseCallLimit('32 of 40'), null);
+  });
+
+  test('REST calls pause once the bucket is 80% full', () => {
+    assert.equal(getCallLimitDelay(null), 0);
+    assert.equal(getCallLimitDelay({ used: 31, limit: 40 }), 0);
+    // Drains 12 calls back to half full at 2 calls per second
+    assert.equal(getCallLimitDelay({ used: 32, limit: 40 }), 6000);
+  });
+
+  test('GraphQL calls pause until the budget covers the requested cost', () => {
+    const throttleStatus = { maximumAvailable: 2000, currentlyAvailable: 1500, restoreRate: 100 };
+    assert.equal(getThrottleDelay({ requestedQueryCost: 100, throttleStatus }), 0);
+    assert.equal(getThrottleDelay({ requestedQueryCost: 1650, throttleStatus }), 1500);
+    assert.equal(getThrottleDelay(undefined), 0);
+  });
+});
+
+describe('retries', () => {
+  // Every test uses its own shop, so no pacing carries over between tests
+  let shopNumber = 0;
+  let session;
+
+  // REST client failing with the given errors, then answering
+  const failingRestClient = (...errors) => ({
+    calls: [],
+    async get(params) {
+      this.calls.push(params);
+      if (this.calls.length <= errors.length) {
+        throw errors[this.calls.length - 1];
+      }
+      return { body: { orders: [] }, headers: {} };
+    }
+  });
+
+  beforeEach(() => {
+    session = { shop: `retry-test-${++shopNumber}.myshopify.com`, accessToken: 'shpat_test' };
+  });
+
+  test('throttled REST calls are retried after Retry-After, once each through the library', async () => {
+    const throttled = new HttpThrottlingError({ message: 'Throttled', code: 429, statusText: 'Too Many Requests', body: {}, headers: {}, retryAfter: 0.01 });
+    const client = failingRestClient(throttled, throttled);
+
+    const response = await wrapRestClient(client, session).get({ path: 'orders' });
+
+    assert.deepEqual(response.body, { orders: [] });
+    assert.equal(client.calls.length, 3);
+    assert.ok(client.calls.every(params => params.tries === 1));
+  });
+
+  test('gives up after four attempts', async () => {
+    const throttled = new HttpThrottlingError({ message: 'Throttled', code: 429, statusText: 'Too Many Requests', body: {}, headers: {}, retryAfter: 0.01 });
+    const client = failingRestClient(throttled, throttled, throttled, throttled);
+
+    await assert.rejects(wrapRestClient(client, session).get({ path: 'orders' }), { name: 'ShopifyApiError', kind: 'throttled' });
+    assert.equal(client.calls.length, 4);
+  });
+
+  test('does not wait out a Retry-After longer than a minute', async () => {
+    const client = failingRestClient(new HttpThrottlingError({ message: 'Throttled', code: 429, statusText: 'Too Many Requests', body: {}, headers: {}, retryAfter: 120 }));
+
+    await assert.rejects(wrapRestClient(client, session).get({ path: 'orders' }), { kind: 'throttled', retryAfter: 120 });
+    assert.equal(client.calls.length, 1);
+  });
+
+  test('client errors fail at once', async () => {
+    const client = failingRestClient(httpError(404, { errors: 'Not Found' }));
+
+    await assert.rejects(wrapRestClient(client, session).get({ path: 'orders/1' }), {
+      kind: 'not_found',
+      message: 'Shopify GET orders/1 failed (404): Not Found'
+    });
+    assert.equal(client.calls.length, 1);
+  });
+
+  test('a rejected access token marks the shop for reconnection without retrying', async () => {
+    let marked;
+    Lead.updateMany = async (filter, update) => {
+      marked = { filter, update };
+      return { modifiedCount: 1 };
+    };
+    const client = failingRestClient(httpError(401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' }));
+
+    await assert.rejects(wrapRestClient(client, session).get({ path: 'orders' }), { kind: 'unauthorized', needsReconnect: true });
+    assert.equal(client.calls.length, 1);
+    assert.deepEqual(marked.filter, { shopifyShopDomain: session.shop, shopifyAccessToken: 'shpat_test', shopifyReconnectRequiredAt: null });
+    assert.ok(marked.update.$set.shopifyReconnectRequiredAt instanceof Date);
+  });
+
+  test('throttled GraphQL queries are retried with library retries turned off', async () => {
+    const calls = [];
+    const client = {
+      async request(query, options) {
+        calls.push(options);
+        if (calls.length === 1) {
+          throw throttledQueryError({ requestedQueryCost: 10, throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 0, restoreRate: 1000 } });
+        }
+        return { data: { ordersCount: { count: 3 } } };
+      }
+    };
+
+    const response = await wrapGraphqlClient(client, session).request('query OrdersCount { ordersCount { count } }', { variables: {} });
+
+    assert.equal(response.data.ordersCount.count, 3);
+    assert.equal(calls.length, 2);
+    assert.ok(calls.every(options => options.retries === 0));
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fetchOrder, fetchProducts } from '../services/shopifyGraphql.js';
+import { transformShopifyOrder } from '../services/syncService.js';
+import { createStubRateProvider, setRateProvider } from '../services/exchangeRates.js';
+
+// The same order (#1042, partially refunded) as the REST and GraphQL Admin
+// APIs (2024-10) return it: GraphQL with UTC timestamps, gids, enums and
+// decimal amounts in its own formatting
+const loadFixture = async (name) =>
+  JSON.parse(await readFile(new URL(`./fixtures/shopify/${name}`, import.meta.url), 'utf8'));
+
+// Stand-in GraphQL client replaying one response
+const replayClient = (response) => ({
+  requests: [],
+  async request(query, options) {
+    this.requests.push(options.variables);
+    return response;
+  }
+});
+
+const SHOP_ID = '665f1c2e8d4b2a0012345678';
+
+const PRODUCTS = {
+  '8123456789012': { productType: 'Books', tags: ['gift', 'vat:books'] },
+  '8123456789013': { productType: null, tags: [] }
+};
+
+const withoutSyncTime = ({ syncedAt, ...order }) => order;
+
+describe('REST and GraphQL orders', () => {
+  let restOrder;
+  let graphqlOrder;
+
+  before(async () => {
+    setRateProvider(createStubRateProvider({ '2025-03-31': { USD: 1.0815 } }));
+    restOrder = (await loadFixture('order.rest.json')).order;
+    graphqlOrder = await fetchOrder(replayClient(await loadFixture('order.graphql.json')), '5912345678901');
+  });
+
+  test('are stored alike', async () => {
+    const fromRest = await transformShopifyOrder(restOrder, SHOP_ID, { products: PRODUCTS });
+    const fromGraphql = await transformShopifyOrder(graphqlOrder, SHOP_ID, { products: PRODUCTS });
+
+    assert.deepEqual(withoutSyncTime(fromGraphql), withoutSyncTime(fromRest));
+  });
+
+  test('keep refunds, discounts and line item IDs', async () => {
+    const order = await transformShopifyOrder(graphqlOrder, SHOP_ID, { products: PRODUCTS });
+
+    assert.equal(order.shopifyOrderId, '5912345678901');
+    assert.equal(order.financialStatus, 'partially_refunded');
+    assert.equal(order.shippingPrice, 5);
+    assert.deepEqual(order.lineItems.map(item => item.lineItemId), ['14820000000001', '14820000000002']);
+    assert.deepEqual(order.lineItems.map(item => item.totalDiscount), [0, 2]);
+    assert.deepEqual(order.lineItems.map(item => item.refundedQuantity), [0, 1]);
+    assert.equal(order.lineItems[0].productType, 'Books');
+  });
+});
+
+describe('fetchProducts through GraphQL', () => {
+  test('returns product types and tags keyed by product ID, skipping deleted products', async () => {
+    const client = replayClient(await loadFixture('products.graphql.json'));
+    const products = await fetchProducts(client, ['8123456789012', '8123456789013', '8123456789099']);
+
+    assert.deepEqual(products, PRODUCTS);
+    assert.deepEqual(client.requests[0].ids, [
+      'gid://shopify/Product/8123456789012',
+      'gid://shopify/Product/8123456789013',
+      'gid://shopify/Product/8123456789099'
+    ]);
+  });
+});
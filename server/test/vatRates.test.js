@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { VAT_RATES, getRateTable, getStandardRate, getVatRates } from '../tax/vatRates.js';
+import { MEMBER_STATES, getMemberStateCodes, isEUMemberState } from '../tax/memberStates.js';
+
+describe('getVatRates', () => {
+  test('returns the rate period in force on the date', () => {
+    const period = getVatRates('fi', '2024-10-15');
+    assert.equal(period.standard, 25.5);
+    assert.equal(period.effectiveFrom, '2024-09-01');
+    assert.equal(period.effectiveTo, '2024-12-31');
+  });
+
+  test('switches periods on the effective date', () => {
+    assert.equal(getStandardRate('EE', '2025-06-30'), 22);
+    assert.equal(getStandardRate('EE', '2025-07-01'), 24);
+    assert.equal(getStandardRate('SK', '2024-12-31T23:59:59Z'), 20);
+    assert.equal(getStandardRate('SK', '2025-01-01'), 23);
+  });
+
+  test('looks up rates before the 2024 changes', () => {
+    assert.deepEqual(getVatRates('CZ', '2022-06-15').reduced, [15, 10]);
+    assert.equal(getStandardRate('EE', '2022-06-15'), 20);
+    assert.equal(getStandardRate('LU', '2022-06-15'), 17);
+    assert.equal(getStandardRate('LU', '2023-06-15'), 16);
+    assert.equal(getStandardRate('LU', '2024-01-01'), 17);
+  });
+
+  test('throws for countries or dates without a known rate', () => {
+    assert.throws(() => getVatRates('US', '2025-01-01'), /No VAT rate known for US on 2025-01-01/);
+    assert.throws(() => getVatRates('DE', '2020-12-31'), /No VAT rate known for DE/);
+  });
+});
+
+describe('getRateTable', () => {
+  test('covers every member state on the date', () => {
+    const table = getRateTable('2025-01-15');
+    assert.deepEqual(Object.keys(table).sort(), getMemberStateCodes('2025-01-15').sort());
+    assert.equal(table.DE.standard, 19);
+  });
+
+  test('covers every member state since IOSS started on 1 July 2021', () => {
+    ['2021-07-01', '2022-06-15', '2023-06-15'].forEach(date => {
+      assert.deepEqual(Object.keys(getRateTable(date)).sort(), getMemberStateCodes(date).sort(), date);
+    });
+  });
+});
+
+describe('VAT_RATES', () => {
+  test('rate periods of each country are ordered and do not overlap', () => {
+    Object.entries(VAT_RATES).forEach(([code, periods]) => {
+      periods.slice(1).forEach((period, index) => {
+        const previous = periods[index];
+        assert.ok(previous.effectiveTo, `${code}: only the last period may be open-ended`);
+        assert.ok(previous.effectiveTo < period.effectiveFrom, `${code}: ${previous.effectiveTo} overlaps ${period.effectiveFrom}`);
+      });
+      assert.equal(periods[periods.length - 1].effectiveTo, null, `${code}: the current period must be open-ended`);
+    });
+  });
+
+  test('reduced rates are listed from highest to lowest and below the standard rate', () => {
+    Object.entries(VAT_RATES).forEach(([code, periods]) => periods.forEach(period => {
+      assert.deepEqual(period.reduced, [...period.reduced].sort((a, b) => b - a), code);
+      period.reduced.forEach(rate => assert.ok(rate < period.standard, `${code}: ${rate} >= ${period.standard}`));
+    }));
+  });
+});
+
+describe('member states', () => {
+  test('the United Kingdom left the EU VAT area at the end of 2020', () => {
+    assert.equal(isEUMemberState('GB', '2020-12-31'), true);
+    assert.equal(isEUMemberState('gb', '2021-01-01'), false);
+  });
+
+  test('member states have unique ISO numeric codes', () => {
+    const codes = MEMBER_STATES.map(state => state.numericCode);
+    assert.equal(new Set(codes).size, codes.length);
+  });
+});